@@ -1,4 +1,6 @@
 const dotenv = require('dotenv');
+const path = require('path');
+const { loadEmployeesFile } = require('../services/employee-registry');
 
 // Load environment variables
 dotenv.config();
@@ -10,48 +12,50 @@ const config = {
   },
   webhook: {
     url: process.env.WEBHOOK_URL,
-    secret: process.env.WEBHOOK_SECRET
+    secret: process.env.WEBHOOK_SECRET, // Default HMAC secret; employees can override with webhookSecret
+    // Reject invalid signatures once a secret applies (set to 'false' while migrating scenarios)
+    requireSignature: process.env.WEBHOOK_REQUIRE_SIGNATURE !== 'false',
+    signatureToleranceSeconds: parseInt(process.env.WEBHOOK_SIGNATURE_TOLERANCE_SECONDS) || 300,
+    // How long a run waits for all of its tool outputs before missing ones are filled with errors
+    runDeadlineMs: parseInt(process.env.TOOL_OUTPUT_DEADLINE_MS) || 5 * 60 * 1000 // 5 minutes
   },
   server: {
     port: process.env.PORT || 3000,
     nodeEnv: process.env.NODE_ENV || 'development'
   },
+  storage: {
+    driver: process.env.STORAGE_DRIVER || 'file', // 'file' (persistent) or 'memory' (tests only)
+    dataDir: process.env.DATA_DIR || path.join(__dirname, '..', 'data'),
+    // Large, busy stores (leads, conversations) write at most this often
+    flushDelayMs: parseInt(process.env.STORE_FLUSH_DELAY_MS) || 1000
+  },
+  functions: {
+    // Function schema library: <dir>/<employee>/<function>.json
+    dir: process.env.FUNCTIONS_DIR || path.join(__dirname, 'functions'),
+    // What to do with webhook outputs that don't match a declared result schema: 'off', 'warn' or 'reject' (422)
+    resultValidation: ['warn', 'reject'].includes(process.env.FUNCTION_RESULT_VALIDATION) ? process.env.FUNCTION_RESULT_VALIDATION : 'off'
+  },
+  leads: {
+    // Functions whose outputs are scanned for leads and copied into the lead store
+    ingestFunctions: (process.env.LEAD_INGEST_FUNCTIONS || 'search_leads').split(',').map(name => name.trim()).filter(Boolean),
+    // Keyword tiers and points used to score leads (relevance, contact role, location, completeness, online presence)
+    scoringFile: process.env.LEAD_SCORING_FILE || path.join(__dirname, 'lead-scoring.json')
+  },
+  workflows: {
+    // Workflow definitions: <dir>/<workflow>.json
+    dir: process.env.WORKFLOWS_DIR || path.join(__dirname, 'workflows')
+  },
+  admin: {
+    token: process.env.ADMIN_TOKEN // Required for admin endpoints (employee and assistant management) when set
+  },
   rateLimit: {
     windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
     maxRequests: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100
   },
-  // AI Employee configurations with individual webhook URLs
-  employees: {
-    brenden: {
-      assistantId: 'asst_MvlMZ3IOvQrTkbsENRSzGRwZ',
-      name: 'AI Brenden',
-      role: 'lead scraper',
-      specialty: 'Lead Research Specialist',
-      webhookUrl: 'https://hook.eu2.make.com/lxa5qab0magprieff0sujnfkfycwu9x7'
-    },
-    van: {
-      assistantId: 'asst_x0WhKHr61IUopNPR7A8No9kK',
-      name: 'AI Van',
-      role: 'page operator',
-      specialty: 'Digital Marketing Designer',
-      webhookUrl: 'https://hook.eu2.make.com/6e1mvvrxjd2dm5mbdvlgmxc2sut3r3lk'
-    },
-    angel: {
-      assistantId: 'asst_angel_placeholder',
-      name: 'AI Angel',
-      role: 'voice caller',
-      specialty: 'Voice Outreach Manager',
-      webhookUrl: 'https://hook.eu2.make.com/angel_webhook_placeholder' // Add real webhook when ready
-    }
-    // EASILY ADD MORE EMPLOYEES HERE:
-    // sarah: {
-    //   assistantId: 'asst_sarah_id',
-    //   name: 'AI Sarah',
-    //   role: 'content creator',
-    //   specialty: 'Content Marketing Specialist',
-    //   webhookUrl: 'https://hook.eu2.make.com/sarah_webhook_url'
-    // }
-  }
+  // AI Employee registry file (validated against config/employees.schema.json, hot reloaded)
+  employeesFile: process.env.EMPLOYEES_FILE || path.join(__dirname, 'employees.json'),
+  // Filled from employeesFile below; kept up to date in place by the EmployeeRegistry
+  employees: {}
 };
 
 // Validate required configuration
@@ -91,6 +95,14 @@ if (config.openai.apiKey && !config.openai.apiKey.startsWith('sk-')) {
   }
 }
 
+// Load AI employees from the registry file
+try {
+  config.employees = loadEmployeesFile(config.employeesFile);
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
 // Validate employee webhook URLs
 console.log('\n🔗 Employee Webhook Configuration:');
 Object.entries(config.employees).forEach(([key, employee]) => {
@@ -0,0 +1,54 @@
+/**
+ * Protection for endpoints that change server configuration
+ */
+
+const crypto = require('crypto');
+const config = require('../config');
+
+const LOOPBACK_ADDRESSES = ['127.0.0.1', '::1', '::ffff:127.0.0.1'];
+
+let warnedLocalOnly = false;
+
+/**
+ * A request made on this machine directly, not forwarded by a proxy
+ */
+const isLocalRequest = (req) =>
+  LOOPBACK_ADDRESSES.includes(req.socket.remoteAddress) && !req.get('X-Forwarded-For') && !req.get('Forwarded');
+
+/**
+ * Require `Authorization: Bearer <ADMIN_TOKEN>`. Without ADMIN_TOKEN, admin endpoints
+ * only answer requests from this machine.
+ */
+const requireAdmin = (req, res, next) => {
+  if (!config.admin.token) {
+    if (!warnedLocalOnly) {
+      console.warn('⚠️ No ADMIN_TOKEN configured - admin endpoints only accept requests from localhost');
+      warnedLocalOnly = true;
+    }
+    if (isLocalRequest(req)) return next();
+
+    console.error(`🔒 Rejected admin request ${req.method} ${req.originalUrl} from ${req.socket.remoteAddress}: no ADMIN_TOKEN configured`);
+    return res.status(403).json({
+      error: 'Forbidden',
+      details: 'Admin endpoints only accept requests from localhost until ADMIN_TOKEN is set'
+    });
+  }
+
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  const expected = Buffer.from(config.admin.token);
+  const received = Buffer.from(token || '');
+
+  if (scheme !== 'Bearer' || expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    console.error(`🔒 Rejected admin request ${req.method} ${req.originalUrl}`);
+    return res.status(401).json({
+      error: 'Unauthorized',
+      details: 'Admin endpoints require Authorization: Bearer <ADMIN_TOKEN>'
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  requireAdmin
+};
@@ -2,6 +2,8 @@
  * Validation middleware for API requests
  */
 
+const { THREAD_ID_PATTERN } = require('../services/thread-events');
+
 const validateAskRequest = (req, res, next) => {
   const { message } = req.body;
 
@@ -64,6 +66,13 @@ const validateWebhookResponse = (req, res, next) => {
     });
   }
 
+  if (!THREAD_ID_PATTERN.test(thread_id)) {
+    return res.status(400).json({
+      error: 'Invalid thread_id',
+      details: 'thread_id must be an OpenAI thread id (thread_...)'
+    });
+  }
+
   console.log('✅ Webhook validation passed');
   next();
 };
@@ -0,0 +1,82 @@
+/**
+ * Signature verification for inbound webhook callbacks (/api/webhook-response)
+ */
+
+const config = require('../config');
+const { getWebhookSecret, hasWebhookSecrets, verifyRequest, NonceCache } = require('../services/webhook-signature');
+
+/**
+ * Build the verification middleware. Only tool calls that are still pending can be
+ * answered; the secret is chosen by the employee that owns the call, so every
+ * employee can have its own. Unsigned callbacks are only accepted while no secret
+ * is configured at all.
+ */
+const createWebhookVerifier = ({ webhookHandler, nonceCache = new NonceCache() }) => {
+  let warnedUnsigned = false;
+
+  return (req, res, next) => {
+    const toolCallId = req.body?.tool_call_id;
+    // A missing tool_call_id is reported by validateWebhookResponse
+    if (typeof toolCallId !== 'string' || !toolCallId) return next();
+
+    const pendingCall = webhookHandler?.getPendingCall(toolCallId);
+    if (webhookHandler && !pendingCall) {
+      console.warn(`🔒 Rejected webhook callback for unknown tool call ${toolCallId.slice(0, 100)}`);
+      return res.status(404).json({
+        error: 'Unknown tool call',
+        details: `No pending tool call '${toolCallId}' - it was never dispatched, is already answered or has timed out`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const employeeId = pendingCall?.employeeId || null;
+    const secret = getWebhookSecret(employeeId);
+
+    if (!secret) {
+      if (hasWebhookSecrets() && config.webhook.requireSignature) {
+        console.error(`🔒 Rejected webhook callback for ${toolCallId}: no webhook secret for ${employeeId || 'this call'}, but other secrets are configured`);
+        return res.status(401).json({
+          error: 'Invalid webhook signature',
+          details: `No webhook secret is configured for ${employeeId || 'this call'} (set WEBHOOK_SECRET or the employee's webhookSecretEnv)`,
+          timestamp: new Date().toISOString()
+        });
+      }
+      if (!warnedUnsigned) {
+        console.warn('⚠️ No webhook secret configured - accepting unsigned webhook callbacks');
+        warnedUnsigned = true;
+      }
+      return next();
+    }
+
+    const result = verifyRequest(secret, {
+      timestamp: req.get('X-Webhook-Timestamp'),
+      nonce: req.get('X-Webhook-Nonce'),
+      signature: req.get('X-Webhook-Signature'),
+      body: req.rawBody ? req.rawBody.toString('utf8') : ''
+    }, {
+      toleranceSeconds: config.webhook.signatureToleranceSeconds,
+      nonceCache
+    });
+
+    if (!result.valid) {
+      if (!config.webhook.requireSignature) {
+        console.warn(`⚠️ Webhook signature check failed (not enforced): ${result.reason}`);
+        return next();
+      }
+
+      console.error(`🔒 Rejected webhook callback for ${req.body?.tool_call_id || 'unknown tool call'}: ${result.reason}`);
+      return res.status(401).json({
+        error: 'Invalid webhook signature',
+        details: result.reason,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    console.log(`🔐 Webhook signature verified${employeeId ? ` for ${employeeId}` : ''}`);
+    next();
+  };
+};
+
+module.exports = {
+  createWebhookVerifier
+};
@@ -4,56 +4,8 @@ class AICommandCenter {
         this.currentThreadId = null; // Track active thread per employee
         this.conversationHistory = new Map(); // Store conversation history per employee
         this.pendingRequests = new Map(); // Track pending requests per employee
-        this.employees = {
-            brenden: {
-                name: 'AI Brenden',
-                role: 'lead scraper',
-                specialty: 'Lead Research Specialist',
-                avatar: 'https://images.pexels.com/photos/2379004/pexels-photo-2379004.jpeg?auto=compress&cs=tinysrgb&w=100&h=100&fit=crop&crop=face',
-                description: 'Expert data researcher specializing in B2B lead generation. I extract high-quality prospects from LinkedIn, Google Maps, and Yellow Pages with precision and attention to detail.',
-                assistantId: 'asst_MvlMZ3IOvQrTkbsENRSzGRwZ',
-                quickActions: [
-                    'Find wedding venues in Los Angeles',
-                    'Search event planners in Sherman Oaks',
-                    'Get luxury hotels in LA area',
-                    'Find corporate offices for subscriptions',
-                    'Search restaurants with private dining',
-                    'Find photography studios nearby'
-                ]
-            },
-            van: {
-                name: 'AI Van',
-                role: 'page operator',
-                specialty: 'Digital Marketing Designer',
-                avatar: 'https://images.pexels.com/photos/1222271/pexels-photo-1222271.jpeg?auto=compress&cs=tinysrgb&w=100&h=100&fit=crop&crop=face',
-                description: 'Creative digital marketing specialist focused on landing page design and conversion optimization. I create compelling pages that turn visitors into customers.',
-                assistantId: 'asst_x0WhKHr61IUopNPR7A8No9kK',
-                quickActions: [
-                    'Create a SaaS landing page',
-                    'Design a product launch page',
-                    'Build a local business website',
-                    'Generate a portfolio page',
-                    'Create an event registration page',
-                    'Design a contact form page'
-                ]
-            },
-            angel: {
-                name: 'AI Angel',
-                role: 'voice caller',
-                specialty: 'Voice Outreach Manager',
-                avatar: 'https://images.pexels.com/photos/1239291/pexels-photo-1239291.jpeg?auto=compress&cs=tinysrgb&w=100&h=100&fit=crop&crop=face',
-                description: 'Professional voice communication specialist handling outbound calls and customer engagement. I manage phone campaigns with natural conversation skills.',
-                assistantId: 'asst_angel_placeholder',
-                quickActions: [
-                    'Start a cold calling campaign',
-                    'Schedule follow-up calls',
-                    'Create call scripts',
-                    'Analyze call performance',
-                    'Set up voicemail campaigns',
-                    'Generate call reports'
-                ]
-            }
-        };
+        this.employees = {}; // Loaded from the server's employee registry (/api/employees)
+        this.employeesUpdatedAt = null;
         
         this.chatMessages = document.getElementById('chatMessages');
         this.messageInput = document.getElementById('messageInput');
@@ -64,23 +16,34 @@ class AICommandCenter {
         this.closeModal = document.getElementById('closeModal');
         this.configContent = document.getElementById('configContent');
         this.newChatButton = document.getElementById('newChatBtn');
+        this.employeeModal = document.getElementById('employeeModal');
+        this.employeeForm = document.getElementById('employeeForm');
+        this.editingEmployeeId = null; // null while adding a new employee
         
         this.isWaiting = false;
         this.currentTypingMessage = null;
+        this.streamingMessage = null; // Assistant bubble receiving streamed tokens
+        this.streamToolStatus = null; // Tool-call status element of the current stream
+        this.threadSubscriptions = new Map(); // threadId -> EventSource for webhook completions
         
         this.init();
     }
     
-    init() {
+    async init() {
         this.setupNavigation();
         this.setupEmployeeSelection();
+        this.setupEmployeeEditor();
         this.setupTabs();
+        this.setupTasks();
+        this.setupConversations();
+        this.setupLeads();
         this.setupQuickActions();
         this.setupChat();
         this.setupModal();
         this.setupMobileMenu();
         this.setupColorScheme();
         this.setupNewChatButton();
+        this.setupExport();
         
         // Focus input on load
         this.messageInput.focus();
@@ -88,11 +51,14 @@ class AICommandCenter {
         // Check server status on load
         this.checkServerStatus();
         
-        // Initialize with default employee
-        this.switchEmployee('brenden');
+        // Initialize with default employee once the registry is loaded
+        await this.loadEmployees();
+        this.switchEmployee(this.employees[this.currentEmployee] ? this.currentEmployee : Object.keys(this.employees)[0]);
         
         // Load conversation history from localStorage
         this.loadConversationHistory();
+        
+        this.loadLeadMetrics();
     }
     
     setupNewChatButton() {
@@ -103,13 +69,59 @@ class AICommandCenter {
         }
     }
     
+    setupExport() {
+        const exportButton = document.getElementById('exportChatBtn');
+        const exportMenu = document.getElementById('exportMenu');
+        
+        exportButton.addEventListener('click', (e) => {
+            e.stopPropagation();
+            exportMenu.classList.toggle('open');
+        });
+        exportMenu.addEventListener('click', (e) => {
+            const format = e.target.closest('[data-export-format]')?.dataset.exportFormat;
+            if (!format) return;
+            exportMenu.classList.remove('open');
+            this.exportConversation(format);
+        });
+        document.addEventListener('click', () => exportMenu.classList.remove('open'));
+    }
+    
+    /**
+     * Download the current thread (messages, tool calls and webhook outputs) as md, html, pdf or json
+     */
+    async exportConversation(format) {
+        if (!this.currentThreadId) {
+            this.showNotification('💬 Send a message first - there is nothing to export yet', 'info');
+            return;
+        }
+        
+        try {
+            const response = await fetch(`/api/conversations/${encodeURIComponent(this.currentThreadId)}/export?format=${format}`);
+            if (!response.ok) {
+                const data = await response.json();
+                throw new Error(data.details || data.error);
+            }
+            
+            // Use the server's file name from Content-Disposition
+            const disposition = response.headers.get('Content-Disposition') || '';
+            const filename = disposition.match(/filename="?([^"]+)"?/)?.[1] || `conversation.${format}`;
+            const url = URL.createObjectURL(await response.blob());
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = filename;
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error('Failed to export conversation:', error);
+            this.showNotification(`❌ Export failed: ${error.message}`, 'error');
+        }
+    }
+    
     startNewChat() {
         console.log(`🆕 Starting new chat for ${this.employees[this.currentEmployee].name}`);
         
-        // Clear current thread for THIS employee only
+        // Start a fresh thread - the previous one stays under Past Conversations
         this.currentThreadId = null;
-        
-        // Clear conversation history for current employee only
         this.conversationHistory.delete(this.currentEmployee);
         
         // Clear chat messages
@@ -120,9 +132,10 @@ class AICommandCenter {
         
         // Save updated history
         this.saveConversationHistory();
+        this.markActiveConversation();
         
         // Show notification
-        this.showNotification(`🆕 Started new conversation with ${this.employees[this.currentEmployee].name}`, 'success');
+        this.showNotification(`🆕 Started a new thread with ${this.employees[this.currentEmployee].name}`, 'success');
         
         // Focus input
         this.messageInput.focus();
@@ -191,7 +204,7 @@ class AICommandCenter {
         
         // Restore messages
         history.messages.forEach(msg => {
-            this.addMessageToUI(msg.content, msg.sender, msg.timestamp, false);
+            this.addMessageToUI(msg.content, msg.sender, msg.timestamp, false, msg.rich);
         });
         
         // FIXED: Restore thread ID for THIS employee only
@@ -206,29 +219,32 @@ class AICommandCenter {
         this.scrollToBottom();
     }
     
-    addMessageToHistory(content, sender, threadId = null) {
+    addMessageToHistory(content, sender, threadId = null, employeeId = this.currentEmployee, rich = null) {
         // FIXED: Store history per employee separately
-        if (!this.conversationHistory.has(this.currentEmployee)) {
-            this.conversationHistory.set(this.currentEmployee, {
+        if (!this.conversationHistory.has(employeeId)) {
+            this.conversationHistory.set(employeeId, {
                 messages: [],
                 threadId: null,
                 lastUpdated: new Date().toISOString()
             });
         }
         
-        const history = this.conversationHistory.get(this.currentEmployee);
+        const history = this.conversationHistory.get(employeeId);
         
         // Update thread ID if provided for THIS employee
         if (threadId) {
             history.threadId = threadId;
-            this.currentThreadId = threadId;
+            if (employeeId === this.currentEmployee) {
+                this.currentThreadId = threadId;
+            }
         }
         
         // Add message to THIS employee's history
         history.messages.push({
             content,
             sender,
-            timestamp: new Date().toISOString()
+            timestamp: new Date().toISOString(),
+            ...(rich && { rich })
         });
         
         // Keep only last 50 messages to prevent storage bloat
@@ -274,10 +290,12 @@ class AICommandCenter {
         notification.className = `notification notification-${type}`;
         notification.innerHTML = `
             <div class="notification-content">
-                <span>${message}</span>
+                <span></span>
                 <button class="notification-close">&times;</button>
             </div>
         `;
+        // Messages often carry employee names and other editable text
+        notification.querySelector('span').textContent = message;
         
         document.body.appendChild(notification);
         
@@ -436,6 +454,12 @@ class AICommandCenter {
                 // Update content sections
                 contentSections.forEach(content => content.classList.remove('active'));
                 document.getElementById(`${section}-section`).classList.add('active');
+                if (section === 'leads') {
+                    this.loadLeads();
+                }
+                if (section === 'dashboard') {
+                    this.loadLeadMetrics();
+                }
                 
                 // Close mobile menu
                 const sidebar = document.getElementById('sidebar');
@@ -447,17 +471,492 @@ class AICommandCenter {
     }
     
     setupEmployeeSelection() {
-        const teamMembers = document.querySelectorAll('.team-member');
+        const teamMembers = document.querySelector('.team-members');
         
-        teamMembers.forEach(member => {
-            member.addEventListener('click', () => {
-                const employeeId = member.dataset.employee;
-                this.switchEmployee(employeeId);
-                
-                // Update active state
-                teamMembers.forEach(m => m.classList.remove('active'));
-                member.classList.add('active');
+        // Cards are re-rendered when the registry changes, so listen on the container
+        teamMembers.addEventListener('click', (e) => {
+            const member = e.target.closest('.team-member');
+            if (!member) return;
+            
+            if (e.target.closest('.member-edit')) {
+                this.showEmployeeEditor(member.dataset.employee);
+                return;
+            }
+            
+            this.switchEmployee(member.dataset.employee);
+            this.markActiveEmployee();
+        });
+        
+        // Pick up registry edits when the user comes back to the tab
+        document.addEventListener('visibilitychange', async () => {
+            if (document.hidden) return;
+            
+            const changed = await this.loadEmployees();
+            if (changed && !this.employees[this.currentEmployee]) {
+                this.switchEmployee(Object.keys(this.employees)[0]);
+            }
+        });
+    }
+    
+    /**
+     * Fetch the employee registry; returns true when it changed since the last load
+     */
+    async loadEmployees() {
+        try {
+            const response = await fetch('/api/employees');
+            const data = await response.json();
+            
+            if (!response.ok) {
+                throw new Error(data.details || data.error);
+            }
+            
+            if (data.updated_at === this.employeesUpdatedAt) return false;
+            
+            this.employees = data.employees;
+            this.employeesUpdatedAt = data.updated_at;
+            this.renderEmployees();
+            console.log('👥 Loaded AI employees:', Object.keys(this.employees));
+            return true;
+        } catch (error) {
+            console.error('Failed to load employees:', error);
+            this.showNotification('❌ Could not load AI employees', 'error');
+            return false;
+        }
+    }
+    
+    renderEmployees() {
+        const teamMembers = document.querySelector('.team-members');
+        const statusList = document.querySelector('.employee-status-list');
+        teamMembers.innerHTML = '';
+        statusList.innerHTML = '';
+        
+        Object.entries(this.employees).forEach(([employeeId, employee]) => {
+            const member = document.createElement('div');
+            member.className = 'team-member';
+            member.dataset.employee = employeeId;
+            member.innerHTML = `
+                <div class="member-avatar">
+                    <img alt="">
+                    <div class="status-indicator ${employee.connected ? 'online' : 'offline'}"></div>
+                </div>
+                <div class="member-info">
+                    <div class="member-name"></div>
+                    <div class="member-role"></div>
+                    <div class="member-tags"></div>
+                </div>
+                <button class="btn-icon member-edit" title="Edit employee">
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M12 20h9"></path>
+                        <path d="M16.5 3.5a2.121 2.121 0 0 1 3 3L7 19l-4 1 1-4L16.5 3.5z"></path>
+                    </svg>
+                </button>
+            `;
+            member.querySelector('img').src = employee.avatar || '';
+            member.querySelector('img').alt = employee.name;
+            member.querySelector('.member-name').textContent = employee.name;
+            member.querySelector('.member-role').textContent = employee.specialty;
+            
+            if (employee.tag) {
+                const tag = document.createElement('span');
+                tag.className = `tag ${employee.tag.style || ''}`;
+                tag.textContent = employee.tag.label;
+                member.querySelector('.member-tags').appendChild(tag);
+            }
+            teamMembers.appendChild(member);
+            
+            const statusItem = document.createElement('div');
+            statusItem.className = 'employee-status-item';
+            statusItem.innerHTML = `<div class="status-dot ${employee.connected ? 'online' : 'offline'}"></div><span></span>`;
+            statusItem.querySelector('span').textContent = `${employee.name} - ${employee.specialty}`;
+            statusList.appendChild(statusItem);
+        });
+        
+        this.markActiveEmployee();
+    }
+    
+    setupEmployeeEditor() {
+        document.querySelector('.add-employee-btn').addEventListener('click', () => this.showEmployeeEditor());
+        document.getElementById('closeEmployeeModal').addEventListener('click', () => this.hideEmployeeEditor());
+        document.getElementById('cancelEmployeeBtn').addEventListener('click', () => this.hideEmployeeEditor());
+        document.getElementById('deleteEmployeeBtn').addEventListener('click', () => this.deleteEmployee());
+        this.employeeForm.addEventListener('submit', (e) => this.saveEmployee(e));
+        
+        this.employeeModal.addEventListener('click', (e) => {
+            if (e.target === this.employeeModal) {
+                this.hideEmployeeEditor();
+            }
+        });
+    }
+    
+    showEmployeeEditor(employeeId = null) {
+        const employee = employeeId ? this.employees[employeeId] : null;
+        const form = this.employeeForm;
+        this.editingEmployeeId = employeeId;
+        
+        form.reset();
+        form.elements.id.value = employeeId || '';
+        form.elements.id.disabled = !!employeeId;
+        if (employee) {
+            ['name', 'role', 'specialty', 'assistantId', 'webhookUrl', 'avatar', 'description'].forEach(field => {
+                form.elements[field].value = employee[field] || '';
+            });
+            form.elements.quickActions.value = (employee.quickActions || []).join('\n');
+        }
+        
+        document.getElementById('employeeModalTitle').textContent = employee ? `Edit ${employee.name}` : 'Add Employee';
+        document.getElementById('deleteEmployeeBtn').style.display = employee ? 'inline-flex' : 'none';
+        this.showEmployeeFormError(null);
+        this.employeeModal.style.display = 'flex';
+        (employee ? form.elements.name : form.elements.id).focus();
+    }
+    
+    hideEmployeeEditor() {
+        this.employeeModal.style.display = 'none';
+        this.editingEmployeeId = null;
+    }
+    
+    showEmployeeFormError(message) {
+        const errorBox = document.getElementById('employeeFormError');
+        errorBox.textContent = message || '';
+        errorBox.style.display = message ? 'block' : 'none';
+    }
+    
+    async saveEmployee(e) {
+        e.preventDefault();
+        
+        const form = this.employeeForm;
+        const saveButton = document.getElementById('saveEmployeeBtn');
+        const value = (field) => form.elements[field].value.trim();
+        
+        // Empty optional fields are sent as null so an edit can clear them
+        const employee = {
+            name: value('name'),
+            role: value('role'),
+            specialty: value('specialty'),
+            assistantId: value('assistantId'),
+            webhookUrl: value('webhookUrl'),
+            avatar: value('avatar') || null,
+            description: value('description') || null,
+            quickActions: value('quickActions').split('\n').map(action => action.trim()).filter(Boolean)
+        };
+        
+        const isNew = !this.editingEmployeeId;
+        const employeeId = isNew ? value('id') : this.editingEmployeeId;
+        if (isNew) {
+            Object.keys(employee).forEach(key => employee[key] === null && delete employee[key]);
+            employee.id = employeeId;
+        }
+        
+        saveButton.disabled = true;
+        saveButton.textContent = 'Verifying assistant...';
+        this.showEmployeeFormError(null);
+        
+        try {
+            const response = await this.adminFetch(isNew ? '/api/employees' : `/api/employees/${encodeURIComponent(employeeId)}`, {
+                method: isNew ? 'POST' : 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(employee)
+            });
+            const data = await response.json();
+            
+            if (!response.ok) {
+                throw new Error(data.details || data.error);
+            }
+            
+            console.log(`💾 Saved employee ${employeeId}:`, data);
+            this.hideEmployeeEditor();
+            await this.loadEmployees();
+            this.switchEmployee(employeeId);
+            this.showNotification(`✅ ${employee.name} ${isNew ? 'added to' : 'updated in'} your AI team`, 'success');
+        } catch (error) {
+            console.error('Failed to save employee:', error);
+            this.showEmployeeFormError(error.message);
+        } finally {
+            saveButton.disabled = false;
+            saveButton.textContent = 'Save Employee';
+        }
+    }
+    
+    async deleteEmployee() {
+        const employeeId = this.editingEmployeeId;
+        const employee = this.employees[employeeId];
+        if (!employee || !confirm(`Remove ${employee.name} from your AI team?`)) return;
+        
+        try {
+            const response = await this.adminFetch(`/api/employees/${encodeURIComponent(employeeId)}`, { method: 'DELETE' });
+            const data = await response.json();
+            
+            if (!response.ok) {
+                throw new Error(data.details || data.error);
+            }
+            
+            this.hideEmployeeEditor();
+            await this.loadEmployees();
+            if (this.currentEmployee === employeeId) {
+                this.switchEmployee(Object.keys(this.employees)[0]);
+            }
+            this.showNotification(`🗑️ ${employee.name} removed from your AI team`, 'success');
+        } catch (error) {
+            console.error('Failed to delete employee:', error);
+            this.showEmployeeFormError(error.message);
+        }
+    }
+    
+    /**
+     * fetch() for admin endpoints; asks for the admin token once the server requires one
+     */
+    async adminFetch(url, options = {}) {
+        const send = () => {
+            const token = localStorage.getItem('orchid-admin-token');
+            return fetch(url, {
+                ...options,
+                headers: { ...options.headers, ...(token ? { Authorization: `Bearer ${token}` } : {}) }
+            });
+        };
+        
+        let response = await send();
+        if (response.status === 401) {
+            const token = prompt('Admin token required for this change:');
+            if (token) {
+                localStorage.setItem('orchid-admin-token', token.trim());
+                response = await send();
+            }
+        }
+        return response;
+    }
+    
+    setupConversations() {
+        this.conversationList = document.getElementById('conversationList');
+        this.conversationSearch = document.getElementById('conversationSearch');
+        let searchTimer = null;
+        
+        this.conversationSearch.addEventListener('input', () => {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(() => this.loadConversations(), 300);
+        });
+        
+        this.showArchivedConversations = document.getElementById('showArchivedConversations');
+        this.showArchivedConversations.addEventListener('change', () => this.loadConversations());
+        
+        this.conversationList.addEventListener('click', (e) => {
+            const item = e.target.closest('.conversation-item');
+            if (!item) return;
+            
+            const action = e.target.closest('[data-conversation-action]')?.dataset.conversationAction;
+            if (action === 'delete') {
+                this.deleteConversation(item.dataset.threadId);
+            } else if (action) {
+                this.updateConversation(item.dataset.threadId, action, item.dataset.title);
+            } else {
+                this.openConversation(item.dataset.threadId);
+            }
+        });
+    }
+    
+    /**
+     * List the current employee's past conversations, or search them when the search box has text
+     */
+    async loadConversations() {
+        const employeeId = this.currentEmployee;
+        const query = this.conversationSearch.value.trim();
+        const archived = this.showArchivedConversations.checked;
+        const url = query
+            ? `/api/conversations/search?q=${encodeURIComponent(query)}&employee=${encodeURIComponent(employeeId)}`
+            : `/api/conversations?employee=${encodeURIComponent(employeeId)}&archived=${archived}&limit=30`;
+        
+        try {
+            const response = await fetch(url);
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.details || data.error);
+            }
+            // Ignore a response for an employee or query we've since moved away from
+            if (employeeId === this.currentEmployee && query === this.conversationSearch.value.trim()) {
+                this.renderConversations(query ? data.results : data.conversations, query);
+            }
+        } catch (error) {
+            console.error('Failed to load conversations:', error);
+            this.conversationList.innerHTML = `<div class="conversation-empty">Could not load conversations: ${this.escapeHtml(error.message)}</div>`;
+        }
+    }
+    
+    renderConversations(conversations, query) {
+        if (conversations.length === 0) {
+            const empty = query ? 'No conversations match your search.'
+                : this.showArchivedConversations.checked ? 'No archived conversations.' : 'No past conversations yet.';
+            this.conversationList.innerHTML = `<div class="conversation-empty">${empty}</div>`;
+            return;
+        }
+        
+        this.conversationList.innerHTML = conversations.map(conversation => {
+            const detail = conversation.matches?.length
+                ? conversation.matches.map(match => this.escapeHtml(match.snippet)).join('<br>')
+                : this.escapeHtml(conversation.last_message?.preview || '');
+            const active = conversation.thread_id === this.currentThreadId ? ' active' : '';
+            const pending = conversation.pending_tool_calls > 0
+                ? ` &middot; <span class="conversation-pending">⏳ ${conversation.pending_tool_calls} pending</span>`
+                : '';
+            
+            return `
+                <div class="conversation-item${active}${conversation.pinned ? ' pinned' : ''}" data-thread-id="${this.escapeHtml(conversation.thread_id)}" data-title="${this.escapeHtml(conversation.title)}">
+                    <div class="conversation-info">
+                        <div class="conversation-title">${conversation.pinned ? '📌 ' : ''}${this.escapeHtml(conversation.title)}</div>
+                        <div class="conversation-preview">${detail}</div>
+                        <div class="conversation-meta">${new Date(conversation.updated_at).toLocaleString()} &middot; ${conversation.message_count} messages${pending}</div>
+                    </div>
+                    <div class="conversation-actions">
+                        <button type="button" data-conversation-action="rename" title="Rename">✏️</button>
+                        <button type="button" data-conversation-action="${conversation.pinned ? 'unpin' : 'pin'}" title="${conversation.pinned ? 'Unpin' : 'Pin'}">📌</button>
+                        <button type="button" data-conversation-action="${conversation.archived ? 'unarchive' : 'archive'}" title="${conversation.archived ? 'Restore' : 'Archive'}">🗄️</button>
+                        <button type="button" data-conversation-action="delete" title="Delete">&times;</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+    
+    /**
+     * Rich messages of a thread (images, citations) by OpenAI message id; empty when unavailable
+     */
+    async loadThreadMessages(threadId) {
+        try {
+            const response = await fetch(`/api/threads/${encodeURIComponent(threadId)}/messages?all=true&order=asc`);
+            if (!response.ok) return new Map();
+            const data = await response.json();
+            return new Map(data.messages.map(message => [message.id, message]));
+        } catch (error) {
+            console.warn('⚠️ Could not load thread messages:', error.message);
+            return new Map();
+        }
+    }
+    
+    /**
+     * Load a recorded conversation into the chat and continue on its thread
+     */
+    async openConversation(threadId) {
+        try {
+            const response = await fetch(`/api/conversations/${encodeURIComponent(threadId)}`);
+            const conversation = await response.json();
+            if (!response.ok) {
+                throw new Error(conversation.details || conversation.error);
+            }
+            if (conversation.employee_id && conversation.employee_id !== this.currentEmployee) {
+                this.switchEmployee(conversation.employee_id);
+            }
+            
+            const employeeId = this.currentEmployee;
+            const richMessages = await this.loadThreadMessages(threadId);
+            this.clearChat();
+            this.showWelcomeMessage(this.employees[employeeId]);
+            
+            // Consecutive tool calls collapse into one status line, like in a live chat
+            let pendingTools = [];
+            const flushTools = () => {
+                this.addToolCallStatus(pendingTools.map(message => ({ function: message.function_name })));
+                pendingTools = [];
+            };
+            conversation.messages.forEach(message => {
+                if (message.role === 'tool_call') {
+                    pendingTools.push(message);
+                } else if (message.role === 'user' || message.role === 'assistant') {
+                    flushTools();
+                    this.addMessageToUI(message.content, message.role, message.created_at, false, richMessages.get(message.message_id));
+                }
+            });
+            flushTools();
+            
+            // Make the reopened thread this employee's current conversation
+            this.currentThreadId = threadId;
+            this.conversationHistory.set(employeeId, {
+                messages: conversation.messages
+                    .filter(message => message.role === 'user' || message.role === 'assistant')
+                    .map(message => ({
+                        content: message.content,
+                        sender: message.role,
+                        timestamp: message.created_at,
+                        ...(richMessages.has(message.message_id) && { rich: richMessages.get(message.message_id) })
+                    })),
+                threadId,
+                lastUpdated: new Date().toISOString()
+            });
+            this.saveConversationHistory();
+            this.showThreadStatus(`📂 Reopened "${this.escapeHtml(conversation.title)}" (Thread: ${threadId.substring(0, 8)}...)`);
+            if (conversation.pending_tool_calls > 0) {
+                this.addToolCallStatus([{ function: `⏳ Waiting for ${conversation.pending_tool_calls} tool call(s)` }]);
+                this.subscribeToThreadEvents(threadId, employeeId);
+            }
+            this.markActiveConversation();
+        } catch (error) {
+            console.error('Failed to open conversation:', error);
+            this.showNotification(`❌ Could not open conversation: ${error.message}`, 'error');
+        }
+    }
+    
+    /**
+     * Rename, pin/unpin or archive/restore a conversation
+     */
+    async updateConversation(threadId, action, currentTitle) {
+        let fields;
+        if (action === 'rename') {
+            const title = prompt('Rename conversation:', currentTitle || '');
+            if (!title || !title.trim()) return;
+            fields = { title: title.trim() };
+        } else {
+            fields = {
+                pin: { pinned: true },
+                unpin: { pinned: false },
+                archive: { archived: true },
+                unarchive: { archived: false }
+            }[action];
+        }
+        
+        try {
+            const response = await fetch(`/api/conversations/${encodeURIComponent(threadId)}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(fields)
             });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.details || data.error);
+            }
+            
+            this.loadConversations();
+        } catch (error) {
+            console.error(`Failed to ${action} conversation:`, error);
+            this.showNotification(`❌ ${error.message}`, 'error');
+        }
+    }
+    
+    async deleteConversation(threadId) {
+        if (!confirm('Delete this conversation from the shared history?')) return;
+        
+        try {
+            const response = await this.adminFetch(`/api/conversations/${encodeURIComponent(threadId)}`, { method: 'DELETE' });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.details || data.error);
+            }
+            
+            if (threadId === this.currentThreadId) {
+                this.startNewChat();
+            }
+            this.loadConversations();
+        } catch (error) {
+            console.error('Failed to delete conversation:', error);
+            this.showNotification(`❌ ${error.message}`, 'error');
+        }
+    }
+    
+    markActiveConversation() {
+        this.conversationList.querySelectorAll('.conversation-item').forEach(item => {
+            item.classList.toggle('active', item.dataset.threadId === this.currentThreadId);
+        });
+    }
+    
+    markActiveEmployee() {
+        document.querySelectorAll('.team-member').forEach(member => {
+            member.classList.toggle('active', member.dataset.employee === this.currentEmployee);
         });
     }
     
@@ -473,8 +972,10 @@ class AICommandCenter {
         // FIXED: Clear current thread when switching employees
         this.currentThreadId = null;
         
+        this.markActiveEmployee();
+        
         // Update chat header
-        document.getElementById('current-employee-avatar').src = employee.avatar;
+        document.getElementById('current-employee-avatar').src = employee.avatar || '';
         document.getElementById('current-employee-name').textContent = employee.name;
         document.getElementById('current-employee-role').textContent = employee.role;
         document.getElementById('current-employee-specialty').textContent = employee.specialty;
@@ -494,6 +995,14 @@ class AICommandCenter {
         
         this.updateQuickActions(employee);
         
+        if (this.isTasksTabActive()) {
+            this.hideTaskForm();
+            this.loadTasks();
+        }
+        
+        this.conversationSearch.value = '';
+        this.loadConversations();
+        
         // Check connection status
         this.checkEmployeeConnection(employeeId);
         
@@ -504,7 +1013,7 @@ class AICommandCenter {
                     <path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"></path>
                     <path d="M12 7v6m3-3H9"></path>
                 </svg>
-                New Chat with ${employee.name}
+                New Chat with ${this.escapeHtml(employee.name)}
             `;
         }
     }
@@ -544,7 +1053,7 @@ class AICommandCenter {
                 <div class="status-dot ${isConnected ? 'online' : 'offline'}"></div>
                 <div class="status-text">${isConnected ? 'Connected' : 'Disconnected'}</div>
             </div>
-            <p class="status-note">${message}</p>
+            <p class="status-note">${this.escapeHtml(message)}</p>
         `;
         
         // Insert after welcome message
@@ -571,7 +1080,7 @@ class AICommandCenter {
                     <circle cx="11" cy="11" r="8"></circle>
                     <path d="M21 21l-4.35-4.35"></path>
                 </svg>
-                ${action}
+                ${this.escapeHtml(action)}
             `;
             
             actionDiv.addEventListener('click', () => {
@@ -594,7 +1103,7 @@ class AICommandCenter {
         if (welcomeMessage) {
             const welcomeContent = welcomeMessage.querySelector('.welcome-content');
             welcomeContent.innerHTML = `
-                <h4>Hi! I'm ${employee.name}, your ${employee.specialty}.</h4>
+                <h4>Hi! I'm ${this.escapeHtml(employee.name)}, your ${this.escapeHtml(employee.specialty)}.</h4>
                 <p>Ask me to help with ${employee.role === 'lead scraper' ? 'lead generation and research' : employee.role === 'page operator' ? 'landing pages and marketing design' : 'voice calls and customer outreach'} or use the quick actions above.</p>
             `;
         }
@@ -618,135 +1127,1011 @@ class AICommandCenter {
                 if (targetTab) {
                     targetTab.classList.add('active');
                 }
+                
+                if (tabId === 'tasks') {
+                    this.loadTasks();
+                }
             });
         });
     }
     
-    setupQuickActions() {
-        // Quick actions are now handled in updateQuickActions
+    setupTasks() {
+        this.taskForm = document.getElementById('taskForm');
+        document.getElementById('newTaskButton').addEventListener('click', () => this.showTaskForm());
+        document.getElementById('cancelTaskButton').addEventListener('click', () => this.hideTaskForm());
+        this.taskForm.addEventListener('submit', (e) => this.saveTask(e));
+        
+        // Task actions are rendered per item, so listen once on the tab
+        document.getElementById('tasks-tab').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-task-action]');
+            if (button) {
+                this.handleTaskAction(button.dataset.taskAction, button.dataset.taskId);
+            }
+        });
+        
+        // Keep run statuses fresh while the tab is open
+        setInterval(() => {
+            if (this.isTasksTabActive()) this.loadTasks();
+        }, 15000);
     }
     
-    setupChat() {
-        // Event listeners
-        this.chatForm.addEventListener('submit', (e) => this.handleSubmit(e));
-        this.messageInput.addEventListener('input', () => this.handleInput());
-        this.messageInput.addEventListener('keydown', (e) => this.handleKeydown(e));
-        
-        // Auto-resize textarea
-        this.messageInput.addEventListener('input', () => this.autoResize());
+    isTasksTabActive() {
+        return document.getElementById('tasks-tab').classList.contains('active');
     }
     
-    setupModal() {
-        const configButton = document.getElementById('configureBtn');
-        
-        configButton.addEventListener('click', () => this.showConfigModal());
-        this.closeModal.addEventListener('click', () => this.hideConfigModal());
-        
-        // Close modal when clicking outside
-        this.configModal.addEventListener('click', (e) => {
-            if (e.target === this.configModal) {
-                this.hideConfigModal();
-            }
-        });
+    showTaskForm() {
+        this.taskForm.reset();
+        this.taskForm.elements.timezone.value = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+        this.showTaskFormError(null);
+        this.taskForm.style.display = 'flex';
+        this.taskForm.elements.title.focus();
     }
     
-    async checkServerStatus() {
+    hideTaskForm() {
+        this.taskForm.style.display = 'none';
+    }
+    
+    showTaskFormError(message) {
+        const errorBox = document.getElementById('taskFormError');
+        errorBox.textContent = message || '';
+        errorBox.style.display = message ? 'block' : 'none';
+    }
+    
+    async loadTasks() {
+        const employeeId = this.currentEmployee;
         try {
-            console.log('🔍 Checking server status...');
-            const response = await fetch('/api/status');
-            
-            console.log('📊 Server status response:', {
-                status: response.status,
-                ok: response.ok,
-                headers: Object.fromEntries(response.headers.entries())
-            });
-            
+            const response = await fetch(`/api/tasks?employee=${encodeURIComponent(employeeId)}`);
+            const data = await response.json();
             if (!response.ok) {
-                throw new Error(`Server returned ${response.status}: ${response.statusText}`);
+                throw new Error(data.details || data.error);
             }
-            
-            const data = await response.json();
-            console.log('✅ Server status data:', data);
-            
-            if (!data.services_initialized.openai || !data.configuration.api_key_configured) {
-                this.addErrorMessage('⚠️ Server configuration incomplete. Please check your environment variables.');
+            // Ignore a response for an employee we've since switched away from
+            if (employeeId === this.currentEmployee) {
+                this.renderTasks(data);
             }
         } catch (error) {
-            console.error('❌ Failed to check server status:', error);
-            this.addErrorMessage('⚠️ Unable to connect to server. Please check if the server is running.');
+            console.error('Failed to load tasks:', error);
+            document.getElementById('scheduledTaskList').innerHTML = `<div class="task-empty">Could not load tasks: ${this.escapeHtml(error.message)}</div>`;
         }
     }
     
-    async showConfigModal() {
-        this.configModal.style.display = 'flex';
+    renderTasks({ tasks, runs }) {
+        const formatTime = (value) => new Date(value).toLocaleString();
+        const empty = (text) => `<div class="task-empty">${text}</div>`;
+        const item = (status, title, meta, extra = '') => `
+            <div class="task-item ${status}">
+                <div class="task-status"></div>
+                <div class="task-body">
+                    <div class="task-title">${this.escapeHtml(title)}</div>
+                    <div class="task-meta">${meta}</div>
+                    ${extra}
+                </div>
+            </div>
+        `;
+        
+        document.getElementById('scheduledTaskList').innerHTML = tasks.length === 0
+            ? empty(`Nothing scheduled for ${this.escapeHtml(this.employees[this.currentEmployee]?.name || this.currentEmployee)} yet.`)
+            : tasks.map(task => item(
+                task.enabled ? 'pending' : 'disabled',
+                task.title,
+                `<code>${this.escapeHtml(task.schedule)}</code> (${this.escapeHtml(task.timezone)}) &middot; ${task.enabled ? `Next run ${formatTime(task.next_run_at)}` : 'Paused'}`,
+                `<div class="task-actions">
+                    <button type="button" class="btn secondary" data-task-action="run" data-task-id="${task.task_id}">Run now</button>
+                    <button type="button" class="btn secondary" data-task-action="${task.enabled ? 'pause' : 'resume'}" data-task-id="${task.task_id}">${task.enabled ? 'Pause' : 'Resume'}</button>
+                    <button type="button" class="btn danger" data-task-action="delete" data-task-id="${task.task_id}">Delete</button>
+                </div>`
+            )).join('');
+        
+        const active = runs.filter(run => ['running', 'waiting'].includes(run.status));
+        document.getElementById('activeTaskRunList').innerHTML = active.length === 0
+            ? empty('No task is running.')
+            : active.map(run => item(
+                'in-progress',
+                run.title,
+                `Started ${formatTime(run.started_at)} &middot; ${run.status === 'waiting' ? 'waiting for webhooks' : 'running'}`
+            )).join('');
+        
+        const finished = runs.filter(run => ['completed', 'failed'].includes(run.status));
+        document.getElementById('completedTaskRunList').innerHTML = finished.length === 0
+            ? empty('No finished runs yet.')
+            : finished.map(run => item(
+                run.status,
+                run.title,
+                `${run.status === 'completed' ? 'Completed' : 'Failed'} ${formatTime(run.completed_at)}${run.trigger === 'manual' ? ' &middot; run manually' : ''}`,
+                `<div class="task-output">${this.escapeHtml(this.truncateText(run.output || run.error || '', 240))}</div>`
+            )).join('');
+    }
+    
+    truncateText(text, length) {
+        return text.length > length ? `${text.slice(0, length)}…` : text;
+    }
+    
+    async saveTask(e) {
+        e.preventDefault();
+        
+        const form = this.taskForm;
+        const saveButton = document.getElementById('saveTaskButton');
+        const value = (field) => form.elements[field].value.trim();
+        const task = {
+            employee_id: this.currentEmployee,
+            title: value('title'),
+            prompt: value('prompt'),
+            schedule: value('schedule'),
+            timezone: value('timezone') || 'UTC',
+            thread_mode: form.elements.continueThread.checked ? 'continue' : 'new'
+        };
+        
+        saveButton.disabled = true;
+        this.showTaskFormError(null);
+        
+        try {
+            const response = await this.adminFetch('/api/tasks', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(task)
+            });
+            const data = await response.json();
+            
+            if (!response.ok) {
+                throw new Error(data.details || data.error);
+            }
+            
+            this.hideTaskForm();
+            this.showNotification(`🗓️ "${data.title}" scheduled, next run ${new Date(data.next_run_at).toLocaleString()}`, 'success');
+            this.loadTasks();
+        } catch (error) {
+            console.error('Failed to schedule task:', error);
+            this.showTaskFormError(error.message);
+        } finally {
+            saveButton.disabled = false;
+        }
+    }
+    
+    async handleTaskAction(action, taskId) {
+        const url = `/api/tasks/${encodeURIComponent(taskId)}`;
+        const requests = {
+            run: () => this.adminFetch(`${url}/run`, { method: 'POST' }),
+            pause: () => this.adminFetch(url, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ enabled: false })
+            }),
+            resume: () => this.adminFetch(url, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ enabled: true })
+            }),
+            delete: () => this.adminFetch(url, { method: 'DELETE' })
+        };
+        if (!requests[action] || (action === 'delete' && !confirm('Delete this scheduled task and its run history?'))) return;
+        
+        try {
+            const response = await requests[action]();
+            if (!response.ok) {
+                const data = await response.json();
+                throw new Error(data.details || data.error);
+            }
+            if (action === 'run') {
+                this.showNotification('▶️ Task started', 'success');
+            }
+            this.loadTasks();
+        } catch (error) {
+            console.error(`Failed to ${action} task:`, error);
+            this.showNotification(`❌ ${error.message}`, 'error');
+        }
+    }
+    
+    setupLeads() {
+        this.leadForm = document.getElementById('leadForm');
+        document.getElementById('newLeadButton').addEventListener('click', () => this.showLeadForm());
+        document.getElementById('cancelLeadButton').addEventListener('click', () => this.hideLeadForm());
+        document.getElementById('refreshLeadsButton').addEventListener('click', () => this.loadLeads());
+        this.leadForm.addEventListener('submit', (e) => this.saveLead(e));
+        
+        document.querySelectorAll('[data-lead-export]').forEach(button => {
+            button.addEventListener('click', () => this.exportLeads(button.dataset.leadExport));
+        });
+        
+        // Imports: upload, check and correct the column mapping, then commit
+        const importFile = document.getElementById('leadImportFile');
+        document.getElementById('importLeadsButton').addEventListener('click', () => importFile.click());
+        importFile.addEventListener('change', () => {
+            if (importFile.files[0]) this.uploadLeadImport(importFile.files[0]);
+            importFile.value = '';
+        });
+        document.getElementById('leadImportMapping').addEventListener('change', (e) => {
+            const select = e.target.closest('[data-import-header]');
+            if (select) this.remapLeadImport(select.dataset.importHeader, select.value || null);
+        });
+        document.getElementById('cancelLeadImportButton').addEventListener('click', () => this.hideLeadImport());
+        document.getElementById('commitLeadImportButton').addEventListener('click', () => this.commitLeadImport());
+        
+        // Text filters wait for the user to stop typing; selects apply right away
+        let filterTimer = null;
+        const filters = document.getElementById('leadFilters');
+        filters.addEventListener('input', (e) => {
+            if (e.target.tagName === 'SELECT') return;
+            clearTimeout(filterTimer);
+            filterTimer = setTimeout(() => this.loadLeads(), 300);
+        });
+        filters.addEventListener('change', (e) => {
+            if (e.target.tagName === 'SELECT') this.loadLeads();
+        });
+        
+        // Rows are re-rendered on every load, so listen once on the table
+        const tableBody = document.getElementById('leadsTableBody');
+        tableBody.addEventListener('change', (e) => {
+            const checkbox = e.target.closest('[data-lead-flag]');
+            if (checkbox) {
+                this.updateLead(checkbox.dataset.leadId, { [checkbox.dataset.leadFlag]: checkbox.checked });
+            }
+        });
+        tableBody.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-lead-delete]');
+            if (button) {
+                this.deleteLead(button.dataset.leadDelete);
+            }
+            const scoreButton = e.target.closest('[data-lead-score]');
+            if (scoreButton) {
+                this.scoreLead(scoreButton.dataset.leadScore);
+            }
+        });
+    }
+    
+    showLeadForm() {
+        this.leadForm.reset();
+        this.showLeadFormError(null);
+        this.leadForm.style.display = 'flex';
+        this.leadForm.elements.business_name.focus();
+    }
+    
+    hideLeadForm() {
+        this.leadForm.style.display = 'none';
+    }
+    
+    showLeadFormError(message) {
+        const errorBox = document.getElementById('leadFormError');
+        errorBox.textContent = message || '';
+        errorBox.style.display = message ? 'block' : 'none';
+    }
+    
+    async loadLeads() {
+        const employeeFilter = document.getElementById('leadEmployeeFilter');
+        if (employeeFilter.options.length === 1) {
+            Object.entries(this.employees).forEach(([id, employee]) => {
+                employeeFilter.add(new Option(employee.name, id));
+            });
+        }
+        
+        const [sort, order] = document.getElementById('leadSort').value.split(':');
+        const params = this.leadFilterParams();
+        params.set('sort', sort);
+        params.set('order', order);
+        params.set('limit', '200');
+        
+        try {
+            const response = await fetch(`/api/leads?${params}`);
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.details || data.error);
+            }
+            this.renderLeads(data);
+        } catch (error) {
+            console.error('Failed to load leads:', error);
+            document.getElementById('leadsTableBody').innerHTML = '';
+            document.getElementById('leadsSummary').textContent = `Could not load leads: ${error.message}`;
+        }
+    }
+    
+    /**
+     * Dashboard "Leads Generated": today's leads, with how far they got in the tooltip
+     */
+    async loadLeadMetrics() {
+        const metric = document.getElementById('leadsGeneratedMetric');
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        
+        try {
+            const response = await fetch(`/api/leads/funnel?from=${encodeURIComponent(today.toISOString())}`);
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.details || data.error);
+            }
+            
+            // Leads that reached the first stage today are the ones added today
+            metric.textContent = data.stages[0].count;
+            metric.title = data.stages.slice(1)
+                .map(({ stage, count }) => `${count} ${stage.replace(/_/g, ' ')}`)
+                .join(', ');
+        } catch (error) {
+            console.error('Failed to load lead metrics:', error);
+            metric.textContent = '—';
+        }
+    }
+    
+    leadFilterParams() {
+        const params = new URLSearchParams();
+        ['leadSearch', 'leadIndustryFilter', 'leadLocationFilter', 'leadEmployeeFilter'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input.value.trim()) params.set(input.name, input.value.trim());
+        });
+        const status = document.getElementById('leadStatusFilter').value;
+        if (status) {
+            const [flag, value] = status.split('=');
+            params.set(flag, value);
+        }
+        return params;
+    }
+    
+    exportLeads(format) {
+        // The filters on screen apply; the file lists leads by Lead # like the QA template
+        const params = this.leadFilterParams();
+        params.set('format', format);
+        window.location.href = `/api/leads/export?${params}`;
+    }
+    
+    async uploadLeadImport(file) {
+        this.showLeadImportError(null);
+        try {
+            const response = await this.adminFetch(`/api/leads/import?filename=${encodeURIComponent(file.name)}`, {
+                method: 'POST',
+                headers: { 'Content-Type': file.type || 'application/octet-stream' },
+                body: file
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.details || data.error);
+            }
+            this.leadImport = data;
+            this.renderLeadImport();
+        } catch (error) {
+            console.error('Failed to upload leads:', error);
+            this.showNotification(`❌ Could not read ${file.name}: ${error.message}`, 'error');
+        }
+    }
+    
+    renderLeadImport() {
+        const preview = this.leadImport;
+        const text = (value) => this.escapeHtml(value || '');
+        const attribute = (value) => text(value).replace(/"/g, '&quot;');
+        const fieldLabel = ({ field, column }) => column || field.replace(/_/g, ' ').replace(/^./, letter => letter.toUpperCase());
+        
+        document.getElementById('leadImportSummary').innerHTML = `
+            <strong>${text(preview.file_name || 'Upload')}</strong>:
+            ${preview.rows} row${preview.rows === 1 ? '' : 's'},
+            ${preview.valid_rows} ready to import${preview.invalid_rows ? `, ${preview.invalid_rows} with errors` : ''}
+        `;
+        document.getElementById('leadImportMapping').innerHTML = preview.columns.map(column => `
+            <tr>
+                <td>${text(column.header) || `<em>Column ${column.index + 1}</em>`}</td>
+                <td>
+                    <select class="filter-select" data-import-header="${attribute(column.header)}">
+                        <option value="">Ignore</option>
+                        ${preview.fields.map(field => `
+                            <option value="${field.field}" ${column.field === field.field ? 'selected' : ''}>${text(fieldLabel(field))}</option>
+                        `).join('')}
+                    </select>
+                </td>
+            </tr>
+        `).join('');
+        document.getElementById('leadImportErrors').innerHTML = preview.errors.map(({ row, errors }) => `
+            <li>Row ${row}: ${errors.map(text).join('; ')}</li>
+        `).join('');
+        
+        const commitButton = document.getElementById('commitLeadImportButton');
+        commitButton.textContent = `Import ${preview.valid_rows} lead${preview.valid_rows === 1 ? '' : 's'}`;
+        commitButton.disabled = preview.valid_rows === 0;
+        document.getElementById('leadImportPanel').style.display = 'flex';
+    }
+    
+    async remapLeadImport(header, field) {
+        this.showLeadImportError(null);
+        try {
+            const response = await this.adminFetch(`/api/leads/import/${encodeURIComponent(this.leadImport.import_id)}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ mapping: { [header]: field } })
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.details || data.error);
+            }
+            this.leadImport = data;
+            this.renderLeadImport();
+        } catch (error) {
+            console.error('Failed to change import mapping:', error);
+            this.showLeadImportError(error.message);
+        }
+    }
+    
+    async commitLeadImport() {
+        const commitButton = document.getElementById('commitLeadImportButton');
+        commitButton.disabled = true;
+        this.showLeadImportError(null);
+        
+        try {
+            const response = await this.adminFetch(`/api/leads/import/${encodeURIComponent(this.leadImport.import_id)}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({})
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.details || data.error);
+            }
+            
+            this.hideLeadImport();
+            this.showNotification(
+                `📥 Imported ${data.created} new and ${data.updated} updated leads${data.failed ? ` (${data.failed} rows failed)` : ''}`,
+                data.failed ? 'warning' : 'success'
+            );
+            this.loadLeads();
+        } catch (error) {
+            console.error('Failed to import leads:', error);
+            this.showLeadImportError(error.message);
+            commitButton.disabled = false;
+        }
+    }
+    
+    hideLeadImport() {
+        this.leadImport = null;
+        document.getElementById('leadImportPanel').style.display = 'none';
+    }
+    
+    showLeadImportError(message) {
+        const errorBox = document.getElementById('leadImportError');
+        errorBox.textContent = message || '';
+        errorBox.style.display = message ? 'block' : 'none';
+    }
+    
+    renderLeads({ leads, total }) {
+        const text = (value) => this.escapeHtml(value || '');
+        const attribute = (value) => text(value).replace(/"/g, '&quot;');
+        // Hover text on the Y/N cells: every move through the pipeline
+        const stageTitle = (lead) => lead.stage_history.map(({ from, to, at, actor, note }) => {
+            const who = actor.employee_name || actor.user || actor.file_name || (actor.type === 'user' ? 'Someone' : actor.type);
+            const move = from ? `${from} → ${to}` : `added at ${to}`;
+            return `${new Date(at).toLocaleString()}: ${move} by ${who}${note ? ` (${note})` : ''}`;
+        }).join('\n');
+        const flag = (lead, field) => `
+            <td title="${attribute(stageTitle(lead))}"><input type="checkbox" data-lead-flag="${field}" data-lead-id="${lead.lead_id}" ${lead[field] ? 'checked' : ''}></td>
+        `;
+        const scoreClass = (score) => score >= 4 ? 'high' : score >= 3 ? 'medium' : 'low';
+        const scoreLabels = {
+            relevance_score: 'Relevance',
+            contact_role_score: 'Contact Role',
+            location_score: 'Location',
+            completeness_score: 'Completeness',
+            online_presence_score: 'Online Presence'
+        };
+        // Hover text: each score with the reason it was given
+        const scoreTitle = (lead) => Object.entries(scoreLabels)
+            .filter(([field]) => lead[field] !== null)
+            .map(([field, name]) => {
+                const reason = lead.scoring?.reasons?.[field];
+                return `${name}: ${lead[field]}${reason ? ` (${reason})` : ''}`;
+            })
+            .concat(lead.scoring ? [`Scored by ${lead.scoring.method === 'assistant' ? lead.scoring.employee_id : lead.scoring.method}`] : [])
+            .join('\n');
+        const websiteLink = (website) => {
+            const url = /^https?:\/\//i.test(website) ? website : `https://${website}`;
+            return `<a href="${attribute(url)}" target="_blank" rel="noopener">${text(website)}</a>`;
+        };
+        
+        document.getElementById('leadsTableBody').innerHTML = leads.map(lead => `
+            <tr>
+                <td>${lead.lead_number}</td>
+                <td>
+                    <div class="business-info">
+                        <strong>${text(lead.business_name)}</strong>
+                        <small>${[lead.industry && text(lead.industry), lead.website && websiteLink(lead.website)].filter(Boolean).join(' &middot; ')}</small>
+                    </div>
+                </td>
+                <td>
+                    <div class="contact-info">
+                        <strong>${text(lead.contact_name) || '&mdash;'}</strong>
+                        ${lead.role_title ? `<small>${text(lead.role_title)}</small>` : ''}
+                        ${lead.email ? `<small><a href="mailto:${attribute(lead.email)}">${text(lead.email)}</a></small>` : ''}
+                        ${lead.phone ? `<small>${text(lead.phone)}</small>` : ''}
+                    </div>
+                </td>
+                <td>${text(lead.location) || '&mdash;'}</td>
+                <td>
+                    ${lead.average_score === null ? '&mdash;' : `<span class="score ${scoreClass(lead.average_score)}" title="${attribute(scoreTitle(lead))}">${lead.average_score}</span>`}
+                    <button type="button" class="btn secondary lead-score" data-lead-score="${lead.lead_id}" title="Score with the rules">Score</button>
+                </td>
+                ${flag(lead, 'validated')}
+                ${flag(lead, 'outreach_sent')}
+                ${flag(lead, 'response')}
+                ${flag(lead, 'converted')}
+                <td><small>${lead.source.type === 'employee' ? text(lead.source.employee_name) : lead.source.type === 'import' ? `Import${lead.source.file_name ? ` (${text(lead.source.file_name)})` : ''}` : 'Manual'}</small></td>
+                <td><button type="button" class="btn secondary lead-delete" data-lead-delete="${lead.lead_id}" title="Delete lead">&times;</button></td>
+            </tr>
+        `).join('');
+        
+        document.getElementById('leadsSummary').textContent = total === 0
+            ? 'No leads match these filters.'
+            : `Showing ${leads.length} of ${total} lead${total === 1 ? '' : 's'}`;
+    }
+    
+    async saveLead(e) {
+        e.preventDefault();
+        
+        const form = this.leadForm;
+        const saveButton = document.getElementById('saveLeadButton');
+        const lead = {};
+        ['business_name', 'contact_name', 'role_title', 'email', 'phone', 'website', 'location', 'industry'].forEach(field => {
+            const value = form.elements[field].value.trim();
+            if (value) lead[field] = value;
+        });
+        
+        saveButton.disabled = true;
+        this.showLeadFormError(null);
+        
+        try {
+            const response = await this.adminFetch('/api/leads', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(lead)
+            });
+            const data = await response.json();
+            
+            if (!response.ok) {
+                throw new Error(data.details || data.error);
+            }
+            
+            this.hideLeadForm();
+            this.showNotification(`🎯 Lead #${data.lead_number} ${data.business_name} added`, 'success');
+            this.loadLeads();
+        } catch (error) {
+            console.error('Failed to add lead:', error);
+            this.showLeadFormError(error.message);
+        } finally {
+            saveButton.disabled = false;
+        }
+    }
+    
+    async updateLead(leadId, fields) {
+        try {
+            const response = await this.adminFetch(`/api/leads/${encodeURIComponent(leadId)}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(fields)
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.details || data.error);
+            }
+            // Ticking or clearing one stage moves the others with it
+            this.loadLeads();
+        } catch (error) {
+            console.error('Failed to update lead:', error);
+            this.showNotification(`❌ Could not update lead: ${error.message}`, 'error');
+            this.loadLeads();
+        }
+    }
+    
+    async scoreLead(leadId) {
+        try {
+            const response = await this.adminFetch(`/api/leads/${encodeURIComponent(leadId)}/score`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ mode: 'rules' })
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.details || data.error);
+            }
+            this.showNotification(`🧮 Lead #${data.lead_number} scored ${data.average_score}`, 'success');
+            this.loadLeads();
+        } catch (error) {
+            console.error('Failed to score lead:', error);
+            this.showNotification(`❌ Could not score lead: ${error.message}`, 'error');
+        }
+    }
+    
+    async deleteLead(leadId) {
+        if (!confirm('Delete this lead?')) return;
+        
+        try {
+            const response = await this.adminFetch(`/api/leads/${encodeURIComponent(leadId)}`, { method: 'DELETE' });
+            if (!response.ok) {
+                const data = await response.json();
+                throw new Error(data.details || data.error);
+            }
+            this.loadLeads();
+        } catch (error) {
+            console.error('Failed to delete lead:', error);
+            this.showNotification(`❌ Could not delete lead: ${error.message}`, 'error');
+        }
+    }
+    
+    setupQuickActions() {
+        // Quick actions are now handled in updateQuickActions
+    }
+    
+    setupChat() {
+        // Event listeners
+        this.chatForm.addEventListener('submit', (e) => this.handleSubmit(e));
+        this.messageInput.addEventListener('input', () => this.handleInput());
+        this.messageInput.addEventListener('keydown', (e) => this.handleKeydown(e));
+        
+        // Auto-resize textarea
+        this.messageInput.addEventListener('input', () => this.autoResize());
+    }
+    
+    setupModal() {
+        const configButton = document.getElementById('configureBtn');
+        
+        configButton.addEventListener('click', () => this.showConfigModal());
+        this.closeModal.addEventListener('click', () => this.hideConfigModal());
+        
+        // Close modal when clicking outside
+        this.configModal.addEventListener('click', (e) => {
+            if (e.target === this.configModal) {
+                this.hideConfigModal();
+            }
+        });
+    }
+    
+    async checkServerStatus() {
+        try {
+            console.log('🔍 Checking server status...');
+            const response = await fetch('/api/status');
+            
+            console.log('📊 Server status response:', {
+                status: response.status,
+                ok: response.ok,
+                headers: Object.fromEntries(response.headers.entries())
+            });
+            
+            if (!response.ok) {
+                throw new Error(`Server returned ${response.status}: ${response.statusText}`);
+            }
+            
+            const data = await response.json();
+            console.log('✅ Server status data:', data);
+            
+            if (!data.services_initialized.openai || !data.configuration.api_key_configured) {
+                this.addErrorMessage('⚠️ Server configuration incomplete. Please check your environment variables.');
+            }
+        } catch (error) {
+            console.error('❌ Failed to check server status:', error);
+            this.addErrorMessage('⚠️ Unable to connect to server. Please check if the server is running.');
+        }
+    }
+    
+    async showConfigModal() {
+        this.configModal.style.display = 'flex';
         this.configContent.innerHTML = '<div class="loading">Loading configuration...</div>';
         
         try {
             const response = await fetch(`/api/assistant-info?employee=${this.currentEmployee}`);
             const data = await response.json();
             
+            if (response.status === 503 && data.error === 'Assistant not configured') {
+                this.renderAssistantCreator(this.currentEmployee);
+                return;
+            }
+            
             if (!response.ok) {
                 throw new Error(data.details || data.error);
             }
             
-            this.displayConfigInfo(data);
+            await this.loadAssistantEditor(data.id);
         } catch (error) {
             this.configContent.innerHTML = `
                 <div class="error-message">
-                    Failed to load assistant configuration: ${error.message}
+                    Failed to load assistant configuration: ${this.escapeHtml(error.message)}
                 </div>
             `;
         }
     }
     
-    displayConfigInfo(config) {
-        const html = `
-            <div class="config-section">
-                <h3>Basic Information</h3>
-                <div class="config-item">
-                    <div class="config-label">Assistant ID</div>
-                    <div class="config-value">${config.id}</div>
-                </div>
-                <div class="config-item">
-                    <div class="config-label">Name</div>
-                    <div class="config-value">${config.name || 'Not set'}</div>
+    /**
+     * Text made safe for element content and quoted attribute values
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text ?? '';
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+    
+    /**
+     * Fields shared by the create and edit forms
+     */
+    assistantFormFields() {
+        return `
+            <div class="form-row">
+                <div class="form-field">
+                    <label for="assistantName">Name</label>
+                    <input type="text" id="assistantName" name="name" maxlength="256">
                 </div>
-                <div class="config-item">
-                    <div class="config-label">Model</div>
-                    <div class="config-value">${config.model}</div>
+                <div class="form-field">
+                    <label for="assistantModel">Model</label>
+                    <input type="text" id="assistantModel" name="model" list="assistantModels" required>
+                    <datalist id="assistantModels">
+                        <option value="gpt-4o"></option>
+                        <option value="gpt-4o-mini"></option>
+                        <option value="gpt-4.1"></option>
+                        <option value="gpt-4.1-mini"></option>
+                    </datalist>
                 </div>
-                <div class="config-item">
-                    <div class="config-label">Description</div>
-                    <div class="config-value">${config.description || 'Not set'}</div>
+            </div>
+            <div class="form-row">
+                <div class="form-field">
+                    <label for="assistantTemperature">Temperature (0-2)</label>
+                    <input type="number" id="assistantTemperature" name="temperature" min="0" max="2" step="0.1">
                 </div>
-                <div class="config-item">
-                    <div class="config-label">Employee</div>
-                    <div class="config-value">${config.employee?.name} (${config.employee?.role})</div>
+                <div class="form-field">
+                    <label for="assistantDescription">Description</label>
+                    <input type="text" id="assistantDescription" name="description" maxlength="512">
                 </div>
             </div>
-            
+            <div class="form-field">
+                <label for="assistantInstructions">Instructions</label>
+                <textarea id="assistantInstructions" name="instructions" rows="10" class="code-input"></textarea>
+            </div>
+            <div class="form-field">
+                <label for="assistantTools">Tools (JSON array of OpenAI tool definitions)</label>
+                <textarea id="assistantTools" name="tools" rows="8" class="code-input"></textarea>
+            </div>
+            <div class="form-field">
+                <label for="assistantNote">Change note (optional)</label>
+                <input type="text" id="assistantNote" name="note" placeholder="e.g. Ask for phone numbers first">
+            </div>
+            <div class="form-error" style="display: none;"></div>
+        `;
+    }
+    
+    /**
+     * Read the assistant form; throws when the tools JSON doesn't parse
+     */
+    readAssistantForm(form) {
+        const value = (field) => form.elements[field].value.trim();
+        let tools;
+        try {
+            tools = value('tools') ? JSON.parse(value('tools')) : [];
+        } catch (error) {
+            throw new Error(`Tools must be valid JSON: ${error.message}`);
+        }
+        
+        return {
+            name: value('name') || null,
+            description: value('description') || null,
+            model: value('model'),
+            temperature: value('temperature') === '' ? null : parseFloat(value('temperature')),
+            instructions: form.elements.instructions.value || null,
+            tools,
+            note: value('note') || null
+        };
+    }
+    
+    showAssistantFormError(form, message) {
+        const errorBox = form.querySelector('.form-error');
+        errorBox.textContent = message || '';
+        errorBox.style.display = message ? 'block' : 'none';
+    }
+    
+    renderAssistantCreator(employeeId) {
+        const employee = this.employees[employeeId];
+        this.configContent.innerHTML = `
             <div class="config-section">
-                <h3>Instructions</h3>
-                <div class="config-item">
-                    <div class="config-value" style="white-space: pre-wrap; font-family: monospace; font-size: 12px;">${config.instructions || 'No instructions set'}</div>
-                </div>
+                <h3>Create an assistant for ${this.escapeHtml(employee.name)}</h3>
+                <p class="config-hint">${this.escapeHtml(employee.name)} is not connected to an OpenAI assistant yet. Create one here and it will be linked to this employee.</p>
+                <form class="employee-form" id="assistantForm">
+                    ${this.assistantFormFields()}
+                    <div class="form-actions">
+                        <button type="submit" class="btn primary">Create Assistant</button>
+                    </div>
+                </form>
             </div>
+        `;
+        
+        const form = document.getElementById('assistantForm');
+        form.elements.name.value = employee.name;
+        form.elements.model.value = 'gpt-4o';
+        form.elements.description.value = employee.specialty;
+        form.elements.tools.value = '[]';
+        
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const submitButton = form.querySelector('button[type="submit"]');
+            submitButton.disabled = true;
+            this.showAssistantFormError(form, null);
             
+            try {
+                const settings = this.readAssistantForm(form);
+                const created = await this.assistantRequest('/api/assistants', 'POST', settings);
+                
+                // Point the employee at the new assistant
+                await this.assistantRequest(`/api/employees/${encodeURIComponent(employeeId)}`, 'PUT', {
+                    assistantId: created.assistant.id
+                });
+                await this.loadEmployees();
+                
+                this.showNotification(`✅ Created assistant for ${employee.name}`, 'success');
+                await this.loadAssistantEditor(created.assistant.id);
+            } catch (error) {
+                this.showAssistantFormError(form, error.message);
+            } finally {
+                submitButton.disabled = false;
+            }
+        });
+    }
+    
+    async loadAssistantEditor(assistantId) {
+        const response = await fetch(`/api/assistants/${encodeURIComponent(assistantId)}`);
+        const data = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(data.details || data.error);
+        }
+        
+        this.renderAssistantEditor(data.assistant);
+        this.loadAssistantVersions(assistantId);
+    }
+    
+    renderAssistantEditor(assistant) {
+        const employee = this.employees[this.currentEmployee];
+        this.configContent.innerHTML = `
             <div class="config-section">
-                <h3>Tools</h3>
-                ${config.tools && config.tools.length > 0 ? 
-                    config.tools.map(tool => `
-                        <div class="config-item">
-                            <div class="config-label">${tool.type}</div>
-                            <div class="config-value">${tool.function ? tool.function.name : 'Built-in tool'}</div>
-                        </div>
-                    `).join('') : 
-                    '<div class="config-item"><div class="config-value">No tools configured</div></div>'
-                }
+                <h3>${this.escapeHtml(employee?.name)} &middot; <span class="config-mono">${this.escapeHtml(assistant.id)}</span></h3>
+                <form class="employee-form" id="assistantForm">
+                    ${this.assistantFormFields()}
+                    <div class="form-actions">
+                        <span class="version-label">Version ${assistant.version}</span>
+                        <button type="submit" class="btn primary">Save Changes</button>
+                    </div>
+                </form>
+            </div>
+            <div class="config-section">
+                <h3>Version History</h3>
+                <div class="version-list" id="assistantVersions">
+                    <div class="loading">Loading versions...</div>
+                </div>
+                <div class="diff-view" id="assistantDiff" style="display: none;"></div>
             </div>
         `;
         
-        this.configContent.innerHTML = html;
+        const form = document.getElementById('assistantForm');
+        form.elements.name.value = assistant.name || '';
+        form.elements.model.value = assistant.model || '';
+        form.elements.temperature.value = assistant.temperature ?? '';
+        form.elements.description.value = assistant.description || '';
+        form.elements.instructions.value = assistant.instructions || '';
+        form.elements.tools.value = JSON.stringify(assistant.tools || [], null, 2);
+        
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const submitButton = form.querySelector('button[type="submit"]');
+            submitButton.disabled = true;
+            this.showAssistantFormError(form, null);
+            
+            try {
+                const settings = this.readAssistantForm(form);
+                const updated = await this.assistantRequest(`/api/assistants/${encodeURIComponent(assistant.id)}`, 'PUT', settings);
+                
+                this.showNotification(`💾 Saved ${updated.assistant.name || assistant.id} as version ${updated.assistant.version}`, 'success');
+                this.renderAssistantEditor(updated.assistant);
+                this.loadAssistantVersions(assistant.id);
+            } catch (error) {
+                this.showAssistantFormError(form, error.message);
+            } finally {
+                submitButton.disabled = false;
+            }
+        });
+    }
+    
+    async loadAssistantVersions(assistantId) {
+        const list = document.getElementById('assistantVersions');
+        
+        try {
+            const response = await fetch(`/api/assistants/${encodeURIComponent(assistantId)}/versions`);
+            const data = await response.json();
+            
+            if (!response.ok) {
+                throw new Error(data.details || data.error);
+            }
+            
+            list.innerHTML = data.versions.map((version, index) => `
+                <div class="version-item">
+                    <div class="version-info">
+                        <div class="version-title">v${version.version} &middot; ${this.escapeHtml(version.source)} &middot; ${new Date(version.created_at).toLocaleString()}</div>
+                        <div class="version-meta">${this.escapeHtml(version.note || (version.changed_fields.length ? `Changed: ${version.changed_fields.join(', ')}` : 'Initial version'))}</div>
+                    </div>
+                    <div class="version-actions">
+                        ${index < data.versions.length - 1 ? `<button class="btn secondary" data-diff="${version.version}">Diff</button>` : ''}
+                        ${index > 0 ? `<button class="btn secondary" data-rollback="${version.version}">Restore</button>` : ''}
+                    </div>
+                </div>
+            `).join('');
+            
+            list.querySelectorAll('[data-diff]').forEach(button => {
+                button.addEventListener('click', () => this.showAssistantDiff(assistantId, parseInt(button.dataset.diff, 10)));
+            });
+            list.querySelectorAll('[data-rollback]').forEach(button => {
+                button.addEventListener('click', () => this.rollbackAssistant(assistantId, parseInt(button.dataset.rollback, 10)));
+            });
+        } catch (error) {
+            list.innerHTML = `<div class="error-message">Failed to load versions: ${this.escapeHtml(error.message)}</div>`;
+        }
+    }
+    
+    /**
+     * Show what a version changed compared to the version before it
+     */
+    async showAssistantDiff(assistantId, version) {
+        const diffView = document.getElementById('assistantDiff');
+        diffView.style.display = 'block';
+        diffView.innerHTML = '<div class="loading">Loading diff...</div>';
+        
+        try {
+            const response = await fetch(`/api/assistants/${encodeURIComponent(assistantId)}/diff?to=${version}`);
+            const data = await response.json();
+            
+            if (!response.ok) {
+                throw new Error(data.details || data.error);
+            }
+            
+            const sections = Object.entries(data.changes).map(([field, change]) => {
+                let body;
+                if (field === 'instructions') {
+                    body = change.lines.map(({ op, line }) => {
+                        const prefix = op === 'add' ? '+' : op === 'remove' ? '-' : ' ';
+                        return `<div class="diff-line diff-${op}">${prefix} ${this.escapeHtml(line)}</div>`;
+                    }).join('');
+                } else if (field === 'tools') {
+                    body = ['added', 'removed', 'changed']
+                        .filter(kind => change[kind].length > 0)
+                        .map(kind => `<div class="diff-line diff-${kind === 'added' ? 'add' : kind === 'removed' ? 'remove' : 'equal'}">${kind}: ${this.escapeHtml(change[kind].join(', '))}</div>`)
+                        .join('');
+                } else {
+                    body = `
+                        <div class="diff-line diff-remove">- ${this.escapeHtml(JSON.stringify(change.from))}</div>
+                        <div class="diff-line diff-add">+ ${this.escapeHtml(JSON.stringify(change.to))}</div>
+                    `;
+                }
+                return `<div class="diff-field"><div class="config-label">${field}</div>${body}</div>`;
+            });
+            
+            diffView.innerHTML = `
+                <div class="diff-header">v${data.from_version} &rarr; v${data.to_version}</div>
+                ${sections.join('') || '<div class="config-value">No differences</div>'}
+            `;
+        } catch (error) {
+            diffView.innerHTML = `<div class="error-message">Failed to load diff: ${this.escapeHtml(error.message)}</div>`;
+        }
+    }
+    
+    async rollbackAssistant(assistantId, version) {
+        if (!confirm(`Restore version ${version}? The current settings stay in the history.`)) return;
+        
+        try {
+            const data = await this.assistantRequest(`/api/assistants/${encodeURIComponent(assistantId)}/rollback`, 'POST', { version });
+            this.showNotification(`⏪ Restored version ${version} (now version ${data.assistant.version})`, 'success');
+            this.renderAssistantEditor(data.assistant);
+            this.loadAssistantVersions(assistantId);
+        } catch (error) {
+            this.showNotification(`❌ Rollback failed: ${error.message}`, 'error');
+        }
+    }
+    
+    /**
+     * JSON request to an admin endpoint; resolves to the response body or throws its error
+     */
+    async assistantRequest(url, method, body) {
+        const response = await this.adminFetch(url, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const data = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(data.details || data.error);
+        }
+        return data;
     }
     
     hideConfigModal() {
@@ -815,6 +2200,9 @@ class AICommandCenter {
         // Show typing indicator
         this.showTypingIndicator();
         
+        // Replay window for thread events published while this request is in flight
+        const requestStartedAt = Date.now();
+        
         try {
             const requestBody = { 
                 message,
@@ -831,32 +2219,9 @@ class AICommandCenter {
             
             console.log('📤 Request body:', requestBody);
             
-            const response = await fetch('/api/ask', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify(requestBody)
-            });
-            
-            console.log('📥 Response received:', {
-                status: response.status,
-                ok: response.ok,
-                headers: Object.fromEntries(response.headers.entries())
-            });
-            
-            // Check if response is JSON
-            const contentType = response.headers.get('content-type');
-            console.log('📋 Content-Type:', contentType);
-            
-            if (!contentType || !contentType.includes('application/json')) {
-                const textResponse = await response.text();
-                console.error('❌ Non-JSON response received:', textResponse);
-                throw new Error('Server returned non-JSON response. Please check server logs.');
-            }
-            
-            const data = await response.json();
-            console.log('✅ JSON data received:', data);
+            // Stream the run so tokens, status changes and tool dispatches show up live
+            const { response, data } = await this.streamAsk(requestBody);
+            console.log('✅ Final data received:', data);
             
             // Hide typing indicator
             this.hideTypingIndicator();
@@ -868,6 +2233,7 @@ class AICommandCenter {
                     this.addErrorMessage(`${data.details || data.error}`);
                     if (data.status === 'requires_action') {
                         this.addToolCallStatus([{function: 'Waiting for tool completion...'}]);
+                        this.subscribeToThreadEvents(data.thread_id, this.currentEmployee);
                     }
                 } else {
                     throw new Error(data.details || data.error || `HTTP ${response.status}`);
@@ -889,33 +2255,329 @@ class AICommandCenter {
             
             if (data.status === 'completed') {
                 console.log(`✅ ${this.employees[this.currentEmployee].name} completed without tool calls`);
-                // Assistant completed without tool calls
-                this.addMessage(data.message, 'assistant');
+                // Assistant completed without tool calls - replace the streamed text with the final message
+                this.finalizeStreamingMessage(data.message, data.assistant_message);
             } else if (data.status === 'requires_action') {
                 console.log(`🔧 ${this.employees[this.currentEmployee].name} requires tool calls:`, data.tool_calls?.length || 0);
                 // Tool calls were sent to webhook
+                this.finalizeStreamingMessage(null);
                 this.addMessage(data.message, 'assistant');
-                this.addToolCallStatus(data.tool_calls);
+                if (!this.streamToolStatus) {
+                    this.addToolCallStatus(data.tool_calls);
+                }
                 
-                // Keep waiting state until webhook responses come back
-                // In a real implementation, you might want to poll for updates
-                // or use WebSockets for real-time updates
+                // The final answer arrives when the webhook posts back - listen for it
+                this.subscribeToThreadEvents(data.thread_id, this.currentEmployee, requestStartedAt);
             }
             
         } catch (error) {
             console.error('❌ Error sending message:', error);
             this.hideTypingIndicator();
+            this.finalizeStreamingMessage(null);
             this.addErrorMessage(`Failed to send message: ${error.message}`);
         } finally {
+            this.streamingMessage = null;
+            this.streamToolStatus = null;
             this.setWaitingState(false);
+            this.loadConversations();
         }
     }
     
-    addMessage(content, sender) {
-        this.addMessageToUI(content, sender, new Date().toISOString(), true);
+    subscribeToThreadEvents(threadId, employeeId, sinceMs = Date.now()) {
+        if (!threadId || this.threadSubscriptions.has(threadId)) return;
+        
+        console.log(`👂 Subscribing to events for thread ${threadId} (${employeeId})`);
+        const source = new EventSource(`/api/threads/${encodeURIComponent(threadId)}/events?since=${sinceMs}`);
+        this.threadSubscriptions.set(threadId, source);
+        
+        const parse = (event) => {
+            try {
+                return JSON.parse(event.data);
+            } catch (error) {
+                console.error('❌ Could not parse thread event:', event.data);
+                return {};
+            }
+        };
+        
+        source.addEventListener('tool_output.received', (event) => {
+            const data = parse(event);
+            if (this.isViewingThread(employeeId, threadId)) {
+                const waiting = data.waiting_for?.length ? ` (waiting for ${data.waiting_for.length} more)` : '';
+                this.addToolCallStatus([{ function: `📥 Result received for ${data.tool_call_id}${waiting}` }]);
+            }
+        });
+        
+        source.addEventListener('leads.ingested', (event) => {
+            const leads = parse(event);
+            this.showNotification(`🎯 ${leads.created} new lead${leads.created === 1 ? '' : 's'} saved, ${leads.updated} updated`, 'success');
+            this.loadLeadMetrics();
+            if (document.getElementById('leads-section').classList.contains('active')) {
+                this.loadLeads();
+            }
+        });
+        
+        source.addEventListener('run.requires_action', (event) => {
+            const data = parse(event);
+            if (this.isViewingThread(employeeId, threadId)) {
+                this.addToolCallStatus(data.tool_calls);
+            }
+        });
+        
+        source.addEventListener('delegation.started', (event) => {
+            const data = parse(event);
+            if (this.isViewingThread(employeeId, threadId)) {
+                this.addToolCallStatus([{ function: `🤝 Handed to ${data.to_employee_name}: ${data.task}` }]);
+            }
+        });
+
+        source.addEventListener('delegation.completed', (event) => {
+            const data = parse(event);
+            if (this.isViewingThread(employeeId, threadId)) {
+                const outcome = data.status === 'completed' ? 'finished' : `failed (${data.error})`;
+                this.addToolCallStatus([{ function: `🤝 ${data.to_employee_name} ${outcome}` }]);
+            }
+        });
+
+        source.addEventListener('run.completed', (event) => {
+            const data = parse(event);
+            this.deliverThreadMessage(employeeId, threadId, data.message, data.assistant_message);
+            this.unsubscribeFromThreadEvents(threadId);
+        });
+        
+        source.addEventListener('run.failed', (event) => {
+            const data = parse(event);
+            if (this.isViewingThread(employeeId, threadId)) {
+                this.addErrorMessage(`Tool processing failed: ${data.details || data.error}`);
+            } else {
+                this.showNotification(`❌ ${this.employees[employeeId].name}: tool processing failed`, 'error');
+            }
+            this.unsubscribeFromThreadEvents(threadId);
+        });
+    }
+    
+    unsubscribeFromThreadEvents(threadId) {
+        const source = this.threadSubscriptions.get(threadId);
+        if (source) {
+            source.close();
+            this.threadSubscriptions.delete(threadId);
+            console.log(`👋 Unsubscribed from events for thread ${threadId}`);
+        }
+    }
+    
+    isViewingThread(employeeId, threadId) {
+        return this.currentEmployee === employeeId && this.currentThreadId === threadId;
+    }
+    
+    deliverThreadMessage(employeeId, threadId, content, richMessage = null) {
+        if (!content) return;
+        
+        if (this.isViewingThread(employeeId, threadId)) {
+            this.addMessage(content, 'assistant', richMessage);
+            return;
+        }
+        
+        // The user moved on - the server keeps the reply with its thread; only the
+        // employee's last open thread is mirrored locally
+        if (this.conversationHistory.get(employeeId)?.threadId === threadId) {
+            this.addMessageToHistory(content, 'assistant', null, employeeId, richMessage);
+        }
+        this.showNotification(`💬 ${this.employees[employeeId].name} finished working on your request`, 'success');
+        this.loadConversations();
+    }
+    
+    async streamAsk(requestBody) {
+        const response = await fetch('/api/ask/stream', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'text/event-stream'
+            },
+            body: JSON.stringify(requestBody)
+        });
+        
+        console.log('📥 Stream response received:', {
+            status: response.status,
+            ok: response.ok
+        });
+        
+        const contentType = response.headers.get('content-type') || '';
+        
+        // Validation and configuration errors come back as regular JSON
+        if (!contentType.includes('text/event-stream')) {
+            if (!contentType.includes('application/json')) {
+                const textResponse = await response.text();
+                console.error('❌ Non-JSON response received:', textResponse);
+                throw new Error('Server returned non-JSON response. Please check server logs.');
+            }
+            return { response, data: await response.json() };
+        }
+        
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let finalData = null;
+        
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) break;
+            
+            buffer += decoder.decode(value, { stream: true });
+            
+            // SSE events are separated by a blank line
+            let boundary;
+            while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                const rawEvent = buffer.slice(0, boundary);
+                buffer = buffer.slice(boundary + 2);
+                
+                const parsed = this.parseServerSentEvent(rawEvent);
+                if (!parsed) continue;
+                
+                if (parsed.event === 'done') {
+                    finalData = parsed.data;
+                } else if (parsed.event === 'error') {
+                    const streamError = parsed.data;
+                    if (streamError.http_status === 409) {
+                        // Thread busy - handled like the 409 answers of POST /api/ask
+                        return { response: { ok: false, status: 409 }, data: streamError };
+                    }
+                    throw new Error(streamError.details || streamError.error || 'Streaming failed');
+                } else {
+                    this.handleStreamEvent(parsed.event, parsed.data);
+                }
+            }
+        }
+        
+        if (!finalData) {
+            throw new Error('Stream ended before the assistant finished. Please try again.');
+        }
+        
+        return { response, data: finalData };
+    }
+    
+    parseServerSentEvent(rawEvent) {
+        let event = 'message';
+        const dataLines = [];
+        
+        rawEvent.split('\n').forEach(line => {
+            if (line.startsWith('event:')) {
+                event = line.slice(6).trim();
+            } else if (line.startsWith('data:')) {
+                dataLines.push(line.slice(5).trim());
+            }
+        });
+        
+        // Heartbeats are comment-only events
+        if (dataLines.length === 0) return null;
+        
+        try {
+            return { event, data: JSON.parse(dataLines.join('\n')) };
+        } catch (error) {
+            console.error('❌ Could not parse stream event:', rawEvent);
+            return null;
+        }
+    }
+    
+    handleStreamEvent(event, data) {
+        console.log(`🌊 Stream event: ${event}`, data);
+        
+        switch (event) {
+            case 'thread':
+                this.currentThreadId = data.thread_id;
+                break;
+            case 'run.status':
+                this.updateTypingStatus(this.describeRunStatus(data.status));
+                break;
+            case 'message.delta':
+                this.appendStreamingDelta(data.text);
+                break;
+            case 'tool_calls.requested':
+                this.finalizeStreamingMessage(null);
+                this.streamToolStatus = this.addToolCallStatus(data.tool_calls);
+                break;
+            case 'tool_calls.dispatched':
+                this.updateToolCallStatus(this.streamToolStatus, data.webhook_results);
+                break;
+            case 'tool_outputs.submitted':
+                // Local tools answered everything - the run keeps streaming
+                this.streamToolStatus = null;
+                this.updateTypingStatus('Processing tool results...');
+                break;
+        }
+    }
+    
+    describeRunStatus(status) {
+        const labels = {
+            queued: 'Queued...',
+            in_progress: 'Thinking...',
+            requires_action: 'Preparing tools...',
+            completed: 'Finishing up...'
+        };
+        return labels[status] || status;
+    }
+    
+    updateTypingStatus(text) {
+        if (!this.currentTypingMessage) return;
+        
+        let statusLabel = this.currentTypingMessage.querySelector('.typing-status');
+        if (!statusLabel) {
+            statusLabel = document.createElement('div');
+            statusLabel.className = 'typing-status';
+            this.currentTypingMessage.querySelector('.message-content').appendChild(statusLabel);
+        }
+        statusLabel.textContent = text;
+    }
+    
+    appendStreamingDelta(text) {
+        if (!text) return;
+        
+        if (!this.streamingMessage) {
+            this.hideTypingIndicator();
+            
+            const messageDiv = document.createElement('div');
+            messageDiv.className = 'message assistant streaming';
+            const contentDiv = document.createElement('div');
+            contentDiv.className = 'message-content';
+            const p = document.createElement('p');
+            contentDiv.appendChild(p);
+            messageDiv.appendChild(contentDiv);
+            this.chatMessages.appendChild(messageDiv);
+            
+            this.streamingMessage = { element: messageDiv, textNode: p, text: '' };
+        }
+        
+        this.streamingMessage.text += text;
+        this.streamingMessage.textNode.textContent = this.streamingMessage.text;
+        this.scrollToBottom();
     }
     
-    addMessageToUI(content, sender, timestamp, addToHistory = true) {
+    finalizeStreamingMessage(finalContent, richMessage = null) {
+        const streamed = this.streamingMessage;
+        this.streamingMessage = null;
+        
+        if (!streamed) {
+            if (finalContent) {
+                this.addMessage(finalContent, 'assistant', richMessage);
+            }
+            return;
+        }
+        
+        // Re-render the streamed bubble with the final text and add it to history
+        streamed.element.remove();
+        const content = finalContent || streamed.text;
+        if (content && content.trim()) {
+            this.addMessage(content, 'assistant', finalContent ? richMessage : null);
+        }
+    }
+    
+    addMessage(content, sender, richMessage = null) {
+        this.addMessageToUI(content, sender, new Date().toISOString(), true, richMessage);
+    }
+    
+    /**
+     * richMessage is a normalized thread message (see services/message-model.js); its
+     * images and cited files are shown under the text
+     */
+    addMessageToUI(content, sender, timestamp, addToHistory = true, richMessage = null) {
         const messageDiv = document.createElement('div');
         messageDiv.className = `message ${sender}`;
         
@@ -936,6 +2598,10 @@ class AICommandCenter {
             contentDiv.appendChild(p);
         }
         
+        if (richMessage) {
+            this.renderRichContent(contentDiv, richMessage);
+        }
+        
         const timeDiv = document.createElement('div');
         timeDiv.className = 'message-time';
         timeDiv.textContent = this.formatTime(new Date(timestamp));
@@ -948,7 +2614,42 @@ class AICommandCenter {
         
         // Add to conversation history for THIS employee
         if (addToHistory) {
-            this.addMessageToHistory(content, sender);
+            this.addMessageToHistory(content, sender, null, this.currentEmployee, richMessage);
+        }
+    }
+    
+    fileContentUrl(fileId, threadId) {
+        return `/api/files/${encodeURIComponent(fileId)}/content?thread_id=${encodeURIComponent(threadId || '')}`;
+    }
+    
+    renderRichContent(contentDiv, richMessage) {
+        (richMessage.content || []).forEach(part => {
+            if (part.type !== 'image_file' && part.type !== 'image_url') return;
+            const img = document.createElement('img');
+            img.className = 'message-image';
+            img.alt = 'Image from assistant';
+            img.loading = 'lazy';
+            img.src = part.type === 'image_file'
+                ? this.fileContentUrl(part.file_id, richMessage.thread_id)
+                : part.url;
+            contentDiv.appendChild(img);
+        });
+        
+        if (richMessage.citations?.length) {
+            const list = document.createElement('ol');
+            list.className = 'message-citations';
+            richMessage.citations.forEach(citation => {
+                const item = document.createElement('li');
+                item.value = citation.index;
+                const link = document.createElement('a');
+                link.href = this.fileContentUrl(citation.file_id, richMessage.thread_id);
+                link.target = '_blank';
+                link.rel = 'noopener';
+                link.textContent = citation.quote ? `“${citation.quote}”` : citation.file_id;
+                item.appendChild(link);
+                list.appendChild(item);
+            });
+            contentDiv.appendChild(list);
         }
     }
     
@@ -972,6 +2673,24 @@ class AICommandCenter {
         
         this.chatMessages.appendChild(statusDiv);
         this.scrollToBottom();
+        
+        return statusDiv;
+    }
+    
+    updateToolCallStatus(statusDiv, webhookResults) {
+        if (!statusDiv || !webhookResults) return;
+        
+        const summary = webhookResults.map(result => {
+            if (result.status === 'error') {
+                return `❌ ${result.toolCallId}: ${result.error}`;
+            }
+            return result.local
+                ? `🧰 ${result.toolCallId}: done locally`
+                : `📡 ${result.toolCallId}: sent to webhook`;
+        }).join(' · ');
+        
+        statusDiv.textContent = `🔧 Tools dispatched - ${summary}`;
+        this.scrollToBottom();
     }
     
     showTypingIndicator() {
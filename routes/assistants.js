@@ -0,0 +1,170 @@
+const express = require('express');
+const { requireAdmin } = require('../middleware/admin-auth');
+const { AssistantManagerError } = require('../services/assistant-manager');
+
+/**
+ * Build the router for creating, editing and versioning OpenAI assistants
+ */
+function createAssistantsRouter({ assistantManager }) {
+  const router = express.Router();
+
+  const requireAssistantManager = (req, res, next) => {
+    if (!assistantManager) {
+      return res.status(503).json({
+        error: 'Service unavailable',
+        details: 'Assistant management is not available because the OpenAI service is not properly configured.'
+      });
+    }
+    next();
+  };
+
+  const handleError = (res, next, error) => {
+    if (error instanceof AssistantManagerError) {
+      return res.status(error.status).json({ ...error.body, timestamp: new Date().toISOString() });
+    }
+    next(error);
+  };
+
+  const parseVersion = (value) => {
+    const version = parseInt(value, 10);
+    return Number.isInteger(version) && version > 0 ? version : null;
+  };
+
+  const describe = ({ assistant, version }) => ({
+    id: assistant.id,
+    name: assistant.name,
+    description: assistant.description,
+    instructions: assistant.instructions,
+    model: assistant.model,
+    temperature: assistant.temperature,
+    tools: assistant.tools,
+    created_at: assistant.created_at,
+    version
+  });
+
+  router.use('/assistants', requireAssistantManager);
+
+  /**
+   * POST /assistants - Create an assistant ({ name, model, instructions, temperature, tools, note })
+   */
+  router.post('/assistants', requireAdmin, async (req, res, next) => {
+    try {
+      const { note, ...settings } = req.body || {};
+      const result = await assistantManager.createAssistant(settings, { note });
+
+      res.status(201).json({
+        assistant: describe(result),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      handleError(res, next, error);
+    }
+  });
+
+  /**
+   * GET /assistants/:id - Current settings and version number
+   */
+  router.get('/assistants/:id', async (req, res, next) => {
+    try {
+      const result = await assistantManager.getAssistant(req.params.id);
+
+      res.json({
+        assistant: describe(result),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      handleError(res, next, error);
+    }
+  });
+
+  /**
+   * PUT /assistants/:id - Change settings; only the fields sent are updated
+   */
+  router.put('/assistants/:id', requireAdmin, async (req, res, next) => {
+    try {
+      const { note, ...changes } = req.body || {};
+      const result = await assistantManager.updateAssistant(req.params.id, changes, { note });
+
+      res.json({
+        assistant: describe(result),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      handleError(res, next, error);
+    }
+  });
+
+  /**
+   * GET /assistants/:id/versions - Version history, newest first
+   */
+  router.get('/assistants/:id/versions', (req, res) => {
+    res.json({
+      assistant_id: req.params.id,
+      versions: assistantManager.listVersions(req.params.id).reverse(),
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * GET /assistants/:id/versions/:version - Full settings of one version
+   */
+  router.get('/assistants/:id/versions/:version', (req, res) => {
+    const version = assistantManager.getVersion(req.params.id, parseVersion(req.params.version));
+    if (!version) {
+      return res.status(404).json({
+        error: 'Version not found',
+        details: `Assistant '${req.params.id}' has no version ${req.params.version}`
+      });
+    }
+
+    res.json({
+      assistant_id: req.params.id,
+      ...version,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * GET /assistants/:id/diff?from=&to= - Changes between two versions
+   * (default: the latest version against the one before it)
+   */
+  router.get('/assistants/:id/diff', (req, res, next) => {
+    try {
+      res.json({
+        ...assistantManager.diff(req.params.id, parseVersion(req.query.from), parseVersion(req.query.to)),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      handleError(res, next, error);
+    }
+  });
+
+  /**
+   * POST /assistants/:id/rollback - Restore an earlier version ({ version, note })
+   */
+  router.post('/assistants/:id/rollback', requireAdmin, async (req, res, next) => {
+    try {
+      const version = parseVersion(req.body?.version);
+      if (!version) {
+        return res.status(400).json({
+          error: 'Missing or invalid version field',
+          details: 'version must be a positive integer'
+        });
+      }
+
+      const result = await assistantManager.rollback(req.params.id, version, { note: req.body.note });
+
+      res.json({
+        assistant: describe(result),
+        rolled_back_to: version,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      handleError(res, next, error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = createAssistantsRouter;
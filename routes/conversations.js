@@ -0,0 +1,144 @@
+const express = require('express');
+const { requireAdmin } = require('../middleware/admin-auth');
+const { ConversationStoreError } = require('../services/conversation-store');
+const { ConversationExportError } = require('../services/conversation-export');
+
+/**
+ * Build the router for the server-side conversation history
+ */
+function createConversationsRouter({ conversationStore, conversationExporter, webhookHandler }) {
+  const router = express.Router();
+
+  const handleError = (res, next, error) => {
+    if (error instanceof ConversationStoreError || error instanceof ConversationExportError) {
+      return res.status(error.status).json({ ...error.body, timestamp: new Date().toISOString() });
+    }
+    next(error);
+  };
+
+  // Tool calls still waiting for outputs, so each thread shows its own pending work
+  const withPendingCalls = (conversations) => {
+    const pendingCalls = webhookHandler ? webhookHandler.getPendingCalls() : [];
+    return conversations.map(conversation => ({
+      ...conversation,
+      pending_tool_calls: pendingCalls.filter(call =>
+        call.threadId === conversation.thread_id && call.status !== 'answered'
+      ).length
+    }));
+  };
+
+  /**
+   * GET /conversations?employee=brenden&archived=true&limit=50 - Conversations, pinned first,
+   * then most recently active. Archived ones are only listed with archived=true.
+   */
+  router.get('/conversations', (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const conversations = withPendingCalls(conversationStore.list({
+      employeeId: req.query.employee || null,
+      archived: req.query.archived === 'true',
+      limit
+    }));
+
+    res.json({
+      conversations,
+      count: conversations.length,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * GET /conversations/search?q=florists+pasadena&employee= - Full-text search over all messages
+   */
+  router.get('/conversations/search', (req, res) => {
+    const query = String(req.query.q || '').trim();
+    if (!query) {
+      return res.status(400).json({
+        error: 'Missing query',
+        details: 'Pass the words to search for as ?q='
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const results = withPendingCalls(conversationStore.search(query, { employeeId: req.query.employee || null, limit }));
+
+    res.json({
+      query,
+      results,
+      count: results.length,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * GET /conversations/:threadId - One conversation with all its messages
+   */
+  router.get('/conversations/:threadId', (req, res) => {
+    const conversation = conversationStore.get(req.params.threadId);
+    if (!conversation) {
+      return res.status(404).json({
+        error: 'Conversation not found',
+        details: `No conversation recorded for thread '${req.params.threadId}'`
+      });
+    }
+
+    res.json({ ...withPendingCalls([conversation])[0], timestamp: new Date().toISOString() });
+  });
+
+  /**
+   * GET /conversations/:threadId/export?format=md|json|html|pdf - Download the whole thread,
+   * tool calls and webhook outputs included. Only recorded conversations are exported.
+   */
+  router.get('/conversations/:threadId/export', async (req, res, next) => {
+    if (!conversationExporter) {
+      return res.status(503).json({
+        error: 'Service unavailable',
+        details: 'Exports read the thread from OpenAI, which is not properly configured.'
+      });
+    }
+    if (!conversationStore.has(req.params.threadId)) {
+      return res.status(404).json({
+        error: 'Conversation not found',
+        details: `No conversation recorded for thread '${req.params.threadId}'`
+      });
+    }
+
+    try {
+      const exported = await conversationExporter.exportThread(req.params.threadId, req.query.format || 'md');
+      res.set('Content-Type', exported.contentType);
+      res.attachment(exported.filename);
+      res.send(exported.body);
+    } catch (error) {
+      handleError(res, next, error);
+    }
+  });
+
+  /**
+   * PUT /conversations/:threadId - Rename, pin or archive ({ title, pinned, archived })
+   */
+  router.put('/conversations/:threadId', (req, res, next) => {
+    try {
+      const conversation = conversationStore.update(req.params.threadId, req.body || {});
+      res.json({ ...conversation, timestamp: new Date().toISOString() });
+    } catch (error) {
+      handleError(res, next, error);
+    }
+  });
+
+  /**
+   * DELETE /conversations/:threadId - Forget a conversation (the OpenAI thread is kept)
+   */
+  router.delete('/conversations/:threadId', requireAdmin, (req, res) => {
+    if (!conversationStore.delete(req.params.threadId)) {
+      return res.status(404).json({
+        error: 'Conversation not found',
+        details: `No conversation recorded for thread '${req.params.threadId}'`
+      });
+    }
+
+    res.json({ thread_id: req.params.threadId, deleted: true, timestamp: new Date().toISOString() });
+  });
+
+  return router;
+}
+
+module.exports = createConversationsRouter;
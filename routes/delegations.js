@@ -0,0 +1,53 @@
+const express = require('express');
+
+/**
+ * Build the router for employee-to-employee delegations
+ */
+function createDelegationsRouter({ delegationManager }) {
+  const router = express.Router();
+
+  const requireService = (req, res, next) => {
+    if (!delegationManager) {
+      return res.status(503).json({
+        error: 'Service unavailable',
+        details: 'Delegations need the OpenAI service, which is not properly configured.'
+      });
+    }
+    next();
+  };
+
+  /**
+   * GET /delegations?thread_id=&employee= - Delegations touching a thread or an employee, newest first
+   */
+  router.get('/delegations', requireService, (req, res) => {
+    const delegations = delegationManager.list({
+      threadId: req.query.thread_id || null,
+      employeeId: req.query.employee || null
+    });
+
+    res.json({
+      delegations,
+      count: delegations.length,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * GET /delegations/:id - One delegation with its parent and child run
+   */
+  router.get('/delegations/:id', requireService, (req, res) => {
+    const delegation = delegationManager.get(req.params.id);
+    if (!delegation) {
+      return res.status(404).json({
+        error: 'Delegation not found',
+        details: `No delegation with id '${req.params.id}'`
+      });
+    }
+
+    res.json({ ...delegation, timestamp: new Date().toISOString() });
+  });
+
+  return router;
+}
+
+module.exports = createDelegationsRouter;
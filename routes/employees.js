@@ -0,0 +1,134 @@
+const express = require('express');
+const { requireAdmin } = require('../middleware/admin-auth');
+const { EmployeeRegistryError } = require('../services/employee-registry');
+
+/**
+ * Build the router serving and managing the AI employee registry
+ */
+function createEmployeesRouter({ employeeRegistry, openaiService }) {
+  const router = express.Router();
+
+  /**
+   * Make sure OpenAI knows the assistant before an employee points at it.
+   * Placeholder IDs mark employees that aren't connected yet and are not checked.
+   */
+  const verifyAssistant = async (assistantId) => {
+    if (typeof assistantId !== 'string' || assistantId.includes('placeholder')) {
+      return null;
+    }
+
+    if (!openaiService) {
+      throw new EmployeeRegistryError(503, {
+        error: 'Service unavailable',
+        details: 'Cannot verify the assistant ID because the OpenAI service is not properly configured.'
+      });
+    }
+
+    const assistant = await openaiService.retrieveAssistant(assistantId);
+    if (!assistant) {
+      throw new EmployeeRegistryError(400, {
+        error: 'Assistant not found',
+        details: `OpenAI has no assistant '${assistantId}' for this API key`
+      });
+    }
+
+    console.log(`✅ Verified assistant ${assistantId} (${assistant.name || 'unnamed'})`);
+    return { id: assistant.id, name: assistant.name, model: assistant.model };
+  };
+
+  const handleError = (res, next, error) => {
+    if (error instanceof EmployeeRegistryError) {
+      return res.status(error.status).json({ ...error.body, timestamp: new Date().toISOString() });
+    }
+    next(error);
+  };
+
+  /**
+   * GET /employees - Employees from the registry file (secrets stripped).
+   * `version` changes whenever the file is reloaded.
+   */
+  router.get('/employees', (req, res) => {
+    res.json({
+      employees: employeeRegistry.getPublicEmployees(),
+      version: employeeRegistry.version,
+      updated_at: employeeRegistry.updatedAt,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * POST /employees - Add an employee ({ id, name, role, specialty, assistantId, webhookUrl, ... })
+   */
+  router.post('/employees', requireAdmin, async (req, res, next) => {
+    try {
+      const { id, ...fields } = req.body || {};
+
+      if (typeof id !== 'string' || id.trim() === '') {
+        return res.status(400).json({
+          error: 'Missing or invalid id field',
+          details: 'id must be a non-empty string such as "sarah"'
+        });
+      }
+
+      const assistant = await verifyAssistant(fields.assistantId);
+      const employee = employeeRegistry.createEmployee(id, fields);
+
+      res.status(201).json({
+        employee_id: id,
+        employee,
+        assistant,
+        version: employeeRegistry.version,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      handleError(res, next, error);
+    }
+  });
+
+  /**
+   * PUT /employees/:id - Update an employee; fields not sent are kept, null removes optional ones
+   */
+  router.put('/employees/:id', requireAdmin, async (req, res, next) => {
+    try {
+      const { id, connected, ...fields } = req.body || {};
+      const current = employeeRegistry.employees[req.params.id];
+
+      const assistant = current && fields.assistantId !== undefined && fields.assistantId !== current.assistantId
+        ? await verifyAssistant(fields.assistantId)
+        : null;
+      const employee = employeeRegistry.updateEmployee(req.params.id, fields);
+
+      res.json({
+        employee_id: req.params.id,
+        employee,
+        assistant,
+        version: employeeRegistry.version,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      handleError(res, next, error);
+    }
+  });
+
+  /**
+   * DELETE /employees/:id - Remove an employee from the registry
+   */
+  router.delete('/employees/:id', requireAdmin, (req, res, next) => {
+    try {
+      employeeRegistry.deleteEmployee(req.params.id);
+
+      res.json({
+        employee_id: req.params.id,
+        deleted: true,
+        version: employeeRegistry.version,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      handleError(res, next, error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = createEmployeesRouter;
@@ -0,0 +1,107 @@
+const express = require('express');
+const config = require('../config');
+const { requireAdmin } = require('../middleware/admin-auth');
+const { AssistantManagerError } = require('../services/assistant-manager');
+
+/**
+ * Build the router for the function schema library
+ */
+function createFunctionsRouter({ functionLibrary, toolRegistry, assistantManager }) {
+  const router = express.Router();
+
+  const findEmployee = (req, res) => {
+    const employee = config.employees[req.params.employee || req.query.employee];
+    if (!employee) {
+      res.status(404).json({
+        error: 'Employee not found',
+        details: `Employee '${req.params.employee || req.query.employee}' is not configured`
+      });
+    }
+    return employee;
+  };
+
+  /**
+   * GET /functions?employee=brenden - Function schemas in an employee's library
+   */
+  router.get('/functions', (req, res) => {
+    const employeeId = req.query.employee;
+    if (!employeeId) {
+      return res.status(400).json({
+        error: 'Missing employee parameter',
+        details: 'Use /api/functions?employee=<id>'
+      });
+    }
+    if (!findEmployee(req, res)) return;
+
+    functionLibrary.refresh();
+
+    res.json({
+      employee_id: employeeId,
+      functions: functionLibrary.list(employeeId).map(definition => ({
+        name: definition.name,
+        description: definition.description || '',
+        parameters: definition.parameters,
+        result: definition.result || null
+      })),
+      definitions: functionLibrary.getFunctionDefinitions(employeeId),
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * POST /functions/:employee/push - Push the library (and local tools) to the employee's assistant.
+   * Body: { prune: false, include_local_tools: true, note }
+   */
+  router.post('/functions/:employee/push', requireAdmin, async (req, res, next) => {
+    const employeeId = req.params.employee;
+
+    try {
+      const employee = findEmployee(req, res);
+      if (!employee) return;
+
+      if (!assistantManager) {
+        return res.status(503).json({
+          error: 'Service unavailable',
+          details: 'Cannot push functions because the OpenAI service is not properly configured.'
+        });
+      }
+
+      if (employee.assistantId.includes('placeholder')) {
+        return res.status(409).json({
+          error: 'Assistant not configured',
+          details: `${employee.name} is not connected to an assistant yet`
+        });
+      }
+
+      const { prune = false, include_local_tools: includeLocalTools = true, note = null } = req.body || {};
+
+      functionLibrary.refresh();
+      const definitions = [
+        ...functionLibrary.getFunctionDefinitions(employeeId),
+        ...(includeLocalTools ? toolRegistry.getFunctionDefinitions(employeeId) : [])
+      ];
+
+      console.log(`📤 Pushing ${definitions.length} functions to ${employee.name} (${employee.assistantId})${prune ? ' with prune' : ''}`);
+      const result = await assistantManager.syncFunctions(employee.assistantId, definitions, { prune: prune === true, note });
+
+      res.json({
+        employee_id: employeeId,
+        assistant_id: employee.assistantId,
+        version: result.version,
+        added: result.added,
+        updated: result.updated,
+        removed: result.removed,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      if (error instanceof AssistantManagerError) {
+        return res.status(error.status).json({ ...error.body, timestamp: new Date().toISOString() });
+      }
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = createFunctionsRouter;
@@ -0,0 +1,71 @@
+const express = require('express');
+
+/**
+ * Build the router for asynchronous /ask jobs
+ */
+function createJobsRouter({ jobManager }) {
+  const router = express.Router();
+
+  const requireJobManager = (req, res, next) => {
+    if (!jobManager) {
+      return res.status(503).json({
+        error: 'Service unavailable',
+        details: 'Job processing is not available because the OpenAI service is not properly configured.'
+      });
+    }
+    next();
+  };
+
+  /**
+   * GET /jobs/:id - Get job status and, once finished, its result
+   */
+  router.get('/jobs/:id', requireJobManager, (req, res) => {
+    const job = jobManager.getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        error: 'Job not found',
+        details: `No job with id '${req.params.id}'`
+      });
+    }
+
+    res.json(job);
+  });
+
+  /**
+   * DELETE /jobs/:id - Cancel a job and its underlying OpenAI run
+   */
+  router.delete('/jobs/:id', requireJobManager, async (req, res, next) => {
+    try {
+      const existing = jobManager.getJob(req.params.id);
+      if (!existing) {
+        return res.status(404).json({
+          error: 'Job not found',
+          details: `No job with id '${req.params.id}'`
+        });
+      }
+
+      if (['completed', 'failed', 'cancelled'].includes(existing.status)) {
+        return res.status(409).json({
+          error: 'Job already finished',
+          details: `Job '${existing.id}' is ${existing.status} and can no longer be cancelled`,
+          job: existing
+        });
+      }
+
+      const job = await jobManager.cancelJob(req.params.id);
+      console.log(`🛑 Cancel request for job ${job.id} accepted, status: ${job.status}`);
+
+      res.status(202).json({
+        status: 'cancelling',
+        job,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = createJobsRouter;
@@ -0,0 +1,295 @@
+const express = require('express');
+const { requireAdmin } = require('../middleware/admin-auth');
+const { LeadStoreError, FLAG_FIELDS } = require('../services/lead-store');
+const { LeadScoringError, SCORE_FIELDS } = require('../services/lead-scoring');
+const { LeadSpreadsheetError } = require('../services/lead-spreadsheets');
+const { LeadFunnelError } = require('../services/lead-funnel');
+
+/**
+ * Build the router for the lead database
+ */
+function createLeadsRouter({ leadStore, leadScorer, leadSpreadsheets, leadFunnel }) {
+  const router = express.Router();
+  const errorTypes = [LeadStoreError, LeadScoringError, LeadSpreadsheetError, LeadFunnelError];
+
+  const handleError = (res, next, error) => {
+    if (errorTypes.some(type => error instanceof type)) {
+      return res.status(error.status).json({ ...error.body, timestamp: new Date().toISOString() });
+    }
+    next(error);
+  };
+
+  // Filters shared by the lead list and the export
+  const filterOptions = (query) => {
+    const flags = {};
+    FLAG_FIELDS.forEach(field => {
+      if (query[field] === 'true' || query[field] === 'false') {
+        flags[field] = query[field] === 'true';
+      }
+    });
+    const minScore = parseFloat(query.min_score);
+
+    return {
+      q: String(query.q || ''),
+      industry: String(query.industry || ''),
+      location: String(query.location || ''),
+      employeeId: query.employee || null,
+      flags,
+      stage: query.stage ? String(query.stage) : null,
+      minScore: Number.isNaN(minScore) ? null : minScore
+    };
+  };
+
+  /**
+   * GET /leads?q=&industry=&location=&employee=&validated=true&stage=response&min_score=3&sort=average_score&order=desc&limit=50&offset=0
+   * Leads matching every filter given; `total` counts all matches, `leads` is one page of them
+   */
+  router.get('/leads', (req, res, next) => {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    try {
+      const { leads, total } = leadStore.listLeads({
+        ...filterOptions(req.query),
+        sort: req.query.sort || 'created_at',
+        order: req.query.order === 'asc' ? 'asc' : 'desc',
+        limit,
+        offset
+      });
+
+      res.json({
+        leads,
+        count: leads.length,
+        total,
+        limit,
+        offset,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      handleError(res, next, error);
+    }
+  });
+
+  /**
+   * POST /leads - Add a lead by hand ({ business_name, contact_name, email, ... })
+   */
+  router.post('/leads', requireAdmin, (req, res, next) => {
+    try {
+      const lead = leadStore.createLead(req.body || {});
+      res.status(201).json({ ...lead, timestamp: new Date().toISOString() });
+    } catch (error) {
+      handleError(res, next, error);
+    }
+  });
+
+  /**
+   * GET /leads/funnel?from=2026-10-01&to=2026-11-01&employee=brenden&industry=florist&group_by=week
+   * How far leads got through the pipeline within the window, optionally per employee,
+   * industry, or day, week or month of creation
+   */
+  router.get('/leads/funnel', (req, res, next) => {
+    try {
+      const report = leadFunnel.report({
+        from: req.query.from || null,
+        to: req.query.to || null,
+        employeeId: req.query.employee || null,
+        industry: String(req.query.industry || ''),
+        groupBy: req.query.group_by || null
+      });
+      res.json({ ...report, timestamp: new Date().toISOString() });
+    } catch (error) {
+      handleError(res, next, error);
+    }
+  });
+
+  /**
+   * GET /leads/export?format=csv|xlsx - Every lead matching the list filters, by Lead #,
+   * in the column layout of the QA template
+   */
+  router.get('/leads/export', async (req, res, next) => {
+    try {
+      const { leads } = leadStore.listLeads({
+        ...filterOptions(req.query),
+        sort: req.query.sort || 'lead_number',
+        order: req.query.order === 'desc' ? 'desc' : 'asc',
+        limit: Infinity
+      });
+      const file = await leadSpreadsheets.exportLeads(leads, String(req.query.format || 'csv'));
+
+      res.set('Content-Type', file.contentType);
+      res.set('Content-Disposition', `attachment; filename="${file.filename}"`);
+      res.send(file.body);
+    } catch (error) {
+      handleError(res, next, error);
+    }
+  });
+
+  /**
+   * POST /leads/import?filename=leads.xlsx - Upload a CSV or XLSX file as the request body.
+   * Nothing is saved yet: the answer previews how its columns map to lead fields and which
+   * rows have errors, under an import_id to correct and commit.
+   */
+  router.post('/leads/import', requireAdmin, express.raw({ type: () => true, limit: '10mb' }), async (req, res, next) => {
+    try {
+      const preview = await leadSpreadsheets.startImport(req.body, {
+        fileName: req.query.filename ? String(req.query.filename) : null,
+        format: req.query.format ? String(req.query.format) : null,
+        contentType: req.get('Content-Type') || ''
+      });
+      res.status(201).json({ ...preview, timestamp: new Date().toISOString() });
+    } catch (error) {
+      handleError(res, next, error);
+    }
+  });
+
+  /**
+   * GET /leads/import/:importId - The preview of a pending import
+   */
+  router.get('/leads/import/:importId', (req, res, next) => {
+    try {
+      res.json({ ...leadSpreadsheets.getImport(req.params.importId), timestamp: new Date().toISOString() });
+    } catch (error) {
+      handleError(res, next, error);
+    }
+  });
+
+  /**
+   * PUT /leads/import/:importId - Correct the column mapping ({ mapping: { "Column header": "field" | null } })
+   */
+  router.put('/leads/import/:importId', requireAdmin, (req, res, next) => {
+    try {
+      const preview = leadSpreadsheets.remapImport(req.params.importId, (req.body || {}).mapping);
+      res.json({ ...preview, timestamp: new Date().toISOString() });
+    } catch (error) {
+      handleError(res, next, error);
+    }
+  });
+
+  /**
+   * POST /leads/import/:importId - Save the valid rows ({ mapping } optional, as for PUT);
+   * reports what happened to each row, with the errors of the rows that were not saved
+   */
+  router.post('/leads/import/:importId', requireAdmin, (req, res, next) => {
+    try {
+      const result = leadSpreadsheets.commitImport(req.params.importId, (req.body || {}).mapping || null);
+      res.json({ ...result, timestamp: new Date().toISOString() });
+    } catch (error) {
+      handleError(res, next, error);
+    }
+  });
+
+  /**
+   * GET /leads/:id - One lead
+   */
+  router.get('/leads/:id', (req, res, next) => {
+    try {
+      res.json({ ...leadStore.getLead(req.params.id), timestamp: new Date().toISOString() });
+    } catch (error) {
+      handleError(res, next, error);
+    }
+  });
+
+  /**
+   * PUT /leads/:id - Change a lead; fields not sent are kept
+   */
+  router.put('/leads/:id', requireAdmin, (req, res, next) => {
+    try {
+      const lead = leadStore.updateLead(req.params.id, req.body || {});
+      res.json({ ...lead, timestamp: new Date().toISOString() });
+    } catch (error) {
+      handleError(res, next, error);
+    }
+  });
+
+  /**
+   * GET /leads/:id/score - The lead's saved scores next to what the scoring rules would give it
+   */
+  router.get('/leads/:id/score', (req, res, next) => {
+    try {
+      const lead = leadStore.getLead(req.params.id);
+      res.json({
+        lead_id: lead.lead_id,
+        current: {
+          ...Object.fromEntries(SCORE_FIELDS.map(field => [field, lead[field]])),
+          average_score: lead.average_score,
+          scoring: lead.scoring
+        },
+        rules: leadScorer.evaluate(lead),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      handleError(res, next, error);
+    }
+  });
+
+  /**
+   * POST /leads/:id/score - Score a lead and save the result. { mode: 'rules' } (default) applies
+   * the scoring rules; { mode: 'assistant', employee: 'brenden' } asks an employee instead and
+   * answers 202 while its run is still working.
+   */
+  router.post('/leads/:id/score', requireAdmin, async (req, res, next) => {
+    const { mode = 'rules', employee = 'brenden' } = req.body || {};
+
+    try {
+      if (mode === 'rules') {
+        return res.json({ ...leadScorer.scoreLead(req.params.id), timestamp: new Date().toISOString() });
+      }
+      if (mode !== 'assistant') {
+        return res.status(400).json({
+          error: 'Invalid scoring mode',
+          details: `Mode '${mode}' is not supported (use rules or assistant)`
+        });
+      }
+
+      const result = await leadScorer.scoreWithAssistant(req.params.id, employee);
+      if (result.status === 'completed') {
+        return res.json({ ...result.lead, timestamp: new Date().toISOString() });
+      }
+      res.status(202).json({
+        lead_id: req.params.id,
+        status: 'scoring',
+        employee_id: employee,
+        thread_id: result.thread_id,
+        run_id: result.run_id,
+        message: 'The employee is still working; scores are saved when its run completes',
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      handleError(res, next, error);
+    }
+  });
+
+  /**
+   * POST /leads/:id/stage - Move a lead to another pipeline stage
+   * ({ stage: 'outreach_sent', note: 'Sent the spring catalog', user: 'maria' })
+   */
+  router.post('/leads/:id/stage', requireAdmin, (req, res, next) => {
+    const { stage, note = null, user = null } = req.body || {};
+
+    try {
+      const { lead, transition } = leadStore.moveLead(req.params.id, stage, {
+        actor: { type: 'user', user: typeof user === 'string' && user.trim() ? user.trim() : null },
+        note
+      });
+      res.json({ ...lead, transition, timestamp: new Date().toISOString() });
+    } catch (error) {
+      handleError(res, next, error);
+    }
+  });
+
+  /**
+   * DELETE /leads/:id - Remove a lead
+   */
+  router.delete('/leads/:id', requireAdmin, (req, res, next) => {
+    try {
+      leadStore.deleteLead(req.params.id);
+      res.json({ lead_id: req.params.id, deleted: true, timestamp: new Date().toISOString() });
+    } catch (error) {
+      handleError(res, next, error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = createLeadsRouter;
@@ -0,0 +1,115 @@
+const express = require('express');
+const { validateAskRequest } = require('../middleware/validation');
+const { AskPipelineError } = require('../services/ask-pipeline');
+const { openEventStream } = require('../services/sse');
+
+/**
+ * Build the router for Server-Sent Events endpoints
+ */
+function createStreamRouter({ askPipeline, threadEvents }) {
+  const router = express.Router();
+
+  /**
+   * POST /ask/stream - Same as POST /ask, but streams the run as Server-Sent Events:
+   * token deltas, run status changes, tool-call dispatches and a final `done` event
+   * carrying the regular /ask response body.
+   */
+  router.post('/ask/stream', validateAskRequest, async (req, res) => {
+    const { message, employee = 'brenden', thread_id } = req.body;
+
+    console.log('=== STREAMING ASK REQUEST RECEIVED ===');
+    console.log('Request body:', req.body);
+
+    if (!askPipeline) {
+      return res.status(503).json({
+        error: 'Service unavailable',
+        details: 'OpenAI service is not properly configured. Please check your environment variables.'
+      });
+    }
+
+    // Configuration problems are still answered as plain JSON errors
+    try {
+      askPipeline.resolveEmployee(employee);
+    } catch (error) {
+      return res.status(error.status || 500).json(error.body || { error: error.message });
+    }
+
+    const events = openEventStream(res);
+    let runStream = null;
+
+    events.onClose(() => {
+      if (runStream) {
+        console.log('🔌 Stream client disconnected, aborting assistant stream');
+        runStream.abort();
+      }
+    });
+
+    try {
+      const response = await askPipeline.stream(
+        { message, employeeId: employee, threadId: thread_id },
+        (event, data) => events.send(event, data),
+        {
+          isCancelled: () => events.closed,
+          onStream: (stream) => { runStream = stream; }
+        }
+      );
+
+      console.log(`✅ Stream finished for ${response.employee.name} with status ${response.status}`);
+      events.send('done', response);
+    } catch (error) {
+      console.error('=== STREAMING ASK ERROR ===');
+      console.error('Error in /ask/stream route:', error.message);
+      console.error('Context:', error.pipelineContext);
+
+      // http_status mirrors the status code POST /ask would have answered with
+      events.send('error', error instanceof AskPipelineError ? { ...error.body, http_status: error.status } : {
+        http_status: 500,
+        error: 'Request processing failed',
+        details: error.message,
+        context: {
+          thread_id: error.pipelineContext?.threadId || null,
+          run_id: error.pipelineContext?.runId || null,
+          timestamp: new Date().toISOString()
+        }
+      });
+    } finally {
+      events.close();
+    }
+  });
+
+  /**
+   * GET /threads/:thread_id/events - Subscribe to a thread's run updates (SSE).
+   * Webhook completions, follow-up tool calls and failures are pushed here, so the
+   * chat sees the final answer even though Make.com posted it to /webhook-response.
+   * Replays recent events after `Last-Event-ID` or `?since=<epoch ms>`.
+   */
+  router.get('/threads/:thread_id/events', (req, res) => {
+    const threadId = req.params.thread_id;
+    const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.last_event_id, 10) || 0;
+    const sinceMs = parseInt(req.query.since, 10) || 0;
+
+    const events = openEventStream(res);
+    console.log(`👂 Client subscribed to thread ${threadId} events`);
+
+    // Echo the resume point so this event doesn't move the client's Last-Event-ID
+    events.send('subscribed', { thread_id: threadId, timestamp: new Date().toISOString() }, lastEventId);
+
+    // Catch up on anything published before the subscription was opened
+    threadEvents.getRecentEvents(threadId, { afterId: lastEventId, sinceMs }).forEach(event => {
+      events.send(event.type, event.data, event.id);
+    });
+
+    const unsubscribe = threadEvents.subscribe(threadId, (event) => {
+      events.send(event.type, event.data, event.id);
+    });
+
+    events.onClose(() => {
+      unsubscribe();
+      console.log(`👋 Client unsubscribed from thread ${threadId} events`);
+    });
+  });
+
+  return router;
+}
+
+module.exports = createStreamRouter;
@@ -0,0 +1,132 @@
+const express = require('express');
+const config = require('../config');
+const { requireAdmin } = require('../middleware/admin-auth');
+const { TaskSchedulerError } = require('../services/task-scheduler');
+
+/**
+ * Build the router for scheduled employee tasks and their run history
+ */
+function createTasksRouter({ taskScheduler }) {
+  const router = express.Router();
+
+  const requireScheduler = (req, res, next) => {
+    if (!taskScheduler) {
+      return res.status(503).json({
+        error: 'Service unavailable',
+        details: 'Scheduled tasks need the OpenAI service, which is not properly configured.'
+      });
+    }
+    next();
+  };
+
+  const handleError = (res, next, error) => {
+    if (error instanceof TaskSchedulerError) {
+      return res.status(error.status).json({ ...error.body, timestamp: new Date().toISOString() });
+    }
+    next(error);
+  };
+
+  /**
+   * GET /tasks?employee=brenden - Scheduled tasks and recent runs, optionally for one employee
+   */
+  router.get('/tasks', requireScheduler, (req, res) => {
+    const employeeId = req.query.employee || null;
+    if (employeeId && !config.employees[employeeId]) {
+      return res.status(404).json({
+        error: 'Employee not found',
+        details: `Employee '${employeeId}' is not configured`
+      });
+    }
+
+    res.json({
+      employee_id: employeeId,
+      tasks: taskScheduler.listTasks({ employeeId }),
+      runs: taskScheduler.listRuns({ employeeId }),
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * POST /tasks - Schedule a task ({ employee_id, title, prompt, schedule, timezone, enabled, thread_mode })
+   */
+  router.post('/tasks', requireAdmin, requireScheduler, (req, res, next) => {
+    try {
+      const task = taskScheduler.createTask(req.body || {});
+      res.status(201).json({ ...task, timestamp: new Date().toISOString() });
+    } catch (error) {
+      handleError(res, next, error);
+    }
+  });
+
+  /**
+   * GET /tasks/:id - One task with its run history
+   */
+  router.get('/tasks/:id', requireScheduler, (req, res, next) => {
+    try {
+      res.json({
+        ...taskScheduler.getTask(req.params.id),
+        runs: taskScheduler.listRuns({ taskId: req.params.id }),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      handleError(res, next, error);
+    }
+  });
+
+  /**
+   * PUT /tasks/:id - Change a task; fields not sent are kept
+   */
+  router.put('/tasks/:id', requireAdmin, requireScheduler, (req, res, next) => {
+    try {
+      const task = taskScheduler.updateTask(req.params.id, req.body || {});
+      res.json({ ...task, timestamp: new Date().toISOString() });
+    } catch (error) {
+      handleError(res, next, error);
+    }
+  });
+
+  /**
+   * DELETE /tasks/:id - Remove a task and its finished runs
+   */
+  router.delete('/tasks/:id', requireAdmin, requireScheduler, (req, res, next) => {
+    try {
+      taskScheduler.deleteTask(req.params.id);
+      res.json({ task_id: req.params.id, deleted: true, timestamp: new Date().toISOString() });
+    } catch (error) {
+      handleError(res, next, error);
+    }
+  });
+
+  /**
+   * POST /tasks/:id/run - Run a task now, outside its schedule
+   */
+  router.post('/tasks/:id/run', requireAdmin, requireScheduler, (req, res, next) => {
+    try {
+      const run = taskScheduler.runTask(req.params.id, 'manual');
+      res.status(202).json({ ...run, timestamp: new Date().toISOString() });
+    } catch (error) {
+      handleError(res, next, error);
+    }
+  });
+
+  /**
+   * GET /tasks/:id/runs?limit=20 - Run history of a task, newest first
+   */
+  router.get('/tasks/:id/runs', requireScheduler, (req, res, next) => {
+    try {
+      taskScheduler.getTask(req.params.id);
+      const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+      res.json({
+        task_id: req.params.id,
+        runs: taskScheduler.listRuns({ taskId: req.params.id, limit }),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      handleError(res, next, error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = createTasksRouter;
@@ -0,0 +1,147 @@
+const express = require('express');
+const { THREAD_ID_PATTERN } = require('../services/thread-events');
+
+const FILE_REFERENCES_TTL_MS = 5 * 60 * 1000; // How long a thread's file ids are trusted
+const MAX_CACHED_THREADS = 200;
+
+/**
+ * Build the router for reading OpenAI threads and the files their messages refer to
+ */
+function createThreadsRouter({ openaiService, conversationStore }) {
+  const router = express.Router();
+  const fileReferences = new Map(); // threadId -> { fileIds, loadedAt }
+
+  /**
+   * Whether a message of the thread shows, cites or attaches the file. The thread's
+   * file ids are cached for a while and reloaded once when the file isn't among them.
+   */
+  const isReferenced = async (threadId, fileId) => {
+    const cached = fileReferences.get(threadId);
+    if (cached && Date.now() - cached.loadedAt < FILE_REFERENCES_TTL_MS && cached.fileIds.has(fileId)) {
+      return true;
+    }
+
+    const fileIds = new Set();
+    (await openaiService.getAllMessages(threadId)).forEach(message => {
+      message.content.forEach(part => part.file_id && fileIds.add(part.file_id));
+      message.citations.forEach(citation => citation.file_id && fileIds.add(citation.file_id));
+      message.attachments.forEach(attachment => attachment.file_id && fileIds.add(attachment.file_id));
+    });
+
+    fileReferences.delete(threadId);
+    fileReferences.set(threadId, { fileIds, loadedAt: Date.now() });
+    if (fileReferences.size > MAX_CACHED_THREADS) {
+      fileReferences.delete(fileReferences.keys().next().value);
+    }
+    return fileIds.has(fileId);
+  };
+
+  const requireOpenAI = (req, res, next) => {
+    if (!openaiService) {
+      return res.status(503).json({
+        error: 'Service unavailable',
+        details: 'OpenAI service is not properly configured. Please check your environment variables.'
+      });
+    }
+    next();
+  };
+
+  // OpenAI errors keep their status; only a missing thread or file is passed on as is
+  const handleError = (res, next, error, notFound) => {
+    if (error.status === 404) {
+      return res.status(404).json({ ...notFound, timestamp: new Date().toISOString() });
+    }
+    next(error);
+  };
+
+  /**
+   * GET /threads/:thread_id/messages?limit=20&order=desc&after=&before=&run_id=&steps=true -
+   * One page of normalized messages (text, annotations, citations, images, run and step ids).
+   * Follow `last_id` as the next `after` while `has_more` is true; all=true returns every page.
+   * Only conversations this server recorded are read.
+   */
+  router.get('/threads/:thread_id/messages', requireOpenAI, async (req, res, next) => {
+    const { thread_id: threadId } = req.params;
+    if (!conversationStore.has(threadId)) {
+      return res.status(404).json({
+        error: 'Thread not found',
+        details: `No known conversation has thread '${threadId}'`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const order = req.query.order === 'asc' ? 'asc' : 'desc';
+    const withSteps = req.query.steps === 'true';
+
+    try {
+      if (req.query.all === 'true') {
+        const messages = await openaiService.getAllMessages(threadId, { withSteps });
+        return res.json({
+          thread_id: threadId,
+          messages: order === 'asc' ? messages : messages.reverse(),
+          has_more: false,
+          count: messages.length,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const page = await openaiService.getMessages(threadId, {
+        limit: Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100),
+        order,
+        after: req.query.after,
+        before: req.query.before,
+        runId: req.query.run_id,
+        withSteps
+      });
+      res.json({
+        thread_id: threadId,
+        ...page,
+        count: page.messages.length,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      handleError(res, next, error, {
+        error: 'Thread not found',
+        details: `OpenAI has no thread '${threadId}'`
+      });
+    }
+  });
+
+  /**
+   * GET /files/:file_id/content?thread_id= - Proxy a file referenced by a message (generated
+   * images, cited files) so the chat can show it without an OpenAI key. Only files of
+   * conversations this server recorded are served.
+   */
+  router.get('/files/:file_id/content', requireOpenAI, async (req, res, next) => {
+    const { thread_id: threadId } = req.query;
+    if (typeof threadId !== 'string' || !THREAD_ID_PATTERN.test(threadId)) {
+      return res.status(400).json({
+        error: 'Missing thread_id',
+        details: 'Pass the thread_id of the message that references the file',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const notFound = {
+      error: 'File not found',
+      details: `No message of a known conversation references file '${req.params.file_id}'`
+    };
+
+    try {
+      if (!conversationStore.has(threadId) || !(await isReferenced(threadId, req.params.file_id))) {
+        return res.status(404).json({ ...notFound, timestamp: new Date().toISOString() });
+      }
+
+      const file = await openaiService.getFileContent(req.params.file_id);
+      res.set('Content-Type', file.contentType);
+      res.set('Cache-Control', 'private, max-age=3600');
+      res.send(file.data);
+    } catch (error) {
+      handleError(res, next, error, notFound);
+    }
+  });
+
+  return router;
+}
+
+module.exports = createThreadsRouter;
@@ -0,0 +1,41 @@
+const express = require('express');
+const config = require('../config');
+
+/**
+ * Build the router describing the local (in-process) tools
+ */
+function createToolsRouter({ toolRegistry }) {
+  const router = express.Router();
+
+  /**
+   * GET /tools - List local tools, optionally for one employee (?employee=brenden).
+   * `definitions` can be added to the assistant's tools as-is.
+   */
+  router.get('/tools', (req, res) => {
+    const employeeId = req.query.employee || null;
+
+    if (employeeId && !config.employees[employeeId]) {
+      return res.status(404).json({
+        error: 'Employee not found',
+        details: `Employee '${employeeId}' is not configured`
+      });
+    }
+
+    res.json({
+      employee_id: employeeId,
+      tools: toolRegistry.list(employeeId).map(tool => ({
+        name: tool.name,
+        description: tool.description,
+        employees: tool.employees,
+        timeout_ms: tool.timeoutMs,
+        deferred: tool.deferred
+      })),
+      definitions: toolRegistry.getFunctionDefinitions(employeeId),
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  return router;
+}
+
+module.exports = createToolsRouter;
@@ -0,0 +1,144 @@
+const express = require('express');
+const { requireAdmin } = require('../middleware/admin-auth');
+const { WorkflowError } = require('../services/workflow-engine');
+
+/**
+ * Build the router for workflow definitions and runs
+ */
+function createWorkflowsRouter({ workflowLibrary, workflowEngine }) {
+  const router = express.Router();
+
+  const requireEngine = (req, res, next) => {
+    if (!workflowEngine) {
+      return res.status(503).json({
+        error: 'Service unavailable',
+        details: 'Workflows need the OpenAI service, which is not properly configured.'
+      });
+    }
+    next();
+  };
+
+  const handleError = (res, next, error) => {
+    if (error instanceof WorkflowError) {
+      return res.status(error.status).json({ ...error.body, timestamp: new Date().toISOString() });
+    }
+    next(error);
+  };
+
+  const describeWorkflow = (workflow) => ({
+    id: workflow.id,
+    name: workflow.name,
+    description: workflow.description || '',
+    inputs: workflow.inputs || null,
+    steps: workflow.steps.map(step => ({
+      id: step.id,
+      name: step.name || step.id,
+      employee_id: step.employee,
+      prompt: step.prompt
+    }))
+  });
+
+  /**
+   * GET /workflows - Workflow definitions from the library
+   */
+  router.get('/workflows', (req, res) => {
+    workflowLibrary.refresh();
+
+    res.json({
+      workflows: workflowLibrary.list().map(describeWorkflow),
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * GET /workflows/runs?workflow=&status= - Workflow runs, newest first (without step outputs)
+   */
+  router.get('/workflows/runs', requireEngine, (req, res) => {
+    const runs = workflowEngine.listRuns({
+      workflowId: req.query.workflow || null,
+      status: req.query.status || null
+    });
+
+    res.json({ runs, count: runs.length, timestamp: new Date().toISOString() });
+  });
+
+  /**
+   * GET /workflows/runs/:runId - One run with every step's prompt, output and error
+   */
+  router.get('/workflows/runs/:runId', requireEngine, (req, res, next) => {
+    try {
+      res.json({ ...workflowEngine.getRun(req.params.runId), timestamp: new Date().toISOString() });
+    } catch (error) {
+      handleError(res, next, error);
+    }
+  });
+
+  /**
+   * POST /workflows/runs/:runId/cancel - Stop a run that is still in progress
+   */
+  router.post('/workflows/runs/:runId/cancel', requireAdmin, requireEngine, async (req, res, next) => {
+    try {
+      const run = await workflowEngine.cancel(req.params.runId);
+      res.json({ ...run, timestamp: new Date().toISOString() });
+    } catch (error) {
+      handleError(res, next, error);
+    }
+  });
+
+  /**
+   * POST /workflows/runs/:runId/retry - Run the failed step again and continue the workflow
+   */
+  router.post('/workflows/runs/:runId/retry', requireAdmin, requireEngine, (req, res, next) => {
+    try {
+      const run = workflowEngine.retry(req.params.runId);
+      res.status(202).json({ ...run, timestamp: new Date().toISOString() });
+    } catch (error) {
+      handleError(res, next, error);
+    }
+  });
+
+  /**
+   * GET /workflows/:id - One workflow definition
+   */
+  router.get('/workflows/:id', (req, res) => {
+    workflowLibrary.refresh();
+    const workflow = workflowLibrary.get(req.params.id);
+
+    if (!workflow) {
+      return res.status(404).json({
+        error: 'Workflow not found',
+        details: `No workflow '${req.params.id}'`
+      });
+    }
+
+    res.json({ ...describeWorkflow(workflow), timestamp: new Date().toISOString() });
+  });
+
+  /**
+   * POST /workflows/:id/runs - Start a run ({ inputs }); poll GET /workflows/runs/:runId for progress
+   */
+  router.post('/workflows/:id/runs', requireAdmin, requireEngine, (req, res, next) => {
+    try {
+      const inputs = req.body?.inputs || {};
+      if (typeof inputs !== 'object' || Array.isArray(inputs)) {
+        return res.status(400).json({
+          error: 'Invalid inputs field',
+          details: 'inputs must be an object'
+        });
+      }
+
+      const run = workflowEngine.start(req.params.id, inputs);
+      res.status(202).json({
+        ...run,
+        status_url: `/api/workflows/runs/${run.run_id}`,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      handleError(res, next, error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = createWorkflowsRouter;
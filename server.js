@@ -6,10 +6,26 @@ const path = require('path');
 
 const config = require('./config');
 const { errorHandler } = require('./middleware/validation');
-const assistantRoutes = require('./routes/assistant');
+const AppContext = require('./services/app-context');
+const createAssistantRouter = require('./routes/assistant');
+const createJobsRouter = require('./routes/jobs');
+const createStreamRouter = require('./routes/stream');
+const createToolsRouter = require('./routes/tools');
+const createEmployeesRouter = require('./routes/employees');
+const createAssistantsRouter = require('./routes/assistants');
+const createFunctionsRouter = require('./routes/functions');
+const createDelegationsRouter = require('./routes/delegations');
+const createWorkflowsRouter = require('./routes/workflows');
+const createTasksRouter = require('./routes/tasks');
+const createConversationsRouter = require('./routes/conversations');
+const createThreadsRouter = require('./routes/threads');
+const createLeadsRouter = require('./routes/leads');
 
 const app = express();
 
+// Shared services - created once, used by routes, timers and shutdown hooks
+const appContext = new AppContext();
+
 // Security middleware
 app.use(helmet({
   contentSecurityPolicy: {
@@ -31,7 +47,7 @@ app.use(cors({
     : true, // Allow all origins in development
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Webhook-Secret']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Webhook-Timestamp', 'X-Webhook-Nonce', 'X-Webhook-Signature']
 }));
 
 // Rate limiting
@@ -52,6 +68,8 @@ app.use(limiter);
 app.use(express.json({ 
   limit: '10mb',
   verify: (req, res, buf, encoding) => {
+    // Keep the exact bytes - webhook signatures are computed over them
+    req.rawBody = buf;
     try {
       JSON.parse(buf);
     } catch (e) {
@@ -95,7 +113,19 @@ app.get('/health', (req, res) => {
 });
 
 // API routes
-app.use('/api', assistantRoutes);
+app.use('/api', createAssistantRouter(appContext));
+app.use('/api', createJobsRouter(appContext));
+app.use('/api', createStreamRouter(appContext));
+app.use('/api', createToolsRouter(appContext));
+app.use('/api', createEmployeesRouter(appContext));
+app.use('/api', createAssistantsRouter(appContext));
+app.use('/api', createFunctionsRouter(appContext));
+app.use('/api', createDelegationsRouter(appContext));
+app.use('/api', createWorkflowsRouter(appContext));
+app.use('/api', createTasksRouter(appContext));
+app.use('/api', createConversationsRouter(appContext));
+app.use('/api', createThreadsRouter(appContext));
+app.use('/api', createLeadsRouter(appContext));
 
 // Serve chat interface at root
 app.get('/', (req, res) => {
@@ -111,7 +141,62 @@ app.get('/api-docs', (req, res) => {
     endpoints: {
       health: 'GET /health - Server health check',
       ask: 'POST /api/ask - Send message to OpenAI Assistant',
+      askStream: 'POST /api/ask/stream - Send message and stream the run as Server-Sent Events',
+      threadEvents: 'GET /api/threads/:thread_id/events - Subscribe to run updates for a thread (SSE)',
+      threadMessages: 'GET /api/threads/:thread_id/messages?limit=&order=&after=&before=&run_id=&steps=&all= - Paginated, normalized thread messages',
+      fileContent: 'GET /api/files/:file_id/content?thread_id= - Download a file or image referenced by a message of a known conversation',
+      job: 'GET /api/jobs/:id - Get status and result of an async ask job',
+      cancelJob: 'DELETE /api/jobs/:id - Cancel an async ask job and its OpenAI run',
       webhookResponse: 'POST /api/webhook-response - Receive webhook responses',
+      tools: 'GET /api/tools - List tools executed locally instead of via webhook',
+      employees: 'GET /api/employees - AI employee registry (reloaded when the registry file changes)',
+      createEmployee: 'POST /api/employees - Add an AI employee (admin)',
+      updateEmployee: 'PUT /api/employees/:id - Update an AI employee (admin)',
+      deleteEmployee: 'DELETE /api/employees/:id - Remove an AI employee (admin)',
+      createAssistant: 'POST /api/assistants - Create an OpenAI assistant (admin)',
+      assistant: 'GET /api/assistants/:id - Assistant settings and current version',
+      updateAssistant: 'PUT /api/assistants/:id - Update instructions, model, temperature or tools (admin)',
+      assistantVersions: 'GET /api/assistants/:id/versions - Local version history of an assistant',
+      assistantDiff: 'GET /api/assistants/:id/diff?from=&to= - Changes between two versions',
+      rollbackAssistant: 'POST /api/assistants/:id/rollback - Restore an earlier version (admin)',
+      functions: 'GET /api/functions?employee= - Function schemas in an employee\'s library',
+      pushFunctions: 'POST /api/functions/:employee/push - Push the function library to the employee\'s assistant (admin)',
+      delegations: 'GET /api/delegations?thread_id=&employee= - Tasks handed between employees',
+      delegation: 'GET /api/delegations/:id - One delegation with its parent and child run',
+      workflows: 'GET /api/workflows - Workflow definitions',
+      workflow: 'GET /api/workflows/:id - One workflow definition',
+      startWorkflow: 'POST /api/workflows/:id/runs - Start a workflow run with { inputs }',
+      workflowRuns: 'GET /api/workflows/runs?workflow=&status= - Workflow runs',
+      workflowRun: 'GET /api/workflows/runs/:runId - Workflow run with step state and outputs',
+      cancelWorkflowRun: 'POST /api/workflows/runs/:runId/cancel - Cancel a workflow run',
+      retryWorkflowRun: 'POST /api/workflows/runs/:runId/retry - Retry the failed step of a workflow run',
+      tasks: 'GET /api/tasks?employee= - Scheduled tasks and recent runs',
+      createTask: 'POST /api/tasks - Schedule a recurring prompt for an employee (admin)',
+      task: 'GET /api/tasks/:id - Scheduled task with its run history',
+      updateTask: 'PUT /api/tasks/:id - Change a scheduled task (admin)',
+      deleteTask: 'DELETE /api/tasks/:id - Remove a scheduled task (admin)',
+      runTask: 'POST /api/tasks/:id/run - Run a scheduled task now (admin)',
+      taskRuns: 'GET /api/tasks/:id/runs - Run history of a scheduled task',
+      conversations: 'GET /api/conversations?employee= - Recorded conversations, most recent first',
+      searchConversations: 'GET /api/conversations/search?q= - Full-text search over recorded messages',
+      conversation: 'GET /api/conversations/:threadId - One conversation with all its messages',
+      exportConversation: 'GET /api/conversations/:threadId/export?format=md|json|html|pdf - Download a whole thread',
+      updateConversation: 'PUT /api/conversations/:threadId - Rename, pin or archive a conversation',
+      deleteConversation: 'DELETE /api/conversations/:threadId - Forget a recorded conversation (admin)',
+      leads: 'GET /api/leads?q=&industry=&location=&employee=&validated=&stage=&min_score=&sort=&order= - Filtered, sorted leads',
+      leadFunnel: 'GET /api/leads/funnel?from=&to=&employee=&industry=&group_by=employee|industry|day|week|month - Pipeline conversion',
+      createLead: 'POST /api/leads - Add a lead with the QA template fields',
+      exportLeads: 'GET /api/leads/export?format=csv|xlsx - Leads in the QA template layout (list filters apply)',
+      importLeads: 'POST /api/leads/import?filename= - Upload a CSV/XLSX file; answers a preview of the column mapping and row errors',
+      leadImport: 'GET /api/leads/import/:importId - Preview of a pending import',
+      remapLeadImport: 'PUT /api/leads/import/:importId - Correct the column mapping ({ mapping: { "Header": "field" | null } })',
+      commitLeadImport: 'POST /api/leads/import/:importId - Save the valid rows of an import',
+      lead: 'GET /api/leads/:id - One lead',
+      updateLead: 'PUT /api/leads/:id - Change a lead',
+      leadScore: 'GET /api/leads/:id/score - Saved scores and what the scoring rules give',
+      scoreLead: 'POST /api/leads/:id/score - Score a lead with the rules or { mode: "assistant", employee }',
+      moveLead: 'POST /api/leads/:id/stage - Move a lead to another pipeline stage ({ stage, note, user })',
+      deleteLead: 'DELETE /api/leads/:id - Remove a lead (admin)',
       status: 'GET /api/status - Get server status and pending tool calls'
     },
     documentation: {
@@ -119,11 +204,15 @@ app.get('/api-docs', (req, res) => {
         method: 'POST',
         path: '/api/ask',
         body: {
-          message: 'string (required) - User message to send to assistant'
+          message: 'string (required) - User message to send to assistant',
+          employee: 'string (optional) - AI employee to address (default: brenden)',
+          thread_id: 'string (optional) - Continue an existing conversation thread',
+          async: 'boolean (optional) - Return a job id immediately instead of waiting (also ?mode=async)'
         },
         responses: {
           completed: 'Assistant completed without tool calls',
-          requires_action: 'Tool calls sent to webhook, waiting for responses'
+          requires_action: 'Tool calls sent to webhook, waiting for responses',
+          accepted: '202 - Async job created, poll GET /api/jobs/:id for the result'
         }
       },
       webhookEndpoint: {
@@ -153,7 +242,63 @@ app.use('*', (req, res) => {
       'GET /health - Health check',
       'GET /api-docs - API documentation',
       'POST /api/ask - Send message to assistant',
+      'POST /api/ask/stream - Stream assistant run (SSE)',
+      'GET /api/threads/:thread_id/events - Thread run updates (SSE)',
+      'GET /api/threads/:thread_id/messages - Thread messages (paginated)',
+      'GET /api/files/:file_id/content - Message file content',
+      'GET /api/jobs/:id - Async ask job status',
+      'DELETE /api/jobs/:id - Cancel async ask job',
       'POST /api/webhook-response - Receive webhook responses',
+      'GET /api/tools - Local tools',
+      'GET /api/employees - AI employee registry',
+      'POST /api/employees - Add AI employee (admin)',
+      'PUT /api/employees/:id - Update AI employee (admin)',
+      'DELETE /api/employees/:id - Remove AI employee (admin)',
+      'POST /api/assistants - Create assistant (admin)',
+      'GET /api/assistants/:id - Assistant settings',
+      'PUT /api/assistants/:id - Update assistant (admin)',
+      'GET /api/assistants/:id/versions - Assistant version history',
+      'GET /api/assistants/:id/versions/:version - Assistant version',
+      'GET /api/assistants/:id/diff - Diff assistant versions',
+      'POST /api/assistants/:id/rollback - Roll back assistant (admin)',
+      'GET /api/functions?employee= - Function schema library',
+      'POST /api/functions/:employee/push - Push functions to assistant (admin)',
+      'GET /api/delegations - Delegations between employees',
+      'GET /api/delegations/:id - Delegation details',
+      'GET /api/workflows - Workflow definitions',
+      'GET /api/workflows/:id - Workflow definition',
+      'POST /api/workflows/:id/runs - Start workflow run',
+      'GET /api/workflows/runs - Workflow runs',
+      'GET /api/workflows/runs/:runId - Workflow run status',
+      'POST /api/workflows/runs/:runId/cancel - Cancel workflow run',
+      'POST /api/workflows/runs/:runId/retry - Retry failed workflow step',
+      'GET /api/tasks?employee= - Scheduled tasks',
+      'POST /api/tasks - Schedule task (admin)',
+      'GET /api/tasks/:id - Scheduled task',
+      'PUT /api/tasks/:id - Update scheduled task (admin)',
+      'DELETE /api/tasks/:id - Delete scheduled task (admin)',
+      'POST /api/tasks/:id/run - Run task now (admin)',
+      'GET /api/tasks/:id/runs - Task run history',
+      'GET /api/conversations?employee= - Conversation history',
+      'GET /api/conversations/search?q= - Search conversations',
+      'GET /api/conversations/:threadId - Conversation messages',
+      'GET /api/conversations/:threadId/export?format= - Export conversation',
+      'PUT /api/conversations/:threadId - Rename, pin or archive conversation',
+      'DELETE /api/conversations/:threadId - Delete conversation (admin)',
+      'GET /api/leads - Leads',
+      'POST /api/leads - Add lead',
+      'GET /api/leads/funnel - Lead funnel',
+      'GET /api/leads/export - Export leads (CSV/XLSX)',
+      'POST /api/leads/import - Upload leads for import (CSV/XLSX)',
+      'GET /api/leads/import/:importId - Import preview',
+      'PUT /api/leads/import/:importId - Correct import mapping',
+      'POST /api/leads/import/:importId - Commit import',
+      'GET /api/leads/:id - Lead',
+      'PUT /api/leads/:id - Update lead',
+      'GET /api/leads/:id/score - Lead score breakdown',
+      'POST /api/leads/:id/score - Score lead',
+      'POST /api/leads/:id/stage - Move lead to a pipeline stage',
+      'DELETE /api/leads/:id - Delete lead (admin)',
       'GET /api/status - Server status'
     ]
   };
@@ -181,27 +326,55 @@ const server = app.listen(config.server.port, () => {
   console.log(`   GET  /api-docs - API documentation`);
   console.log(`   GET  /api/status - Server status`);
   console.log(`   POST /api/ask - Send message to assistant`);
+  console.log(`   POST /api/ask/stream - Stream assistant run (SSE)`);
+  console.log(`   GET  /api/threads/:thread_id/events - Thread run updates (SSE)`);
+  console.log(`   GET  /api/threads/:thread_id/messages - Thread messages (paginated)`);
+  console.log(`   GET  /api/files/:file_id/content - Message file content`);
+  console.log(`   GET  /api/jobs/:id - Async ask job status`);
+  console.log(`   DELETE /api/jobs/:id - Cancel async ask job`);
   console.log(`   POST /api/webhook-response - Receive webhook responses`);
+  console.log(`   GET  /api/tools - Local tools`);
+  console.log(`   GET  /api/employees - AI employee registry`);
+  console.log(`   POST /api/employees - Add AI employee (admin)`);
+  console.log(`   PUT  /api/employees/:id - Update AI employee (admin)`);
+  console.log(`   DELETE /api/employees/:id - Remove AI employee (admin)`);
+  console.log(`   POST /api/assistants - Create assistant (admin)`);
+  console.log(`   GET  /api/assistants/:id - Assistant settings`);
+  console.log(`   PUT  /api/assistants/:id - Update assistant (admin)`);
+  console.log(`   GET  /api/assistants/:id/versions - Assistant version history`);
+  console.log(`   GET  /api/assistants/:id/diff - Diff assistant versions`);
+  console.log(`   POST /api/assistants/:id/rollback - Roll back assistant (admin)`);
+  console.log(`   GET  /api/functions?employee= - Function schema library`);
+  console.log(`   POST /api/functions/:employee/push - Push functions to assistant (admin)`);
+  console.log(`   GET  /api/delegations - Delegations between employees`);
+  console.log(`   GET  /api/workflows - Workflow definitions`);
+  console.log(`   POST /api/workflows/:id/runs - Start workflow run`);
+  console.log(`   GET  /api/workflows/runs/:runId - Workflow run status`);
+  console.log(`   POST /api/workflows/runs/:runId/cancel - Cancel workflow run`);
+  console.log(`   POST /api/workflows/runs/:runId/retry - Retry failed workflow step`);
+  console.log(`   GET  /api/tasks?employee= - Scheduled tasks`);
+  console.log(`   POST /api/tasks - Schedule task (admin)`);
+  console.log(`   POST /api/tasks/:id/run - Run task now (admin)`);
+  console.log(`   GET  /api/conversations?employee= - Conversation history`);
+  console.log(`   GET  /api/conversations/search?q= - Search conversations`);
+  console.log(`   GET  /api/leads - Leads`);
+  console.log(`   POST /api/leads - Add lead`);
+  console.log(`   GET  /api/leads/export - Export leads`);
+  console.log(`   POST /api/leads/import - Import leads`);
+  console.log(`   POST /api/leads/:id/score - Score lead`);
+  console.log(`   POST /api/leads/:id/stage - Move lead`);
+  console.log(`   GET  /api/leads/funnel - Lead funnel`);
   console.log('\n✅ Server ready to accept connections');
   console.log(`🎯 Open your browser to: http://localhost:${config.server.port}\n`);
 });
 
-// Cleanup pending tool calls every 15 minutes
-const WebhookHandler = require('./services/webhook-handler');
-let webhookHandler;
-
-try {
-  webhookHandler = new WebhookHandler();
-  setInterval(() => {
-    webhookHandler.cleanupPendingCalls();
-  }, 15 * 60 * 1000);
-} catch (error) {
-  console.warn('Could not initialize webhook handler for cleanup:', error.message);
-}
+// Reconcile rehydrated state and start periodic cleanup on the shared services
+appContext.start();
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('\n🛑 SIGTERM received, shutting down gracefully');
+  appContext.stop();
   server.close(() => {
     console.log('✅ Server closed successfully');
     process.exit(0);
@@ -210,6 +383,7 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   console.log('\n🛑 SIGINT received, shutting down gracefully');
+  appContext.stop();
   server.close(() => {
     console.log('✅ Server closed successfully');
     process.exit(0);
@@ -0,0 +1,207 @@
+const OpenAIService = require('./openai-client');
+const WebhookHandler = require('./webhook-handler');
+const AskPipeline = require('./ask-pipeline');
+const JobManager = require('./job-manager');
+const RunContinuation = require('./run-continuation');
+const ThreadEventBus = require('./thread-events');
+const ToolRegistry = require('./tool-registry');
+const EmployeeRegistry = require('./employee-registry');
+const AssistantManager = require('./assistant-manager');
+const FunctionLibrary = require('./function-library');
+const DelegationManager = require('./delegation-manager');
+const WorkflowLibrary = require('./workflow-library');
+const WorkflowEngine = require('./workflow-engine');
+const TaskScheduler = require('./task-scheduler');
+const ConversationStore = require('./conversation-store');
+const ConversationExporter = require('./conversation-export');
+const LeadStore = require('./lead-store');
+const OutputParserRegistry = require('./output-parsers');
+const { createLeadParser } = require('./lead-ingest');
+const LeadScorer = require('./lead-scoring');
+const LeadSpreadsheets = require('./lead-spreadsheets');
+const LeadFunnel = require('./lead-funnel');
+const { registerBuiltinTools, createDelegationTool, createLeadStageTool } = require('./tools');
+const { flushStores } = require('./stores');
+const config = require('../config');
+
+const CLEANUP_INTERVAL_MS = 15 * 60 * 1000; // 15 minutes
+const FUNCTION_LIBRARY_POLL_MS = 5000;
+const TASK_SCHEDULER_TICK_MS = 30 * 1000;
+
+/**
+ * Application context - creates every service exactly once so routes, timers
+ * and shutdown hooks all operate on the same state.
+ */
+class AppContext {
+  constructor() {
+    this.openaiService = null;
+    this.webhookHandler = null;
+    this.askPipeline = null;
+    this.jobManager = null;
+    this.runContinuation = null;
+    this.assistantManager = null;
+    this.delegationManager = null;
+    this.workflowEngine = null;
+    this.taskScheduler = null;
+    this.conversationExporter = null;
+    this.threadEvents = new ThreadEventBus();
+    this.conversationStore = new ConversationStore();
+    this.leadStore = new LeadStore();
+    this.leadScorer = new LeadScorer({ leadStore: this.leadStore, threadEvents: this.threadEvents });
+    this.leadSpreadsheets = new LeadSpreadsheets({ leadStore: this.leadStore, leadScorer: this.leadScorer });
+    this.leadFunnel = new LeadFunnel({ leadStore: this.leadStore });
+    this.outputParsers = new OutputParserRegistry();
+    this.outputParsers.register(createLeadParser(this.leadStore, this.leadScorer, config.leads.ingestFunctions, this.threadEvents));
+    this.toolRegistry = registerBuiltinTools(new ToolRegistry());
+    // Needs the lead store, so it isn't a plain built-in
+    this.toolRegistry.register(createLeadStageTool(this.leadStore));
+    this.functionLibrary = new FunctionLibrary({ dir: config.functions.dir });
+    this.workflowLibrary = new WorkflowLibrary({ dir: config.workflows.dir });
+    this.employeeRegistry = new EmployeeRegistry({
+      filePath: config.employeesFile,
+      employees: config.employees
+    });
+    this.timers = [];
+
+    try {
+      this.openaiService = new OpenAIService();
+    } catch (error) {
+      console.error('Failed to initialize OpenAI service:', error.message);
+      // Left null - routes answer 503 until the configuration is fixed
+    }
+
+    if (this.openaiService) {
+      this.assistantManager = new AssistantManager({ openaiService: this.openaiService });
+      this.conversationExporter = new ConversationExporter({
+        openaiService: this.openaiService,
+        conversationStore: this.conversationStore
+      });
+    }
+
+    try {
+      this.webhookHandler = new WebhookHandler({
+        toolRegistry: this.toolRegistry,
+        functionLibrary: this.functionLibrary,
+        conversationStore: this.conversationStore,
+        outputParsers: this.outputParsers
+      });
+    } catch (error) {
+      console.error('Failed to initialize webhook handler:', error.message);
+    }
+
+    if (this.openaiService && this.webhookHandler) {
+      this.askPipeline = new AskPipeline({
+        openaiService: this.openaiService,
+        webhookHandler: this.webhookHandler,
+        conversationStore: this.conversationStore
+      });
+      this.jobManager = new JobManager({
+        askPipeline: this.askPipeline,
+        openaiService: this.openaiService
+      });
+      this.runContinuation = new RunContinuation({
+        openaiService: this.openaiService,
+        webhookHandler: this.webhookHandler,
+        threadEvents: this.threadEvents,
+        conversationStore: this.conversationStore
+      });
+
+      this.delegationManager = new DelegationManager({
+        openaiService: this.openaiService,
+        askPipeline: this.askPipeline,
+        webhookHandler: this.webhookHandler,
+        threadEvents: this.threadEvents
+      });
+      // Needs the pipeline to run the colleague's assistant, so it isn't a plain built-in
+      this.toolRegistry.register(createDelegationTool(this.delegationManager));
+      this.workflowEngine = new WorkflowEngine({
+        workflowLibrary: this.workflowLibrary,
+        askPipeline: this.askPipeline,
+        openaiService: this.openaiService,
+        webhookHandler: this.webhookHandler,
+        threadEvents: this.threadEvents
+      });
+      this.taskScheduler = new TaskScheduler({
+        askPipeline: this.askPipeline,
+        threadEvents: this.threadEvents
+      });
+      // Lets an employee score leads instead of the rules
+      this.leadScorer.askPipeline = this.askPipeline;
+
+      // Runs whose webhooks didn't all answer in time are continued with error outputs
+      this.webhookHandler.on('run.deadline', batch => this.runContinuation.handleRunDeadline(batch));
+      // Runs whose last output came from a deferred tool (a finished delegation)
+      this.webhookHandler.on('run.ready', batch => this.runContinuation.handleRunReady(batch));
+    }
+  }
+
+  /**
+   * Start background work: registry watching, reconciliation of rehydrated state and periodic cleanup
+   */
+  start() {
+    // Pick up edits to the employee registry file without a restart
+    this.employeeRegistry.watch();
+
+    if (this.webhookHandler && this.openaiService) {
+      // Drop rehydrated tool calls whose runs have moved on while we were down
+      this.webhookHandler.reconcilePendingCalls(this.openaiService)
+        .catch(error => {
+          console.error('Failed to reconcile pending tool calls:', error.message);
+        })
+        .then(() => {
+          this.webhookHandler.scheduleRunDeadlines();
+          this.delegationManager?.resume();
+          this.workflowEngine?.resume();
+          this.taskScheduler?.resume();
+        });
+    }
+
+    if (this.webhookHandler) {
+      this.addInterval(() => this.webhookHandler.cleanupPendingCalls(), CLEANUP_INTERVAL_MS);
+    }
+
+    if (this.jobManager) {
+      this.addInterval(() => this.jobManager.cleanupJobs(), CLEANUP_INTERVAL_MS);
+    }
+
+    this.addInterval(() => this.threadEvents.cleanupRecentEvents(), CLEANUP_INTERVAL_MS);
+
+    if (this.taskScheduler) {
+      this.addInterval(() => this.taskScheduler.tick(), TASK_SCHEDULER_TICK_MS);
+    }
+
+    // Pick up edited function schemas without a restart
+    this.addInterval(() => this.functionLibrary.refresh(), FUNCTION_LIBRARY_POLL_MS);
+  }
+
+  /**
+   * Register a recurring background task that is cleared on shutdown
+   */
+  addInterval(task, intervalMs) {
+    const timer = setInterval(() => {
+      try {
+        task();
+      } catch (error) {
+        console.error('Background task failed:', error.message);
+      }
+    }, intervalMs);
+    this.timers.push(timer);
+    return timer;
+  }
+
+  /**
+   * Stop background work and persist all stores
+   */
+  stop() {
+    this.timers.forEach(timer => clearInterval(timer));
+    this.timers = [];
+    this.employeeRegistry.unwatch();
+    if (this.webhookHandler) {
+      this.webhookHandler.clearRunDeadlines();
+    }
+    flushStores();
+    console.log('💾 Background tasks stopped and stores flushed');
+  }
+}
+
+module.exports = AppContext;
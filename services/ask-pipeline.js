@@ -0,0 +1,477 @@
+const config = require('../config');
+
+/**
+ * Error carrying the HTTP status and JSON body the /ask endpoint answers with
+ */
+class AskPipelineError extends Error {
+  constructor(status, body) {
+    super(body.details || body.error);
+    this.name = 'AskPipelineError';
+    this.status = status;
+    this.body = body;
+  }
+}
+
+/**
+ * The create-thread → add-message → run → poll → dispatch-tools pipeline behind POST /ask.
+ * Shared by the synchronous endpoint and background jobs.
+ */
+class AskPipeline {
+  constructor({ openaiService, webhookHandler, conversationStore = null }) {
+    this.openaiService = openaiService;
+    this.webhookHandler = webhookHandler;
+    this.conversationStore = conversationStore; // Server-side history of every thread
+  }
+
+  /**
+   * Resolve and validate the employee a request is addressed to
+   */
+  resolveEmployee(employeeId) {
+    const employeeConfig = config.employees[employeeId];
+    if (!employeeConfig) {
+      throw new AskPipelineError(404, {
+        error: 'Employee not found',
+        details: `Employee '${employeeId}' is not configured`
+      });
+    }
+
+    // Check if assistant ID is placeholder
+    if (employeeConfig.assistantId.includes('placeholder')) {
+      throw new AskPipelineError(503, {
+        error: 'Assistant not configured',
+        details: `❌ ${employeeConfig.name} is not connected yet. Please contact your administrator to configure this AI employee.`,
+        employee: employeeConfig
+      });
+    }
+
+    return employeeConfig;
+  }
+
+  /**
+   * Run the full pipeline and return the /ask response body.
+   *
+   * Hooks:
+   *   onProgress(update) - called with { stage, thread_id, run_id } as the pipeline advances
+   *   isCancelled()      - checked between steps; the pipeline stops when it returns true
+   */
+  async run({ message, employeeId = 'brenden', threadId = null }, hooks = {}) {
+    const onProgress = hooks.onProgress || (() => {});
+    const isCancelled = hooks.isCancelled || (() => false);
+    const state = { employeeId, assistantId: null, threadId: null, runId: null };
+
+    const checkCancelled = async () => {
+      if (!isCancelled()) return;
+      if (state.runId) {
+        await this.openaiService.cancelRun(state.threadId, state.runId).catch(error => {
+          console.warn(`⚠️ Could not cancel run ${state.runId}:`, error.message);
+        });
+      }
+      throw new Error('Request cancelled');
+    };
+
+    try {
+      const employeeConfig = this.resolveEmployee(employeeId);
+      state.assistantId = employeeConfig.assistantId;
+
+      // CRITICAL: Validate we're using the CORRECT assistant for this employee
+      console.log('🎯 EMPLOYEE ROUTING VALIDATION:');
+      console.log(`   Employee ID: ${employeeId}`);
+      console.log(`   Employee Name: ${employeeConfig.name}`);
+      console.log(`   Employee Role: ${employeeConfig.role}`);
+      console.log(`   Assistant ID: ${state.assistantId}`);
+      console.log(`   Webhook URL: ${employeeConfig.webhookUrl}`);
+
+      console.log(`🎯 Processing message for ${employeeConfig.name} (${employeeConfig.role})`);
+      console.log('📝 Message:', message);
+
+      await this.prepareThread({ message, threadId }, state, employeeConfig, { onProgress, isCancelled });
+      await checkCancelled();
+
+      // Step 3: Run the CORRECT assistant for this employee
+      console.log(`Step 3: Running ${employeeConfig.name}'s assistant (${state.assistantId})...`);
+      onProgress({ stage: 'run', thread_id: state.threadId });
+      const run = await this.withRetries(
+        3, 1000, `${employeeConfig.name}'s assistant run`,
+        () => this.openaiService.runAssistant(state.threadId, state.assistantId),
+        isCancelled
+      );
+      state.runId = run.id;
+      console.log(`✅ ${employeeConfig.name}'s assistant run started successfully:`, state.runId);
+      onProgress({ stage: 'poll', thread_id: state.threadId, run_id: state.runId });
+      await checkCancelled();
+
+      // Step 4: Poll for completion
+      console.log(`Step 4: Polling for ${employeeConfig.name}'s completion...`);
+      let result = await this.pollRun(state, employeeConfig, isCancelled);
+      await checkCancelled();
+
+      while (result.status === 'requires_action') {
+        onProgress({ stage: 'dispatch', thread_id: state.threadId, run_id: state.runId });
+        const response = await this.dispatchToolCalls(result.toolCalls, state, employeeConfig);
+
+        // Local tools may already have answered every call - then the run continues here
+        const batch = this.webhookHandler.takeRunBatch(state.runId);
+        if (!batch) return response;
+        await checkCancelled();
+
+        console.log(`🔁 All ${batch.toolOutputs.length} tool outputs ready for ${employeeConfig.name}, continuing run`);
+        onProgress({ stage: 'submit', thread_id: state.threadId, run_id: state.runId });
+        await this.withRetries(
+          3, 2000, `${employeeConfig.name} tool output submission`,
+          () => this.openaiService.submitToolOutputs(state.threadId, state.runId, batch.toolOutputs),
+          isCancelled
+        );
+        onProgress({ stage: 'poll', thread_id: state.threadId, run_id: state.runId });
+        result = await this.pollRun(state, employeeConfig, isCancelled);
+        await checkCancelled();
+      }
+
+      if (result.status === 'completed') {
+        console.log(`✅ ${employeeConfig.name} completed`);
+        return await this.buildCompletedResponse(state, employeeConfig);
+      }
+
+      console.error('Unexpected result status:', result.status);
+      throw new Error(`Unexpected assistant status: ${result.status}`);
+    } catch (error) {
+      // Let callers report where in the pipeline things went wrong
+      error.pipelineContext = { ...state };
+      throw error;
+    }
+  }
+
+  /**
+   * Streaming variant of run(): the run is executed with the OpenAI streaming API and
+   * progress is reported through emit(event, data) as it happens.
+   *
+   * Events: thread, run.status, message.delta, message.completed,
+   *         tool_calls.requested, tool_calls.dispatched, tool_outputs.submitted
+   * Resolves with the same response body as run().
+   */
+  async stream({ message, employeeId = 'brenden', threadId = null }, emit, hooks = {}) {
+    const isCancelled = hooks.isCancelled || (() => false);
+    const onStream = hooks.onStream || (() => {});
+    const state = { employeeId, assistantId: null, threadId: null, runId: null };
+
+    try {
+      const employeeConfig = this.resolveEmployee(employeeId);
+      state.assistantId = employeeConfig.assistantId;
+      console.log(`🌊 Streaming message for ${employeeConfig.name} (${employeeConfig.role})`);
+
+      await this.prepareThread({ message, threadId }, state, employeeConfig, { isCancelled });
+      emit('thread', { thread_id: state.threadId, employee_id: employeeId, assistant_id: state.assistantId });
+
+      if (isCancelled()) throw new Error('Request cancelled');
+
+      // Step 3+4: Run the assistant and stream its events instead of polling
+      console.log(`Step 3: Streaming ${employeeConfig.name}'s assistant run (${state.assistantId})...`);
+      let finalRun = await this.followRunStream(
+        this.openaiService.streamRun(state.threadId, state.assistantId),
+        state, emit, onStream
+      );
+      console.log(`✅ ${employeeConfig.name} stream finished, run status:`, finalRun.status);
+
+      while (finalRun.status === 'requires_action' && finalRun.required_action?.type === 'submit_tool_outputs') {
+        const toolCalls = finalRun.required_action.submit_tool_outputs.tool_calls;
+        emit('tool_calls.requested', {
+          run_id: state.runId,
+          tool_calls: toolCalls.map(tc => ({ id: tc.id, function: tc.function.name }))
+        });
+
+        const response = await this.dispatchToolCalls(toolCalls, state, employeeConfig);
+        emit('tool_calls.dispatched', {
+          run_id: state.runId,
+          tool_calls: response.tool_calls,
+          webhook_results: response.webhook_results
+        });
+
+        // Local tools may already have answered every call - keep streaming the same run
+        const batch = this.webhookHandler.takeRunBatch(state.runId);
+        if (!batch) return response;
+        if (isCancelled()) throw new Error('Request cancelled');
+
+        emit('tool_outputs.submitted', {
+          run_id: state.runId,
+          tool_call_ids: batch.toolOutputs.map(output => output.tool_call_id)
+        });
+        finalRun = await this.followRunStream(
+          this.openaiService.submitToolOutputsStream(state.threadId, state.runId, batch.toolOutputs),
+          state, emit, onStream
+        );
+        console.log(`✅ ${employeeConfig.name} stream continued, run status:`, finalRun.status);
+      }
+
+      if (finalRun.status === 'completed') {
+        return await this.buildCompletedResponse(state, employeeConfig);
+      }
+
+      throw new Error(`Assistant run ${finalRun.status}: ${finalRun.last_error?.message || 'no further details'}`);
+    } catch (error) {
+      // The client went away - don't leave an orphaned run behind
+      if (isCancelled() && state.runId) {
+        await this.openaiService.cancelRun(state.threadId, state.runId).catch(cancelError => {
+          console.warn(`⚠️ Could not cancel run ${state.runId}:`, cancelError.message);
+        });
+      }
+      error.pipelineContext = { ...state };
+      throw error;
+    }
+  }
+
+  /**
+   * Forward an AssistantStream's events through emit() and resolve with the final run
+   */
+  async followRunStream(runStream, state, emit, onStream) {
+    onStream(runStream);
+
+    runStream.on('event', ({ event, data }) => {
+      // thread.run.created, thread.run.in_progress, thread.run.requires_action, ...
+      if (event.startsWith('thread.run.') && !event.startsWith('thread.run.step.')) {
+        state.runId = data.id;
+        emit('run.status', { run_id: data.id, status: data.status });
+      }
+    });
+    runStream.on('textDelta', (delta) => {
+      emit('message.delta', { text: delta.value || '' });
+    });
+    runStream.on('messageDone', (completedMessage) => {
+      emit('message.completed', { message_id: completedMessage.id });
+    });
+
+    const finalRun = await runStream.finalRun();
+    state.runId = finalRun.id;
+    return finalRun;
+  }
+
+  /**
+   * Poll the current run until it completes or needs tool outputs
+   */
+  async pollRun(state, employeeConfig, isCancelled) {
+    const result = await this.withRetries(
+      2, 2000, `${employeeConfig.name} polling`,
+      () => this.openaiService.pollRunStatus(state.threadId, state.runId, 45, 2000),
+      isCancelled
+    );
+    console.log(`✅ ${employeeConfig.name} polling completed, result status:`, result.status);
+    return result;
+  }
+
+  /**
+   * Fetch the final assistant message and build the "completed" response body
+   */
+  async buildCompletedResponse(state, employeeConfig) {
+    const assistantMessage = await this.withRetries(3, 1000, `${employeeConfig.name} message retrieval`, () =>
+      this.openaiService.getLatestAssistantMessage(state.threadId, { runId: state.runId })
+    );
+    console.log(`✅ ${employeeConfig.name} message retrieved successfully`);
+    this.conversationStore?.addMessage(state.threadId, state.employeeId, {
+      role: 'assistant',
+      content: assistantMessage.text,
+      runId: state.runId,
+      messageId: assistantMessage.id
+    });
+
+    return {
+      status: 'completed',
+      message: assistantMessage.text,
+      assistant_message: assistantMessage,
+      thread_id: state.threadId,
+      run_id: state.runId,
+      assistant_id: state.assistantId,
+      employee: employeeConfig,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Steps 1-2: create (or validate) the thread and add the user message to it
+   */
+  async prepareThread({ message, threadId }, state, employeeConfig, { onProgress = () => {}, isCancelled = () => false } = {}) {
+    // Step 1: Create or use existing thread
+    onProgress({ stage: 'thread' });
+    if (threadId) {
+      console.log('Step 1: Using existing thread:', threadId);
+      this.ensureThreadOwner(threadId, state.employeeId);
+      state.threadId = threadId;
+      await this.ensureThreadIdle(threadId, employeeConfig);
+    } else {
+      console.log('Step 1: Creating new thread...');
+      const thread = await this.withRetries(
+        3, 1000, 'Thread creation',
+        () => this.openaiService.createThread(),
+        isCancelled
+      );
+      state.threadId = thread.id;
+      console.log('✅ Thread created successfully:', state.threadId);
+    }
+    onProgress({ stage: 'message', thread_id: state.threadId });
+
+    // Step 2: Add user message to thread
+    console.log('Step 2: Adding message to thread...');
+    await this.withRetries(3, 1000, 'Message addition', async () => {
+      try {
+        return await this.openaiService.addMessage(state.threadId, message);
+      } catch (error) {
+        // If it's an active run error, provide specific guidance and stop retrying
+        if (error.message && error.message.includes('while a run') && error.message.includes('is active')) {
+          error.retryable = false;
+          error.message = `Cannot add message to ${employeeConfig.name}'s thread while processing. Please wait for the current operation to complete or check for pending tool calls.`;
+        }
+        throw error;
+      }
+    }, isCancelled);
+    console.log('✅ Message added to thread successfully');
+    this.conversationStore?.addMessage(state.threadId, state.employeeId, { role: 'user', content: message });
+  }
+
+  /**
+   * Keep each employee's threads separate: a thread recorded for one employee can't be resumed by another
+   */
+  ensureThreadOwner(threadId, employeeId) {
+    const owner = this.conversationStore?.getOwner(threadId);
+    if (owner && owner !== employeeId) {
+      throw new AskPipelineError(409, {
+        error: 'Thread belongs to another employee',
+        details: `Thread ${threadId} is a conversation with ${config.employees[owner]?.name || owner}. Start a new thread to talk to ${config.employees[employeeId].name}.`,
+        thread_id: threadId,
+        thread_employee_id: owner
+      });
+    }
+  }
+
+  /**
+   * Refuse to add a message to a thread that still has an active run
+   */
+  async ensureThreadIdle(threadId, employeeConfig) {
+    let latestRun;
+    try {
+      console.log('🔍 Checking for active runs on thread...');
+      const runs = await this.openaiService.client.beta.threads.runs.list(threadId, { limit: 1 });
+      latestRun = runs.data[0];
+    } catch (runCheckError) {
+      console.warn('⚠️ Could not check run status, proceeding anyway:', runCheckError.message);
+      return;
+    }
+
+    if (!latestRun) return;
+    console.log(`📊 Latest run status: ${latestRun.status} (${latestRun.id})`);
+
+    if (!['queued', 'in_progress', 'requires_action'].includes(latestRun.status)) return;
+    console.log(`⚠️ Thread ${threadId} has active run ${latestRun.id} with status: ${latestRun.status}`);
+
+    if (latestRun.status !== 'requires_action') {
+      throw new AskPipelineError(409, {
+        error: 'Thread busy',
+        details: `${employeeConfig.name} is currently processing another request. Please wait for completion.`,
+        thread_id: threadId,
+        run_id: latestRun.id,
+        current_status: latestRun.status,
+        employee: employeeConfig
+      });
+    }
+
+    // If it's requires_action, check if we have pending tool calls
+    const pendingCalls = this.webhookHandler.getPendingCalls().filter(call =>
+      call.threadId === threadId && call.runId === latestRun.id
+    );
+
+    if (pendingCalls.length > 0) {
+      console.log(`🔧 Found ${pendingCalls.length} pending tool calls for this run`);
+      throw new AskPipelineError(409, {
+        error: 'Thread busy with tool calls',
+        details: `${employeeConfig.name} is currently processing ${pendingCalls.length} tool call(s). Please wait for completion or send the webhook response.`,
+        thread_id: threadId,
+        run_id: latestRun.id,
+        pending_tool_calls: pendingCalls.length,
+        employee: employeeConfig,
+        status: 'requires_action'
+      });
+    }
+  }
+
+  /**
+   * Send the run's tool calls to the employee's webhook (or local tools) and describe what was dispatched
+   */
+  async dispatchToolCalls(toolCalls, state, employeeConfig) {
+    const { threadId, runId, employeeId, assistantId } = state;
+    console.log(`🔧 ${employeeConfig.name} requires tool calls:`, toolCalls?.length || 0);
+
+    const toolCallSummary = toolCalls.map(tc => ({
+      id: tc.id,
+      function: tc.function.name,
+      arguments: JSON.parse(tc.function.arguments)
+    }));
+
+    const needsWebhook = toolCalls.some(tc => !this.webhookHandler.isLocalTool(employeeId, tc.function.name));
+
+    // Validate employee-specific webhook configuration
+    if (needsWebhook && (!employeeConfig.webhookUrl || employeeConfig.webhookUrl.includes('placeholder'))) {
+      console.error(`❌ Webhook URL not configured for ${employeeConfig.name}`);
+      throw new AskPipelineError(503, {
+        error: 'Webhook not configured',
+        details: `External webhook URL is not configured for ${employeeConfig.name}. Tool calls cannot be processed.`,
+        employee: employeeConfig,
+        tool_calls: toolCallSummary,
+        thread_id: threadId,
+        run_id: runId
+      });
+    }
+
+    // CRITICAL: Send to CORRECT employee's webhook
+    console.log(`=== SENDING TOOL CALLS TO ${employeeConfig.name.toUpperCase()}'S WEBHOOK ===`);
+    console.log(`🎯 WEBHOOK ROUTING VALIDATION:`);
+    console.log(`   Employee: ${employeeConfig.name}`);
+    console.log(`   Webhook URL: ${employeeConfig.webhookUrl}`);
+    console.log(`   Tool Calls: ${toolCalls.length}`);
+
+    let webhookResults;
+    try {
+      webhookResults = await this.withRetries(3, 2000, `${employeeConfig.name} webhook sending`, () =>
+        this.webhookHandler.sendToolCalls(toolCalls, threadId, runId, employeeId)
+      );
+      console.log(`✅ Tool calls sent to ${employeeConfig.name}'s webhook successfully`);
+    } catch (error) {
+      console.error(`💥 All ${employeeConfig.name} webhook attempts failed, but continuing with response`);
+      webhookResults = toolCalls.map(tc => ({
+        toolCallId: tc.id,
+        employeeId: employeeId,
+        employeeName: employeeConfig.name,
+        status: 'error',
+        error: 'Failed to send to webhook after multiple attempts'
+      }));
+    }
+
+    return {
+      status: 'requires_action',
+      message: `Tool calls have been sent to ${employeeConfig.name}'s external webhook`,
+      thread_id: threadId,
+      run_id: runId,
+      assistant_id: assistantId,
+      employee: employeeConfig,
+      tool_calls: toolCallSummary,
+      webhook_results: webhookResults,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Retry an async operation a fixed number of times with a constant delay.
+   * Stops early for non-retryable errors or once the request has been cancelled.
+   */
+  async withRetries(attempts, delayMs, label, operation, isCancelled = () => false) {
+    let retriesLeft = attempts;
+    while (true) {
+      try {
+        return await operation();
+      } catch (error) {
+        retriesLeft--;
+        console.error(`❌ ${label} failed, retries left: ${retriesLeft}`, error.message);
+        if (retriesLeft === 0 || error.retryable === false || isCancelled()) throw error;
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+      }
+    }
+  }
+}
+
+module.exports = AskPipeline;
+module.exports.AskPipelineError = AskPipelineError;
@@ -0,0 +1,403 @@
+const { createStore } = require('./stores');
+const { validateSchema } = require('./json-schema');
+
+const MAX_VERSIONS = 100; // per assistant; the oldest versions are dropped first
+const SETTINGS_FIELDS = ['name', 'description', 'instructions', 'model', 'temperature', 'tools'];
+
+const toolSchema = {
+  type: 'object',
+  required: ['type'],
+  properties: {
+    type: { type: 'string', enum: ['function', 'code_interpreter', 'file_search'] },
+    function: {
+      type: 'object',
+      required: ['name'],
+      properties: {
+        name: { type: 'string', pattern: '^[a-zA-Z0-9_-]{1,64}$' },
+        description: { type: 'string' },
+        parameters: { type: 'object' },
+        strict: { type: ['boolean', 'null'] }
+      },
+      additionalProperties: false
+    },
+    file_search: { type: 'object' }
+  },
+  additionalProperties: false
+};
+
+const settingsSchema = {
+  type: 'object',
+  properties: {
+    name: { type: ['string', 'null'], maxLength: 256 },
+    description: { type: ['string', 'null'], maxLength: 512 },
+    instructions: { type: ['string', 'null'], maxLength: 256000 },
+    model: { type: 'string', minLength: 1 },
+    temperature: { type: ['number', 'null'], minimum: 0, maximum: 2 },
+    tools: { type: 'array', items: toolSchema }
+  },
+  additionalProperties: false
+};
+
+/**
+ * Error raised by assistant edits, carrying the HTTP status and body to answer with
+ */
+class AssistantManagerError extends Error {
+  constructor(status, body) {
+    super(body.details || body.error);
+    this.name = 'AssistantManagerError';
+    this.status = status;
+    this.body = body;
+  }
+}
+
+function pickSettings(assistant) {
+  const settings = {};
+  SETTINGS_FIELDS.forEach(field => {
+    settings[field] = assistant[field] ?? null;
+  });
+  settings.tools = assistant.tools || [];
+  return settings;
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function changedFields(before, after) {
+  return SETTINGS_FIELDS.filter(field => !sameValue(before?.[field], after[field]));
+}
+
+// Instructions that differ in more lines than this are shown as replaced as a whole
+const MAX_DIFF_EDITS = 500;
+
+/**
+ * Line diff of two texts. The shared head and tail are kept as is; the middle is
+ * diffed with Myers' algorithm, which needs time and memory in proportion to the
+ * number of changed lines rather than the size of the texts.
+ */
+function diffLines(before, after) {
+  const a = (before || '').split('\n');
+  const b = (after || '').split('\n');
+
+  let head = 0;
+  while (head < a.length && head < b.length && a[head] === b[head]) head++;
+  let tail = 0;
+  while (tail < a.length - head && tail < b.length - head && a[a.length - 1 - tail] === b[b.length - 1 - tail]) tail++;
+
+  const removed = a.slice(head, a.length - tail);
+  const added = b.slice(head, b.length - tail);
+  const middle = shortestEdit(removed, added) || [
+    ...removed.map(line => ({ op: 'remove', line })),
+    ...added.map(line => ({ op: 'add', line }))
+  ];
+
+  return [
+    ...a.slice(0, head).map(line => ({ op: 'equal', line })),
+    ...middle,
+    ...a.slice(a.length - tail).map(line => ({ op: 'equal', line }))
+  ];
+}
+
+/**
+ * Myers' shortest edit script from lines a to lines b, or null when it takes more
+ * than MAX_DIFF_EDITS removed and added lines
+ */
+function shortestEdit(a, b) {
+  const maxEdits = Math.min(a.length + b.length, MAX_DIFF_EDITS);
+  const offset = maxEdits + 1;
+  const furthest = new Int32Array(2 * maxEdits + 3); // diagonal k -> furthest x reached on it
+  const trace = [];
+  const fromAbove = (v, d, k) => k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]);
+
+  for (let d = 0; d <= maxEdits; d++) {
+    trace.push(furthest.slice());
+    for (let k = -d; k <= d; k += 2) {
+      let x = fromAbove(furthest, d, k) ? furthest[offset + k + 1] : furthest[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < a.length && y < b.length && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      furthest[offset + k] = x;
+
+      if (x >= a.length && y >= b.length) {
+        // Walk back from the end through the furthest points of each step
+        const lines = [];
+        for (let step = d; step >= 0; step--) {
+          const v = trace[step];
+          const previousK = fromAbove(v, step, x - y) ? x - y + 1 : x - y - 1;
+          const previousX = step === 0 ? 0 : v[offset + previousK];
+          const previousY = step === 0 ? 0 : previousX - previousK;
+          while (x > previousX && y > previousY) {
+            lines.push({ op: 'equal', line: a[--x] });
+            y--;
+          }
+          if (step > 0) {
+            lines.push(x === previousX ? { op: 'add', line: b[--y] } : { op: 'remove', line: a[--x] });
+          }
+        }
+        return lines.reverse();
+      }
+    }
+  }
+  return null;
+}
+
+function toolKey(tool) {
+  return tool.type === 'function' ? tool.function?.name : tool.type;
+}
+
+function diffTools(before = [], after = []) {
+  const beforeTools = new Map(before.map(tool => [toolKey(tool), tool]));
+  const afterTools = new Map(after.map(tool => [toolKey(tool), tool]));
+
+  return {
+    added: [...afterTools.keys()].filter(key => !beforeTools.has(key)),
+    removed: [...beforeTools.keys()].filter(key => !afterTools.has(key)),
+    changed: [...afterTools.keys()].filter(key => beforeTools.has(key) && !sameValue(beforeTools.get(key), afterTools.get(key)))
+  };
+}
+
+/**
+ * Field-by-field differences between two settings snapshots
+ */
+function diffSettings(before, after) {
+  const changes = {};
+  changedFields(before, after).forEach(field => {
+    if (field === 'instructions') {
+      changes.instructions = { lines: diffLines(before.instructions, after.instructions) };
+    } else if (field === 'tools') {
+      changes.tools = diffTools(before.tools, after.tools);
+    } else {
+      changes[field] = { from: before[field], to: after[field] };
+    }
+  });
+  return changes;
+}
+
+/**
+ * Creates and edits OpenAI assistants and keeps a local version history of their
+ * settings (name, description, instructions, model, temperature, tools).
+ *
+ * Edits made in the OpenAI console are recorded as 'external' versions the next
+ * time the assistant is read or edited here, so the history never skips a state.
+ */
+class AssistantManager {
+  constructor({ openaiService }) {
+    this.openaiService = openaiService;
+    this.versions = createStore('assistant-versions'); // assistantId -> [version]
+  }
+
+  validateSettings(settings, { requireModel = false } = {}) {
+    const errors = validateSchema(settingsSchema, settings, 'assistant');
+    if (requireModel && !settings?.model) {
+      errors.push('assistant.model is required');
+    }
+    if (errors.length > 0) {
+      throw new AssistantManagerError(400, {
+        error: 'Invalid assistant settings',
+        details: errors.join('; '),
+        validation_errors: errors
+      });
+    }
+  }
+
+  /**
+   * Turn OpenAI failures into errors the routes can answer with
+   */
+  toManagerError(error, assistantId) {
+    if (error.status === 404) {
+      return new AssistantManagerError(404, {
+        error: 'Assistant not found',
+        details: `OpenAI has no assistant '${assistantId}' for this API key`
+      });
+    }
+    if (error.status === 400) {
+      return new AssistantManagerError(400, {
+        error: 'Rejected by OpenAI',
+        details: error.message
+      });
+    }
+    return error;
+  }
+
+  async fetchAssistant(assistantId) {
+    const assistant = await this.openaiService.retrieveAssistant(assistantId);
+    if (!assistant) {
+      throw this.toManagerError({ status: 404 }, assistantId);
+    }
+    return assistant;
+  }
+
+  /**
+   * Current assistant settings, recording a version if they changed outside the command center
+   */
+  async getAssistant(assistantId) {
+    const assistant = await this.fetchAssistant(assistantId);
+    const latest = this.recordVersion(assistantId, pickSettings(assistant), { source: 'external' });
+    return { assistant, version: latest.version };
+  }
+
+  async createAssistant(settings, { note = null } = {}) {
+    this.validateSettings(settings, { requireModel: true });
+
+    let assistant;
+    try {
+      assistant = await this.openaiService.createAssistant(settings);
+    } catch (error) {
+      throw this.toManagerError(error, null);
+    }
+
+    const version = this.recordVersion(assistant.id, pickSettings(assistant), { source: 'create', note });
+    return { assistant, version: version.version };
+  }
+
+  /**
+   * Apply changed settings; returns the assistant and the version it is now at
+   */
+  async updateAssistant(assistantId, changes, { note = null, source = 'update', extra = {} } = {}) {
+    this.validateSettings(changes);
+    if (Object.keys(changes).length === 0) {
+      throw new AssistantManagerError(400, {
+        error: 'Nothing to update',
+        details: `Send at least one of: ${SETTINGS_FIELDS.join(', ')}`
+      });
+    }
+
+    // Capture the state we are about to change, including console edits
+    await this.getAssistant(assistantId);
+
+    let assistant;
+    try {
+      assistant = await this.openaiService.updateAssistant(assistantId, changes);
+    } catch (error) {
+      throw this.toManagerError(error, assistantId);
+    }
+
+    const version = this.recordVersion(assistantId, pickSettings(assistant), { source, note, ...extra });
+    return { assistant, version: version.version };
+  }
+
+  /**
+   * Make the assistant's function tools match the given definitions. Functions the
+   * definitions don't mention are kept unless `prune` is set; other tool types always are.
+   */
+  async syncFunctions(assistantId, definitions, { prune = false, note = null } = {}) {
+    const { assistant, version } = await this.getAssistant(assistantId);
+    const desired = new Map(definitions.map(tool => [tool.function.name, tool]));
+    const current = new Map((assistant.tools || [])
+      .filter(tool => tool.type === 'function')
+      .map(tool => [tool.function.name, tool]));
+
+    const summary = {
+      added: [...desired.keys()].filter(name => !current.has(name)),
+      updated: [...desired.keys()].filter(name => current.has(name) &&
+        !sameValue(
+          { description: current.get(name).function.description || '', parameters: current.get(name).function.parameters },
+          { description: desired.get(name).function.description || '', parameters: desired.get(name).function.parameters }
+        )),
+      removed: prune ? [...current.keys()].filter(name => !desired.has(name)) : []
+    };
+
+    if (summary.added.length + summary.updated.length + summary.removed.length === 0) {
+      return { assistant, version, ...summary };
+    }
+
+    const tools = [
+      ...(assistant.tools || []).filter(tool =>
+        tool.type !== 'function' || (!desired.has(tool.function.name) && !summary.removed.includes(tool.function.name))
+      ),
+      ...desired.values()
+    ];
+
+    const result = await this.updateAssistant(assistantId, { tools }, {
+      note: note || `Function library sync (+${summary.added.length} ~${summary.updated.length} -${summary.removed.length})`,
+      source: 'sync'
+    });
+    return { ...result, ...summary };
+  }
+
+  /**
+   * Restore the settings of an earlier version (recorded as a new version)
+   */
+  async rollback(assistantId, versionNumber, { note = null } = {}) {
+    const target = this.getVersion(assistantId, versionNumber);
+    if (!target) {
+      throw new AssistantManagerError(404, {
+        error: 'Version not found',
+        details: `Assistant '${assistantId}' has no version ${versionNumber}`
+      });
+    }
+
+    console.log(`⏪ Rolling back assistant ${assistantId} to version ${versionNumber}`);
+    return this.updateAssistant(assistantId, target.settings, {
+      note: note || `Rollback to version ${versionNumber}`,
+      source: 'rollback',
+      extra: { rolled_back_to: versionNumber }
+    });
+  }
+
+  /**
+   * Append a version unless the settings equal the latest one; returns the latest version
+   */
+  recordVersion(assistantId, settings, { source, note = null, ...extra }) {
+    const history = this.versions.get(assistantId) || [];
+    const latest = history[history.length - 1];
+    const fields = changedFields(latest?.settings, settings);
+
+    if (latest && fields.length === 0) {
+      return latest;
+    }
+
+    const version = {
+      version: latest ? latest.version + 1 : 1,
+      created_at: new Date().toISOString(),
+      // The first snapshot of an assistant created elsewhere is an import, not an external edit
+      source: !latest && source === 'external' ? 'import' : source,
+      note,
+      changed_fields: latest ? fields : [],
+      ...extra,
+      settings
+    };
+
+    this.versions.set(assistantId, [...history, version].slice(-MAX_VERSIONS));
+    console.log(`🗂️ Assistant ${assistantId} version ${version.version} recorded (${version.source})`);
+    return version;
+  }
+
+  listVersions(assistantId) {
+    return (this.versions.get(assistantId) || []).map(({ settings, ...summary }) => summary);
+  }
+
+  getVersion(assistantId, versionNumber) {
+    return (this.versions.get(assistantId) || []).find(version => version.version === versionNumber) || null;
+  }
+
+  /**
+   * Differences between two versions (default: the latest and the one before it)
+   */
+  diff(assistantId, fromVersion, toVersion) {
+    const history = this.versions.get(assistantId) || [];
+    const to = toVersion ? this.getVersion(assistantId, toVersion) : history[history.length - 1];
+    const from = fromVersion
+      ? this.getVersion(assistantId, fromVersion)
+      : history[history.findIndex(version => version === to) - 1];
+
+    if (!to || !from) {
+      throw new AssistantManagerError(404, {
+        error: 'Version not found',
+        details: `Assistant '${assistantId}' needs both versions to diff (have ${history.map(v => v.version).join(', ') || 'none'})`
+      });
+    }
+
+    return {
+      assistant_id: assistantId,
+      from_version: from.version,
+      to_version: to.version,
+      changes: diffSettings(from.settings, to.settings)
+    };
+  }
+}
+
+module.exports = AssistantManager;
+module.exports.AssistantManagerError = AssistantManagerError;
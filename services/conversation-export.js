@@ -0,0 +1,315 @@
+const PDFDocument = require('pdfkit');
+const config = require('../config');
+
+/**
+ * Error raised by export requests, carrying the HTTP status and body to answer with
+ */
+class ConversationExportError extends Error {
+  constructor(status, body) {
+    super(body.details || body.error);
+    this.name = 'ConversationExportError';
+    this.status = status;
+    this.body = body;
+  }
+}
+
+const FORMATS = {
+  md: { contentType: 'text/markdown; charset=utf-8', render: 'toMarkdown' },
+  json: { contentType: 'application/json; charset=utf-8', render: 'toJson' },
+  html: { contentType: 'text/html; charset=utf-8', render: 'toHtml' },
+  pdf: { contentType: 'application/pdf', render: 'toPdf' }
+};
+
+/**
+ * Exports a whole thread for client reports. Message text comes from OpenAI (every
+ * page of the thread); tool calls and the webhook outputs they got come from the
+ * conversation store and are placed inline, just before the reply of their run.
+ */
+class ConversationExporter {
+  constructor({ openaiService, conversationStore }) {
+    this.openaiService = openaiService;
+    this.conversationStore = conversationStore;
+  }
+
+  /**
+   * Render a thread; returns { contentType, filename, body }
+   */
+  async exportThread(threadId, format) {
+    const target = FORMATS[format];
+    if (!target) {
+      throw new ConversationExportError(400, {
+        error: 'Unknown export format',
+        details: `Format '${format}' is not supported (use ${Object.keys(FORMATS).join(', ')})`
+      });
+    }
+
+    const transcript = await this.buildTranscript(threadId);
+    console.log(`📤 Exporting thread ${threadId} as ${format} (${transcript.entries.length} entries)`);
+
+    return {
+      contentType: target.contentType,
+      filename: `${slugify(transcript.title)}-${threadId}.${format}`,
+      body: await this[target.render](transcript)
+    };
+  }
+
+  /**
+   * The format-neutral transcript every renderer works from
+   */
+  async buildTranscript(threadId) {
+    let messages;
+    try {
+      messages = await this.openaiService.getAllMessages(threadId);
+    } catch (error) {
+      if (error.status === 404) {
+        throw new ConversationExportError(404, {
+          error: 'Thread not found',
+          details: `OpenAI has no thread '${threadId}'`
+        });
+      }
+      throw error;
+    }
+
+    const conversation = this.conversationStore.get(threadId);
+    const employeeId = conversation?.employee_id || null;
+    const employeeName = config.employees[employeeId]?.name || 'Assistant';
+
+    // Tool calls with their outputs, grouped by run
+    const toolsByRun = new Map();
+    (conversation?.messages || [])
+      .filter(message => message.role === 'tool_call')
+      .forEach(call => {
+        const output = conversation.messages.find(message =>
+          message.role === 'tool_output' && message.tool_call_id === call.tool_call_id
+        );
+        const tools = toolsByRun.get(call.run_id) || [];
+        tools.push({
+          kind: 'tool',
+          functionName: call.function_name,
+          toolCallId: call.tool_call_id,
+          arguments: call.arguments,
+          output: output ? output.content : null,
+          runId: call.run_id,
+          createdAt: call.created_at
+        });
+        toolsByRun.set(call.run_id, tools);
+      });
+
+    // Tools go before the last reply of their run, which is the one written after the outputs
+    const lastReplyOfRun = new Map();
+    messages.forEach((message, index) => {
+      if (message.role === 'assistant' && message.run_id) lastReplyOfRun.set(message.run_id, index);
+    });
+
+    const entries = [];
+    messages.forEach((message, index) => {
+      if (message.role === 'assistant' && lastReplyOfRun.get(message.run_id) === index) {
+        entries.push(...(toolsByRun.get(message.run_id) || []));
+        toolsByRun.delete(message.run_id);
+      }
+      entries.push({
+        kind: 'message',
+        role: message.role,
+        author: message.role === 'user' ? 'You' : employeeName,
+        text: messageText(message),
+        runId: message.run_id,
+        createdAt: message.created_at
+      });
+    });
+    // Runs that haven't replied yet
+    toolsByRun.forEach(tools => entries.push(...tools));
+
+    return {
+      threadId,
+      title: conversation?.title || `Conversation ${threadId}`,
+      employeeId,
+      employeeName,
+      employeeRole: config.employees[employeeId]?.role || null,
+      exportedAt: new Date().toISOString(),
+      entries
+    };
+  }
+
+  toJson(transcript) {
+    return JSON.stringify({
+      thread_id: transcript.threadId,
+      title: transcript.title,
+      employee_id: transcript.employeeId,
+      employee_name: transcript.employeeName,
+      exported_at: transcript.exportedAt,
+      entries: transcript.entries.map(entry => entry.kind === 'message'
+        ? { type: 'message', role: entry.role, author: entry.author, text: entry.text, run_id: entry.runId, created_at: entry.createdAt }
+        : {
+          type: 'tool_call',
+          function_name: entry.functionName,
+          tool_call_id: entry.toolCallId,
+          arguments: entry.arguments,
+          output: entry.output,
+          run_id: entry.runId,
+          created_at: entry.createdAt
+        })
+    }, null, 2);
+  }
+
+  toMarkdown(transcript) {
+    const lines = [
+      `# ${transcript.title}`,
+      '',
+      `**Employee:** ${transcript.employeeName}${transcript.employeeRole ? ` (${transcript.employeeRole})` : ''}  `,
+      `**Thread:** ${transcript.threadId}  `,
+      `**Exported:** ${formatDate(transcript.exportedAt)}`,
+      ''
+    ];
+
+    transcript.entries.forEach(entry => {
+      lines.push('---', '');
+      if (entry.kind === 'message') {
+        lines.push(`### ${entry.author} · ${formatDate(entry.createdAt)}`, '', entry.text, '');
+        return;
+      }
+
+      lines.push(`### Tool call: ${entry.functionName} · ${formatDate(entry.createdAt)}`, '');
+      lines.push('**Arguments**', '', '```json', prettyJson(entry.arguments), '```', '');
+      lines.push('**Output**', '');
+      if (entry.output === null) {
+        lines.push('_No output yet_', '');
+      } else {
+        lines.push('```', prettyJson(entry.output), '```', '');
+      }
+    });
+
+    return lines.join('\n');
+  }
+
+  toHtml(transcript) {
+    const entries = transcript.entries.map(entry => {
+      if (entry.kind === 'message') {
+        return `<section class="message ${entry.role}">
+  <h2>${escapeHtml(entry.author)} <time>${formatDate(entry.createdAt)}</time></h2>
+  <div class="text">${escapeHtml(entry.text)}</div>
+</section>`;
+      }
+      return `<section class="tool">
+  <h2>Tool call: ${escapeHtml(entry.functionName)} <time>${formatDate(entry.createdAt)}</time></h2>
+  <h3>Arguments</h3>
+  <pre>${escapeHtml(prettyJson(entry.arguments))}</pre>
+  <h3>Output</h3>
+  ${entry.output === null ? '<p><em>No output yet</em></p>' : `<pre>${escapeHtml(prettyJson(entry.output))}</pre>`}
+</section>`;
+    }).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(transcript.title)}</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; max-width: 800px; margin: 40px auto; padding: 0 20px; color: #1e293b; }
+  header { border-bottom: 2px solid #ec4899; margin-bottom: 24px; padding-bottom: 12px; }
+  .meta { color: #64748b; font-size: 14px; }
+  section { margin-bottom: 20px; padding: 12px 16px; border-radius: 8px; background: #f8fafc; }
+  section.user { background: #fdf2f8; }
+  section.tool { border-left: 4px solid #94a3b8; }
+  h2 { font-size: 15px; margin: 0 0 8px; }
+  h3 { font-size: 13px; margin: 12px 0 4px; color: #64748b; }
+  time { font-weight: normal; color: #94a3b8; font-size: 12px; margin-left: 8px; }
+  .text { white-space: pre-wrap; line-height: 1.5; }
+  pre { background: #fff; border: 1px solid #e2e8f0; border-radius: 6px; padding: 8px; overflow-x: auto; font-size: 12px; white-space: pre-wrap; }
+</style>
+</head>
+<body>
+<header>
+  <h1>${escapeHtml(transcript.title)}</h1>
+  <div class="meta">${escapeHtml(transcript.employeeName)} &middot; Thread ${escapeHtml(transcript.threadId)} &middot; Exported ${formatDate(transcript.exportedAt)}</div>
+</header>
+${entries}
+</body>
+</html>
+`;
+  }
+
+  toPdf(transcript) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ margin: 50, info: { Title: pdfText(transcript.title) } });
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      doc.font('Helvetica-Bold').fontSize(18).fillColor('#1e293b').text(pdfText(transcript.title));
+      doc.moveDown(0.3);
+      doc.font('Helvetica').fontSize(10).fillColor('#64748b')
+        .text(pdfText(`${transcript.employeeName} - Thread ${transcript.threadId} - Exported ${formatDate(transcript.exportedAt)}`));
+      doc.moveDown();
+
+      transcript.entries.forEach(entry => {
+        doc.moveDown(0.5);
+        if (entry.kind === 'message') {
+          doc.font('Helvetica-Bold').fontSize(11).fillColor(entry.role === 'user' ? '#be185d' : '#1e293b')
+            .text(pdfText(`${entry.author} - ${formatDate(entry.createdAt)}`));
+          doc.font('Helvetica').fontSize(10).fillColor('#1e293b').text(pdfText(entry.text));
+          return;
+        }
+
+        doc.font('Helvetica-Bold').fontSize(10).fillColor('#475569')
+          .text(pdfText(`Tool call: ${entry.functionName} - ${formatDate(entry.createdAt)}`));
+        doc.font('Courier').fontSize(8).fillColor('#334155').text(pdfText(`Arguments: ${prettyJson(entry.arguments)}`));
+        doc.text(pdfText(`Output: ${entry.output === null ? '(no output yet)' : prettyJson(entry.output)}`));
+      });
+
+      doc.end();
+    });
+  }
+}
+
+/**
+ * A normalized message as plain text: citation markers are already numbered in `text`,
+ * images become placeholders and the cited files are listed at the end
+ */
+function messageText(message) {
+  const images = message.content
+    .filter(part => part.type === 'image_file' || part.type === 'image_url')
+    .map(part => `[image ${part.file_id || part.url}]`);
+  const sources = message.citations.map(citation =>
+    `[${citation.index}] ${citation.file_id}${citation.quote ? ` "${citation.quote}"` : ''}`
+  );
+  const body = [message.text, ...images].filter(Boolean).join('\n');
+  return sources.length > 0 ? `${body}\n\n${sources.join('\n')}` : body;
+}
+
+/**
+ * Pretty-print JSON values and JSON strings; other text is returned as is
+ */
+function prettyJson(value) {
+  if (typeof value !== 'string') return JSON.stringify(value, null, 2);
+  try {
+    return JSON.stringify(JSON.parse(value), null, 2);
+  } catch (error) {
+    return value;
+  }
+}
+
+function formatDate(iso) {
+  return iso.replace('T', ' ').slice(0, 16) + ' UTC';
+}
+
+function slugify(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 50) || 'conversation';
+}
+
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// The built-in PDF fonts only cover Latin-1 and a few punctuation marks; drop the rest (emoji etc.)
+function pdfText(text) {
+  return String(text ?? '').replace(/[^\t\n\r\x20-\x7E\xA0-\xFF–—‘’“”•…€]/gu, '');
+}
+
+module.exports = ConversationExporter;
+module.exports.ConversationExportError = ConversationExportError;
+module.exports.EXPORT_FORMATS = Object.keys(FORMATS);
@@ -0,0 +1,326 @@
+const crypto = require('crypto');
+const config = require('../config');
+const { createStore } = require('./stores');
+
+const TITLE_LENGTH = 80;
+const PREVIEW_LENGTH = 120;
+const MAX_SEARCH_MATCHES = 3; // Matching messages shown per conversation
+
+// Messages are never changed once recorded, so their lowercased search text is kept
+const searchTexts = new WeakMap(); // message -> text
+
+/**
+ * Error raised by conversation requests, carrying the HTTP status and body to answer with
+ */
+class ConversationStoreError extends Error {
+  constructor(status, body) {
+    super(body.details || body.error);
+    this.name = 'ConversationStoreError';
+    this.status = status;
+    this.body = body;
+  }
+}
+
+/**
+ * Server-side record of every thread: user messages, assistant replies, tool
+ * calls and the tool outputs submitted for them, in the order they happened.
+ * Fed by the ask pipeline, the webhook handler and run continuations, so
+ * chats, delegations, workflow steps and scheduled tasks all end up here.
+ * An employee can have any number of threads; each can be renamed, pinned
+ * and archived. Writes are batched (STORE_FLUSH_DELAY_MS), since every message
+ * and tool output would otherwise rewrite the whole history.
+ *
+ * Messages: { id, role: user|assistant|tool_call|tool_output, content, runId,
+ *             toolCallId, functionName, arguments, messageId, createdAt }
+ */
+class ConversationStore {
+  constructor({ store } = {}) {
+    this.conversations = store || createStore('conversations', { flushDelayMs: config.storage.flushDelayMs }); // threadId -> conversation
+  }
+
+  /**
+   * Append a message to a thread's conversation, creating the conversation on first use.
+   * Messages already recorded (same OpenAI message, or same tool call and role) are skipped.
+   */
+  addMessage(threadId, employeeId, fields) {
+    if (!threadId) return null;
+
+    const now = new Date().toISOString();
+    const conversation = this.conversations.get(threadId) || {
+      threadId,
+      employeeId: employeeId || null,
+      title: null,
+      pinned: false,
+      archived: false,
+      createdAt: now,
+      updatedAt: now,
+      messages: []
+    };
+
+    const duplicate = conversation.messages.some(message =>
+      (fields.messageId && message.messageId === fields.messageId) ||
+      (fields.toolCallId && message.toolCallId === fields.toolCallId && message.role === fields.role)
+    );
+    if (duplicate) return null;
+
+    const message = {
+      id: `msg_${crypto.randomUUID().replace(/-/g, '')}`,
+      role: fields.role,
+      content: fields.content ?? null,
+      runId: fields.runId || null,
+      toolCallId: fields.toolCallId || null,
+      functionName: fields.functionName || null,
+      arguments: fields.arguments ?? null,
+      messageId: fields.messageId || null,
+      createdAt: now
+    };
+
+    // Long threads get many messages, so the conversation is changed in place rather than copied
+    conversation.employeeId = conversation.employeeId || employeeId || null;
+    conversation.title = conversation.title || (message.role === 'user' ? truncate(message.content, TITLE_LENGTH) : null);
+    // Writing in an archived thread brings it back
+    conversation.archived = message.role === 'user' ? false : !!conversation.archived;
+    conversation.updatedAt = now;
+    conversation.messages.push(message);
+    this.conversations.set(threadId, conversation);
+    return message;
+  }
+
+  /**
+   * Record the tool calls of a run as they are dispatched
+   */
+  addToolCalls(threadId, employeeId, runId, toolCalls) {
+    toolCalls.forEach(toolCall => this.addMessage(threadId, employeeId, {
+      role: 'tool_call',
+      runId,
+      toolCallId: toolCall.id,
+      functionName: toolCall.function?.name,
+      arguments: parseArguments(toolCall.function?.arguments)
+    }));
+  }
+
+  /**
+   * Record the outputs of a released batch ({ threadId, runId, employeeId, toolOutputs })
+   */
+  addToolOutputs({ threadId, runId, employeeId, toolOutputs }) {
+    const conversation = this.conversations.get(threadId);
+
+    toolOutputs.forEach(({ tool_call_id: toolCallId, output }) => {
+      const call = conversation?.messages.find(message => message.role === 'tool_call' && message.toolCallId === toolCallId);
+      this.addMessage(threadId, employeeId, {
+        role: 'tool_output',
+        runId,
+        toolCallId,
+        functionName: call?.functionName,
+        content: output
+      });
+    });
+  }
+
+  /**
+   * Rename, pin or archive a conversation: { title, pinned, archived }
+   */
+  update(threadId, fields) {
+    const conversation = this.requireConversation(threadId);
+    const errors = [];
+
+    Object.entries(fields).forEach(([field, value]) => {
+      if (field === 'title') {
+        if (typeof value !== 'string' || value.trim() === '' || value.length > TITLE_LENGTH) {
+          errors.push(`title must be a non-empty string of at most ${TITLE_LENGTH} characters`);
+        }
+      } else if (field === 'pinned' || field === 'archived') {
+        if (typeof value !== 'boolean') errors.push(`${field} must be true or false`);
+      } else {
+        errors.push(`Unknown field '${field}' (allowed: title, pinned, archived)`);
+      }
+    });
+
+    if (errors.length > 0) {
+      throw new ConversationStoreError(400, {
+        error: 'Invalid conversation update',
+        details: errors.join('; '),
+        validation_errors: errors
+      });
+    }
+
+    const updated = {
+      ...conversation,
+      ...fields,
+      ...(fields.title !== undefined && { title: fields.title.trim() })
+    };
+    this.conversations.set(threadId, updated);
+    console.log(`✏️ Updated conversation ${threadId}: ${Object.keys(fields).join(', ')}`);
+    return this.toSummary(updated);
+  }
+
+  /**
+   * The employee a thread belongs to, or null for threads we haven't seen
+   */
+  getOwner(threadId) {
+    return this.conversations.get(threadId)?.employeeId || null;
+  }
+
+  /**
+   * Whether this server recorded a conversation for the thread
+   */
+  has(threadId) {
+    return this.conversations.has(threadId);
+  }
+
+  get(threadId) {
+    const conversation = this.conversations.get(threadId);
+    return conversation ? this.toResponse(conversation) : null;
+  }
+
+  /**
+   * Conversation summaries, pinned first, then most recently active.
+   * Archived conversations are listed only when asked for (archived: true).
+   */
+  list({ employeeId = null, archived = false, limit = 50 } = {}) {
+    return this.filterConversations(employeeId)
+      .filter(conversation => !!conversation.archived === archived)
+      .sort((a, b) => Number(!!b.pinned) - Number(!!a.pinned))
+      .slice(0, limit)
+      .map(conversation => this.toSummary(conversation));
+  }
+
+  /**
+   * Conversations containing every word of the query (case-insensitive), in the title
+   * or any message, tool calls and outputs included. Best matches first.
+   */
+  search(query, { employeeId = null, limit = 20 } = {}) {
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    if (terms.length === 0) return [];
+
+    const results = [];
+    for (const conversation of this.filterConversations(employeeId)) {
+      const texts = conversation.messages.map(message => ({ message, text: lowerSearchableText(message) }));
+      const haystack = [(conversation.title || '').toLowerCase(), ...texts.map(({ text }) => text)].join('\n');
+      if (!terms.every(term => haystack.includes(term))) continue;
+
+      const matches = texts.filter(({ text }) => terms.some(term => text.includes(term)));
+      const score = terms.reduce((total, term) => total + haystack.split(term).length - 1, 0);
+
+      results.push({
+        score,
+        result: {
+          ...this.toSummary(conversation),
+          matches: matches.slice(0, MAX_SEARCH_MATCHES).map(({ message, text }) => ({
+            message_id: message.id,
+            role: message.role,
+            snippet: snippet(searchableText(message), text, terms),
+            created_at: message.createdAt
+          })),
+          match_count: matches.length
+        }
+      });
+    }
+
+    return results
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ result }) => result);
+  }
+
+  requireConversation(threadId) {
+    const conversation = this.conversations.get(threadId);
+    if (!conversation) {
+      throw new ConversationStoreError(404, {
+        error: 'Conversation not found',
+        details: `No conversation recorded for thread '${threadId}'`
+      });
+    }
+    return conversation;
+  }
+
+  delete(threadId) {
+    const removed = this.conversations.delete(threadId);
+    if (removed) {
+      console.log(`🗑️ Deleted conversation ${threadId}`);
+    }
+    return removed;
+  }
+
+  filterConversations(employeeId) {
+    return Array.from(this.conversations.values())
+      .filter(conversation => !employeeId || conversation.employeeId === employeeId)
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  toSummary(conversation) {
+    const lastMessage = [...conversation.messages].reverse().find(message => ['user', 'assistant'].includes(message.role));
+    return {
+      thread_id: conversation.threadId,
+      employee_id: conversation.employeeId,
+      employee_name: config.employees[conversation.employeeId]?.name || conversation.employeeId,
+      title: conversation.title || 'Untitled conversation',
+      pinned: !!conversation.pinned,
+      archived: !!conversation.archived,
+      message_count: conversation.messages.length,
+      last_message: lastMessage ? {
+        role: lastMessage.role,
+        preview: truncate(lastMessage.content, PREVIEW_LENGTH),
+        created_at: lastMessage.createdAt
+      } : null,
+      created_at: conversation.createdAt,
+      updated_at: conversation.updatedAt
+    };
+  }
+
+  toResponse(conversation) {
+    return {
+      ...this.toSummary(conversation),
+      messages: conversation.messages.map(message => ({
+        id: message.id,
+        role: message.role,
+        content: message.content,
+        run_id: message.runId,
+        tool_call_id: message.toolCallId,
+        function_name: message.functionName,
+        arguments: message.arguments,
+        message_id: message.messageId,
+        created_at: message.createdAt
+      }))
+    };
+  }
+}
+
+function truncate(text, length) {
+  const flat = String(text || '').replace(/\s+/g, ' ').trim();
+  return flat.length > length ? `${flat.slice(0, length - 1)}…` : flat;
+}
+
+function parseArguments(rawArguments) {
+  try {
+    return JSON.parse(rawArguments);
+  } catch (error) {
+    return rawArguments ?? null;
+  }
+}
+
+function searchableText(message) {
+  const parts = [message.content, message.functionName];
+  if (message.arguments !== null && message.arguments !== undefined) {
+    parts.push(typeof message.arguments === 'string' ? message.arguments : JSON.stringify(message.arguments));
+  }
+  return parts.filter(Boolean).join(' ');
+}
+
+function lowerSearchableText(message) {
+  if (!searchTexts.has(message)) searchTexts.set(message, searchableText(message).toLowerCase());
+  return searchTexts.get(message);
+}
+
+/**
+ * A short excerpt of text around the first matching term
+ */
+function snippet(text, lowerText, terms) {
+  const index = Math.min(...terms.map(term => lowerText.indexOf(term)).filter(position => position !== -1));
+  const start = Math.max(index - 40, 0);
+  const end = Math.min(index + 80, text.length);
+  return `${start > 0 ? '…' : ''}${text.slice(start, end).replace(/\s+/g, ' ')}${end < text.length ? '…' : ''}`;
+}
+
+module.exports = ConversationStore;
+module.exports.ConversationStoreError = ConversationStoreError;
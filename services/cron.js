@@ -0,0 +1,181 @@
+/**
+ * Five-field cron expressions ("minute hour day-of-month month day-of-week"),
+ * evaluated in an IANA timezone. Fields support *, lists (1,15), ranges (1-5),
+ * steps (0-59/15, 8-18/2) and names (MON, JAN). Aliases: @hourly, @daily,
+ * @weekly, @monthly. As in classic cron, when both day fields are restricted a
+ * day matches if either does.
+ */
+
+const ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+  { name: 'day of week', min: 0, max: 7, names: DAY_NAMES, offset: 0 } // 7 is Sunday too
+];
+
+const MAX_SEARCH_MINUTES = 366 * 24 * 60; // Give up after a year without a match
+
+function parseValue(value, field) {
+  const named = field.names?.indexOf(value.toLowerCase());
+  // Only plain digits - Number('') is 0, so a missing value would otherwise pass
+  const number = named !== undefined && named !== -1 ? named + field.offset : /^\d+$/.test(value) ? Number(value) : NaN;
+  if (!Number.isInteger(number) || number < field.min || number > field.max) {
+    throw new Error(`Invalid ${field.name} '${value}' (allowed ${field.min}-${field.max})`);
+  }
+  return number;
+}
+
+function parseField(text, field) {
+  const values = new Set();
+
+  text.split(',').forEach(part => {
+    const [range, stepText, ...extra] = part.split('/');
+    if (range === '' || extra.length > 0) {
+      throw new Error(`Invalid ${field.name} '${text}'`);
+    }
+    const step = stepText === undefined ? 1 : /^\d+$/.test(stepText) ? Number(stepText) : NaN;
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step '${stepText}' in ${field.name}`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes('-')) {
+      const bounds = range.split('-');
+      if (bounds.length !== 2 || bounds.includes('')) throw new Error(`Invalid ${field.name} range '${range}'`);
+      [start, end] = bounds.map(value => parseValue(value, field));
+      if (start > end) throw new Error(`Invalid ${field.name} range '${range}'`);
+    } else {
+      start = parseValue(range, field);
+      end = stepText === undefined ? start : field.max;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  });
+
+  return { values, restricted: text !== '*' };
+}
+
+/**
+ * Parse an expression; throws an Error describing the first problem
+ */
+function parseCron(expression) {
+  if (typeof expression !== 'string' || expression.trim() === '') {
+    throw new Error('Schedule must be a cron expression such as "0 8 * * 1"');
+  }
+
+  const normalized = ALIASES[expression.trim().toLowerCase()] || expression.trim();
+  const parts = normalized.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Schedule '${expression}' must have 5 fields (minute hour day-of-month month day-of-week)`);
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, index) => parseField(part, FIELDS[index]));
+  if (dayOfWeek.values.has(7)) dayOfWeek.values.add(0);
+
+  return { expression: normalized, minute, hour, dayOfMonth, month, dayOfWeek };
+}
+
+function wallClock(date, timezone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    weekday: 'short'
+  }).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  return {
+    minute: Number(parts.minute),
+    hour: Number(parts.hour),
+    day: Number(parts.day),
+    month: Number(parts.month),
+    weekday: DAY_NAMES.indexOf(parts.weekday.toLowerCase())
+  };
+}
+
+function dayMatches(cron, clock) {
+  const domMatch = cron.dayOfMonth.values.has(clock.day);
+  const dowMatch = cron.dayOfWeek.values.has(clock.weekday);
+  if (cron.dayOfMonth.restricted && cron.dayOfWeek.restricted) return domMatch || dowMatch;
+  return domMatch && dowMatch;
+}
+
+/**
+ * Whether the same wall-clock minute already happened an hour earlier, i.e. `date`
+ * falls in the hour that repeats when clocks go back
+ */
+function isRepeatedTime(date, clock, timezone) {
+  const earlier = wallClock(new Date(date.getTime() - 60 * 60 * 1000), timezone);
+  return earlier.day === clock.day && earlier.hour === clock.hour && earlier.minute === clock.minute;
+}
+
+/**
+ * The first matching minute strictly after `after`, or null if none within a year.
+ * Around DST changes: a time the clocks skip doesn't run that day, and a schedule
+ * with fixed hours runs once in the hour that repeats (every-hour schedules run in both).
+ */
+function nextRun(cron, after = new Date(), timezone = 'UTC') {
+  const candidate = new Date(after.getTime());
+  candidate.setUTCSeconds(0, 0);
+  candidate.setUTCMinutes(candidate.getUTCMinutes() + 1);
+
+  let searched = 0;
+  while (searched < MAX_SEARCH_MINUTES) {
+    const clock = wallClock(candidate, timezone);
+
+    // Skip ahead by the largest unit that can't match
+    let skip;
+    if (!cron.month.values.has(clock.month) || !dayMatches(cron, clock)) {
+      skip = (24 - clock.hour) * 60 - clock.minute;
+    } else if (!cron.hour.values.has(clock.hour)) {
+      skip = 60 - clock.minute;
+    } else if (!cron.minute.values.has(clock.minute)) {
+      skip = 1;
+    } else if (cron.hour.restricted && isRepeatedTime(candidate, clock, timezone)) {
+      skip = 60 - clock.minute;
+    } else {
+      return candidate;
+    }
+
+    candidate.setUTCMinutes(candidate.getUTCMinutes() + skip);
+    searched += skip;
+  }
+  return null;
+}
+
+/**
+ * Whether Intl knows a timezone name
+ */
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = { parseCron, nextRun, isValidTimezone };
@@ -0,0 +1,275 @@
+const crypto = require('crypto');
+const config = require('../config');
+const { createStore } = require('./stores');
+const { watchRun } = require('./run-watcher');
+
+const MAX_DELEGATION_DEPTH = 3; // A → B → C → D at most
+const ACTIVE_STATUSES = ['running', 'waiting'];
+
+/**
+ * Hands a task from one employee's run to another employee's assistant.
+ *
+ * The parent's delegate_to_employee call stays pending (as a deferred local tool)
+ * while the child employee works on its own thread - linked to the parent thread
+ * and reused for later delegations to the same employee. When the child run
+ * finishes its answer becomes the parent call's output and the parent run continues.
+ */
+class DelegationManager {
+  constructor({ openaiService, askPipeline, webhookHandler, threadEvents }) {
+    this.openaiService = openaiService;
+    this.askPipeline = askPipeline;
+    this.webhookHandler = webhookHandler;
+    this.threadEvents = threadEvents;
+    this.delegations = createStore('delegations'); // delegationId -> delegation
+    this.subscriptions = new Map(); // delegationId -> stop watching the child run
+  }
+
+  /**
+   * Validate a delegation request and start the child run in the background.
+   * Throws for requests that can't be delegated; the caller's run gets the error as output.
+   */
+  async start({ employee_id: targetId, task, context = '', new_thread: newThread = false }, { employeeId, threadId, runId, toolCallId }) {
+    const target = config.employees[targetId];
+    if (!target) {
+      throw new Error(`Employee '${targetId}' does not exist. Available: ${Object.keys(config.employees).join(', ')}`);
+    }
+    if (targetId === employeeId) {
+      throw new Error('An employee cannot delegate to themselves');
+    }
+    if (target.assistantId.includes('placeholder')) {
+      throw new Error(`${target.name} is not connected yet and cannot take delegated work`);
+    }
+
+    // Chains are followed through the threads that delegations run on
+    const chain = this.getChain(threadId);
+    if (chain.length >= MAX_DELEGATION_DEPTH) {
+      throw new Error(`Delegation depth limit reached (${MAX_DELEGATION_DEPTH})`);
+    }
+    if (chain.some(delegation => delegation.fromEmployeeId === targetId)) {
+      throw new Error(`${target.name} is already part of this delegation chain`);
+    }
+
+    let childThreadId = newThread ? null : this.findLinkedThread(threadId, targetId);
+    if (!childThreadId) {
+      childThreadId = (await this.openaiService.createThread()).id;
+    }
+
+    const delegation = {
+      id: `dlg_${crypto.randomUUID().replace(/-/g, '')}`,
+      status: 'running',
+      fromEmployeeId: employeeId,
+      toEmployeeId: targetId,
+      task,
+      context,
+      depth: chain.length + 1,
+      parentThreadId: threadId,
+      parentRunId: runId,
+      parentToolCallId: toolCallId,
+      parentDelegationId: chain[0]?.id || null,
+      childThreadId,
+      childRunId: null,
+      result: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      completedAt: null
+    };
+    this.delegations.set(delegation.id, delegation);
+
+    console.log(`🤝 ${config.employees[employeeId]?.name || employeeId} delegated to ${target.name} (${delegation.id}, thread ${childThreadId})`);
+    this.threadEvents.publish(threadId, 'delegation.started', this.toResponse(delegation));
+
+    this.runChild(delegation).catch(error => {
+      console.error(`❌ Delegation ${delegation.id} crashed:`, error.message);
+    });
+
+    return {
+      delegation_id: delegation.id,
+      employee_id: targetId,
+      thread_id: childThreadId
+    };
+  }
+
+  /**
+   * Run the task on the child employee's assistant; webhook-bound child runs are
+   * followed through the child thread's events until they finish
+   */
+  async runChild(delegation) {
+    let response;
+    try {
+      response = await this.askPipeline.run({
+        message: this.buildMessage(delegation),
+        employeeId: delegation.toEmployeeId,
+        threadId: delegation.childThreadId
+      });
+    } catch (error) {
+      return this.finish(delegation.id, { status: 'failed', error: error.message });
+    }
+
+    this.update(delegation.id, { childRunId: response.run_id });
+    this.webhookHandler.annotatePendingCall(delegation.parentToolCallId, { childRunId: response.run_id });
+
+    if (response.status === 'completed') {
+      return this.finish(delegation.id, { status: 'completed', result: response.message });
+    }
+
+    this.update(delegation.id, { status: 'waiting' });
+    console.log(`⏳ Delegation ${delegation.id} waiting for ${delegation.toEmployeeId}'s run ${response.run_id}`);
+    this.followChildRun(this.delegations.get(delegation.id));
+  }
+
+  buildMessage(delegation) {
+    const from = config.employees[delegation.fromEmployeeId];
+    const lines = [
+      `Task delegated by ${from?.name || delegation.fromEmployeeId}${from?.role ? ` (${from.role})` : ''}:`,
+      delegation.task
+    ];
+    if (delegation.context) {
+      lines.push('', 'Context:', delegation.context);
+    }
+    lines.push('', 'Your reply is handed back to them as the result.');
+    return lines.join('\n');
+  }
+
+  followChildRun(delegation) {
+    const stop = watchRun(this.threadEvents, delegation.childThreadId, delegation.childRunId,
+      outcome => this.finish(delegation.id, outcome));
+
+    if (ACTIVE_STATUSES.includes(this.delegations.get(delegation.id).status)) {
+      this.subscriptions.set(delegation.id, stop);
+    }
+  }
+
+  /**
+   * Record the outcome and hand it to the parent run as the tool output
+   */
+  finish(delegationId, { status, result = null, error = null }) {
+    const current = this.delegations.get(delegationId);
+    if (!current || !ACTIVE_STATUSES.includes(current.status)) return current;
+
+    this.subscriptions.get(delegationId)?.();
+    this.subscriptions.delete(delegationId);
+
+    const delegation = this.update(delegationId, { status, result, error, completedAt: new Date().toISOString() });
+    const target = config.employees[delegation.toEmployeeId];
+    console.log(`${status === 'completed' ? '✅' : '❌'} Delegation ${delegationId} to ${target?.name || delegation.toEmployeeId} ${status}${error ? `: ${error}` : ''}`);
+
+    const output = {
+      delegation_id: delegationId,
+      status,
+      employee_id: delegation.toEmployeeId,
+      employee_name: target?.name || delegation.toEmployeeId,
+      thread_id: delegation.childThreadId,
+      run_id: delegation.childRunId
+    };
+    if (status === 'completed') {
+      output.result = result;
+    } else {
+      output.error = 'Delegation failed';
+      output.details = error;
+    }
+
+    const delivered = this.webhookHandler.completeDeferredCall(delegation.parentToolCallId, output);
+    const finished = this.update(delegationId, { deliveredToParent: delivered });
+    this.threadEvents.publish(delegation.parentThreadId, 'delegation.completed', this.toResponse(finished));
+    return finished;
+  }
+
+  update(delegationId, fields) {
+    const delegation = { ...this.delegations.get(delegationId), ...fields };
+    this.delegations.set(delegationId, delegation);
+    return delegation;
+  }
+
+  /**
+   * The delegations that led to a thread, innermost first
+   */
+  getChain(threadId) {
+    const chain = [];
+    let current = this.findByChildThread(threadId);
+    while (current && chain.length <= MAX_DELEGATION_DEPTH) {
+      chain.push(current);
+      current = this.findByChildThread(current.parentThreadId);
+    }
+    return chain;
+  }
+
+  findByChildThread(threadId) {
+    return Array.from(this.delegations.values())
+      .filter(delegation => delegation.childThreadId === threadId && ACTIVE_STATUSES.includes(delegation.status))
+      .pop() || null;
+  }
+
+  /**
+   * The thread of an earlier delegation from this thread to the same employee,
+   * unless a delegation is still running on it
+   */
+  findLinkedThread(parentThreadId, targetId) {
+    const linked = Array.from(this.delegations.values())
+      .filter(delegation => delegation.parentThreadId === parentThreadId && delegation.toEmployeeId === targetId);
+    const latest = linked[linked.length - 1];
+    if (!latest) return null;
+
+    const busy = linked.some(delegation => delegation.childThreadId === latest.childThreadId && ACTIVE_STATUSES.includes(delegation.status));
+    return busy ? null : latest.childThreadId;
+  }
+
+  /**
+   * Pick delegations back up after a restart: waiting ones are followed again,
+   * ones that were mid-pipeline can't be resumed and fail their parent call
+   */
+  resume() {
+    for (const delegation of this.delegations.values()) {
+      if (delegation.status === 'waiting') {
+        this.followChildRun(delegation);
+      } else if (delegation.status === 'running') {
+        this.finish(delegation.id, { status: 'failed', error: 'Interrupted by a server restart' });
+      }
+    }
+  }
+
+  get(delegationId) {
+    const delegation = this.delegations.get(delegationId);
+    return delegation ? this.toResponse(delegation) : null;
+  }
+
+  /**
+   * Delegations touching a thread (as parent or child) or an employee, newest first
+   */
+  list({ threadId = null, employeeId = null } = {}) {
+    return Array.from(this.delegations.values())
+      .filter(delegation => !threadId || delegation.parentThreadId === threadId || delegation.childThreadId === threadId)
+      .filter(delegation => !employeeId || delegation.fromEmployeeId === employeeId || delegation.toEmployeeId === employeeId)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(delegation => this.toResponse(delegation));
+  }
+
+  toResponse(delegation) {
+    return {
+      delegation_id: delegation.id,
+      status: delegation.status,
+      from_employee_id: delegation.fromEmployeeId,
+      from_employee_name: config.employees[delegation.fromEmployeeId]?.name || delegation.fromEmployeeId,
+      to_employee_id: delegation.toEmployeeId,
+      to_employee_name: config.employees[delegation.toEmployeeId]?.name || delegation.toEmployeeId,
+      task: delegation.task,
+      depth: delegation.depth,
+      parent: {
+        thread_id: delegation.parentThreadId,
+        run_id: delegation.parentRunId,
+        tool_call_id: delegation.parentToolCallId,
+        delegation_id: delegation.parentDelegationId
+      },
+      child: {
+        thread_id: delegation.childThreadId,
+        run_id: delegation.childRunId
+      },
+      result: delegation.result,
+      error: delegation.error,
+      delivered_to_parent: delegation.deliveredToParent ?? null,
+      created_at: delegation.createdAt,
+      completed_at: delegation.completedAt
+    };
+  }
+}
+
+module.exports = DelegationManager;
@@ -0,0 +1,253 @@
+const fs = require('fs');
+const { EventEmitter } = require('events');
+const { validateSchema } = require('./json-schema');
+const schema = require('../config/employees.schema.json');
+
+const EMPLOYEE_ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+const WATCH_INTERVAL_MS = 1000;
+
+/**
+ * Error raised by registry edits, carrying the HTTP status and body to answer with
+ */
+class EmployeeRegistryError extends Error {
+  constructor(status, body) {
+    super(body.details || body.error);
+    this.name = 'EmployeeRegistryError';
+    this.status = status;
+    this.body = body;
+  }
+}
+
+/**
+ * Validate parsed registry data; returns a list of error messages
+ */
+function validateRegistry(data) {
+  const errors = validateSchema(schema, data, 'registry');
+
+  Object.keys(data?.employees || {}).forEach(id => {
+    if (!EMPLOYEE_ID_PATTERN.test(id)) {
+      errors.push(`registry.employees.${id}: employee ids must be lowercase letters, digits, '-' or '_'`);
+    }
+  });
+
+  return errors;
+}
+
+function readRegistryFile(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read employee registry ${filePath}: ${error.message}`);
+  }
+}
+
+function getMtimeMs(filePath) {
+  try {
+    return fs.statSync(filePath).mtimeMs;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Read and validate the employee registry file.
+ * Per-employee secrets are resolved from the environment variable named in webhookSecretEnv.
+ */
+function loadEmployeesFile(filePath) {
+  const data = readRegistryFile(filePath);
+
+  const errors = validateRegistry(data);
+  if (errors.length > 0) {
+    const error = new Error(`Employee registry ${filePath} is invalid: ${errors.join('; ')}`);
+    error.validationErrors = errors;
+    throw error;
+  }
+
+  const employees = {};
+  Object.entries(data.employees).forEach(([id, employee]) => {
+    employees[id] = { ...employee };
+    if (employee.webhookSecretEnv && process.env[employee.webhookSecretEnv]) {
+      employees[id].webhookSecret = process.env[employee.webhookSecretEnv];
+    }
+  });
+  return employees;
+}
+
+/**
+ * Employee fields that are safe to send to the browser
+ */
+function toPublicEmployee(employee) {
+  const { webhookSecret, webhookSecretEnv, ...publicFields } = employee;
+  return {
+    ...publicFields,
+    connected: !employee.assistantId.includes('placeholder') && !employee.webhookUrl.includes('placeholder')
+  };
+}
+
+/**
+ * Keeps the live employees object (config.employees) in sync with the registry
+ * file. The object is updated in place so every module reading config.employees
+ * sees the change without a restart. Emits 'change' after a successful reload.
+ *
+ * The file is also the store behind the admin API: edits are validated, written
+ * atomically and applied right away.
+ */
+class EmployeeRegistry extends EventEmitter {
+  constructor({ filePath, employees }) {
+    super();
+    this.filePath = filePath;
+    this.employees = employees;
+    this.version = 1;
+    this.updatedAt = new Date().toISOString();
+    this.loadedMtimeMs = getMtimeMs(filePath);
+    this.watching = false;
+  }
+
+  /**
+   * Re-read the file; an invalid file is reported and the current employees are kept
+   */
+  reload() {
+    let employees;
+    try {
+      employees = loadEmployeesFile(this.filePath);
+    } catch (error) {
+      console.error(`❌ Employee registry not reloaded: ${error.message}`);
+      return false;
+    }
+
+    Object.keys(this.employees).forEach(id => {
+      if (!employees[id]) delete this.employees[id];
+    });
+    Object.assign(this.employees, employees);
+
+    this.loadedMtimeMs = getMtimeMs(this.filePath);
+    this.version++;
+    this.updatedAt = new Date().toISOString();
+    console.log(`🔄 Employee registry reloaded (v${this.version}): ${Object.keys(employees).join(', ')}`);
+    this.emit('change', this.getPublicEmployees());
+    return true;
+  }
+
+  watch() {
+    if (this.watching) return;
+    this.watching = true;
+
+    // watchFile polls, which survives editors that save by replacing the file
+    fs.watchFile(this.filePath, { interval: WATCH_INTERVAL_MS }, (current, previous) => {
+      // Our own writes are applied immediately and don't need a second reload
+      if (current.mtimeMs !== previous.mtimeMs && current.mtimeMs !== this.loadedMtimeMs) {
+        console.log(`👀 Employee registry ${this.filePath} changed, reloading...`);
+        this.reload();
+      }
+    });
+    console.log(`👀 Watching employee registry ${this.filePath}`);
+  }
+
+  unwatch() {
+    if (!this.watching) return;
+    fs.unwatchFile(this.filePath);
+    this.watching = false;
+  }
+
+  /**
+   * Add an employee to the registry file; returns its public view
+   */
+  createEmployee(employeeId, fields) {
+    const data = readRegistryFile(this.filePath);
+
+    if (data.employees[employeeId]) {
+      throw new EmployeeRegistryError(409, {
+        error: 'Employee already exists',
+        details: `Employee '${employeeId}' is already configured`
+      });
+    }
+
+    data.employees[employeeId] = fields;
+    this.writeRegistry(data);
+    console.log(`➕ Added employee ${employeeId} (${fields.name})`);
+    return toPublicEmployee(this.employees[employeeId]);
+  }
+
+  /**
+   * Merge fields into an existing employee; a null field removes it
+   */
+  updateEmployee(employeeId, fields) {
+    const data = readRegistryFile(this.filePath);
+    const existing = data.employees[employeeId];
+
+    if (!existing) {
+      throw new EmployeeRegistryError(404, {
+        error: 'Employee not found',
+        details: `Employee '${employeeId}' is not configured`
+      });
+    }
+
+    const updated = { ...existing, ...fields };
+    Object.keys(updated).forEach(key => {
+      if (updated[key] === null) delete updated[key];
+    });
+
+    data.employees[employeeId] = updated;
+    this.writeRegistry(data);
+    console.log(`✏️ Updated employee ${employeeId}: ${Object.keys(fields).join(', ')}`);
+    return toPublicEmployee(this.employees[employeeId]);
+  }
+
+  deleteEmployee(employeeId) {
+    const data = readRegistryFile(this.filePath);
+
+    if (!data.employees[employeeId]) {
+      throw new EmployeeRegistryError(404, {
+        error: 'Employee not found',
+        details: `Employee '${employeeId}' is not configured`
+      });
+    }
+
+    if (Object.keys(data.employees).length === 1) {
+      throw new EmployeeRegistryError(409, {
+        error: 'Cannot delete last employee',
+        details: 'The registry must keep at least one employee'
+      });
+    }
+
+    delete data.employees[employeeId];
+    this.writeRegistry(data);
+    console.log(`🗑️ Deleted employee ${employeeId}`);
+  }
+
+  /**
+   * Validate a whole registry document, write it atomically and apply it
+   */
+  writeRegistry(data) {
+    const errors = validateRegistry(data);
+    if (errors.length > 0) {
+      throw new EmployeeRegistryError(400, {
+        error: 'Invalid employee',
+        details: errors.join('; '),
+        validation_errors: errors
+      });
+    }
+
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, `${JSON.stringify(data, null, 2)}\n`);
+    fs.renameSync(tempPath, this.filePath);
+
+    if (!this.reload()) {
+      throw new Error(`Employee registry ${this.filePath} was written but could not be reloaded`);
+    }
+  }
+
+  getPublicEmployees() {
+    const employees = {};
+    Object.entries(this.employees).forEach(([id, employee]) => {
+      employees[id] = toPublicEmployee(employee);
+    });
+    return employees;
+  }
+}
+
+module.exports = EmployeeRegistry;
+module.exports.loadEmployeesFile = loadEmployeesFile;
+module.exports.validateRegistry = validateRegistry;
+module.exports.toPublicEmployee = toPublicEmployee;
+module.exports.EmployeeRegistryError = EmployeeRegistryError;
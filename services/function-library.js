@@ -0,0 +1,145 @@
+const fs = require('fs');
+const path = require('path');
+const { validateSchema } = require('./json-schema');
+
+// Shape of one library file: config/functions/<employee>/<name>.json
+const functionFileSchema = {
+  type: 'object',
+  required: ['name', 'parameters'],
+  properties: {
+    name: { type: 'string', pattern: '^[a-zA-Z0-9_-]{1,64}$' },
+    description: { type: 'string' },
+    parameters: { type: 'object', required: ['type'], properties: { type: { type: 'string', enum: ['object'] } } },
+    result: { type: 'object' }
+  },
+  additionalProperties: false
+};
+
+/**
+ * Library of webhook function schemas, as JSON files per employee:
+ *
+ *   config/functions/brenden/search_leads.json (see config/functions.example)
+ *   { "name", "description", "parameters": <JSON Schema>, "result": <JSON Schema, optional> }
+ *
+ * `parameters` is what gets pushed to the assistant and checked before a call is
+ * dispatched; `result` (when declared) is checked against webhook outputs if
+ * FUNCTION_RESULT_VALIDATION is set.
+ * Invalid files are skipped with an error so one typo can't take the others down.
+ */
+class FunctionLibrary {
+  constructor({ dir }) {
+    this.dir = dir;
+    this.functions = new Map(); // employeeId -> Map(name -> definition)
+    this.signature = null;
+    this.load();
+  }
+
+  /**
+   * Library files with their modification times, used to notice edits
+   */
+  scanFiles() {
+    if (!fs.existsSync(this.dir)) return [];
+
+    return fs.readdirSync(this.dir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .flatMap(entry => fs.readdirSync(path.join(this.dir, entry.name))
+        .filter(file => file.endsWith('.json'))
+        .map(file => {
+          const filePath = path.join(this.dir, entry.name, file);
+          return { employeeId: entry.name, filePath, mtimeMs: fs.statSync(filePath).mtimeMs };
+        }));
+  }
+
+  load() {
+    const files = this.scanFiles();
+    const functions = new Map();
+
+    files.forEach(({ employeeId, filePath }) => {
+      let definition;
+      try {
+        definition = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      } catch (error) {
+        console.error(`❌ Skipping function schema ${filePath}: ${error.message}`);
+        return;
+      }
+
+      const errors = validateSchema(functionFileSchema, definition, path.basename(filePath));
+      if (errors.length > 0) {
+        console.error(`❌ Skipping function schema ${filePath}: ${errors.join('; ')}`);
+        return;
+      }
+
+      if (!functions.has(employeeId)) functions.set(employeeId, new Map());
+      functions.get(employeeId).set(definition.name, { ...definition, file: filePath });
+    });
+
+    this.functions = functions;
+    this.signature = JSON.stringify(files.map(({ filePath, mtimeMs }) => [filePath, mtimeMs]));
+
+    const count = Array.from(functions.values()).reduce((sum, fns) => sum + fns.size, 0);
+    console.log(`📚 Function library loaded: ${count} schemas for ${functions.size} employees from ${this.dir}`);
+  }
+
+  /**
+   * Reload if any library file was added, removed or edited; returns whether it reloaded
+   */
+  refresh() {
+    const files = this.scanFiles();
+    const signature = JSON.stringify(files.map(({ filePath, mtimeMs }) => [filePath, mtimeMs]));
+    if (signature === this.signature) return false;
+
+    this.load();
+    return true;
+  }
+
+  get(employeeId, functionName) {
+    return this.functions.get(employeeId)?.get(functionName) || null;
+  }
+
+  list(employeeId) {
+    return Array.from(this.functions.get(employeeId)?.values() || []);
+  }
+
+  /**
+   * OpenAI function definitions for an employee's library
+   */
+  getFunctionDefinitions(employeeId) {
+    return this.list(employeeId).map(definition => ({
+      type: 'function',
+      function: {
+        name: definition.name,
+        description: definition.description || '',
+        parameters: definition.parameters
+      }
+    }));
+  }
+
+  /**
+   * Check call arguments; functions without a library schema always pass
+   */
+  validateArguments(employeeId, functionName, args) {
+    const definition = this.get(employeeId, functionName);
+    return definition ? validateSchema(definition.parameters, args, 'arguments') : [];
+  }
+
+  /**
+   * Check a webhook output against the declared result schema, if any.
+   * String outputs holding JSON are parsed first.
+   */
+  validateResult(employeeId, functionName, output) {
+    const schema = this.get(employeeId, functionName)?.result;
+    if (!schema) return [];
+
+    let value = output;
+    if (typeof output === 'string') {
+      try {
+        value = JSON.parse(output);
+      } catch (error) {
+        // Plain text - validated as a string
+      }
+    }
+    return validateSchema(schema, value, 'output');
+  }
+}
+
+module.exports = FunctionLibrary;
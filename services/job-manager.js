@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+const { createStore } = require('./stores');
+
+const FINISHED_JOB_STATUSES = ['completed', 'failed', 'cancelled'];
+const JOB_RETENTION_MS = 24 * 60 * 60 * 1000; // Keep finished jobs for a day
+
+/**
+ * Background jobs for asynchronous /ask requests.
+ * A job runs the same AskPipeline as the synchronous endpoint; its state is
+ * persisted so clients can keep polling GET /jobs/:id across restarts.
+ */
+class JobManager {
+  constructor({ askPipeline, openaiService, store }) {
+    this.askPipeline = askPipeline;
+    this.openaiService = openaiService;
+    this.jobs = store || createStore('jobs');
+
+    this.recoverInterruptedJobs();
+  }
+
+  /**
+   * Jobs that were running when the process stopped can't be resumed - mark them failed
+   */
+  recoverInterruptedJobs() {
+    let recovered = 0;
+    for (const [id, job] of this.jobs.entries()) {
+      if (!FINISHED_JOB_STATUSES.includes(job.status)) {
+        this.updateJob(id, {
+          status: 'failed',
+          error: {
+            error: 'Job interrupted',
+            details: 'The server restarted while this job was running. Please submit the request again.'
+          },
+          finished_at: new Date().toISOString()
+        });
+        recovered++;
+      }
+    }
+
+    if (recovered > 0) {
+      console.log(`♻️ Marked ${recovered} interrupted jobs as failed`);
+    }
+  }
+
+  /**
+   * Create a job and start processing it in the background
+   */
+  createJob({ message, employeeId, threadId = null }) {
+    const id = `job_${crypto.randomUUID().replace(/-/g, '')}`;
+    const now = new Date().toISOString();
+    const job = {
+      id,
+      status: 'queued',
+      stage: null,
+      employee_id: employeeId,
+      thread_id: threadId,
+      run_id: null,
+      message,
+      result: null,
+      error: null,
+      cancel_requested: false,
+      created_at: now,
+      updated_at: now,
+      started_at: null,
+      finished_at: null
+    };
+
+    this.jobs.set(id, job);
+    console.log(`📥 Created job ${id} for ${employeeId}`);
+
+    // Run on the next tick so the HTTP response goes out first
+    setImmediate(() => this.processJob(id));
+
+    return job;
+  }
+
+  /**
+   * Execute the ask pipeline for a job and record the outcome
+   */
+  async processJob(id) {
+    const job = this.jobs.get(id);
+    if (!job || job.status !== 'queued') return;
+
+    this.updateJob(id, { status: 'running', started_at: new Date().toISOString() });
+    console.log(`⚙️ Processing job ${id}`);
+
+    try {
+      const result = await this.askPipeline.run(
+        { message: job.message, employeeId: job.employee_id, threadId: job.thread_id },
+        {
+          onProgress: ({ stage, thread_id, run_id }) => {
+            const changes = { stage };
+            if (thread_id) changes.thread_id = thread_id;
+            if (run_id) changes.run_id = run_id;
+            this.updateJob(id, changes);
+          },
+          isCancelled: () => !!this.jobs.get(id)?.cancel_requested
+        }
+      );
+
+      if (this.jobs.get(id).cancel_requested) {
+        this.finishJob(id, 'cancelled', { result });
+        return;
+      }
+
+      this.finishJob(id, 'completed', { result });
+      console.log(`✅ Job ${id} completed with status ${result.status}`);
+    } catch (error) {
+      if (this.jobs.get(id)?.cancel_requested) {
+        this.finishJob(id, 'cancelled');
+        console.log(`🛑 Job ${id} cancelled`);
+        return;
+      }
+
+      console.error(`❌ Job ${id} failed:`, error.message);
+      this.finishJob(id, 'failed', {
+        error: error.body || {
+          error: 'Request processing failed',
+          details: error.message,
+          context: error.pipelineContext || null
+        }
+      });
+    }
+  }
+
+  /**
+   * Request cancellation of a job; cancels the OpenAI run too when one is active
+   */
+  async cancelJob(id) {
+    const job = this.jobs.get(id);
+    if (!job) return null;
+
+    if (FINISHED_JOB_STATUSES.includes(job.status)) {
+      return job;
+    }
+
+    this.updateJob(id, { cancel_requested: true });
+    console.log(`🛑 Cancellation requested for job ${id}`);
+
+    if (job.status === 'queued') {
+      return this.finishJob(id, 'cancelled');
+    }
+
+    // Cancelling the run makes the pipeline's polling stop straight away
+    if (job.thread_id && job.run_id && this.openaiService) {
+      try {
+        await this.openaiService.cancelRun(job.thread_id, job.run_id);
+      } catch (error) {
+        console.warn(`⚠️ Could not cancel run ${job.run_id} for job ${id}:`, error.message);
+      }
+    }
+
+    return this.jobs.get(id);
+  }
+
+  getJob(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  updateJob(id, changes) {
+    const job = this.jobs.get(id);
+    if (!job) return null;
+
+    const updated = { ...job, ...changes, updated_at: new Date().toISOString() };
+    this.jobs.set(id, updated);
+    return updated;
+  }
+
+  finishJob(id, status, changes = {}) {
+    return this.updateJob(id, { ...changes, status, finished_at: new Date().toISOString() });
+  }
+
+  /**
+   * Remove finished jobs past the retention window
+   */
+  cleanupJobs() {
+    const cutoff = Date.now() - JOB_RETENTION_MS;
+    let removed = 0;
+
+    for (const [id, job] of this.jobs.entries()) {
+      if (FINISHED_JOB_STATUSES.includes(job.status) && new Date(job.finished_at).getTime() < cutoff) {
+        this.jobs.delete(id);
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      console.log(`🧹 Removed ${removed} finished jobs older than 24h`);
+    }
+  }
+}
+
+module.exports = JobManager;
@@ -0,0 +1,143 @@
+const { STAGES } = require('./lead-store');
+
+/**
+ * Error raised by funnel requests, carrying the HTTP status and body to answer with
+ */
+class LeadFunnelError extends Error {
+  constructor(status, body) {
+    super(body.details || body.error);
+    this.name = 'LeadFunnelError';
+    this.status = status;
+    this.body = body;
+  }
+}
+
+// How a funnel can be split: group key and label of a lead
+const GROUPS = {
+  employee: (lead) => lead.source.type === 'employee'
+    ? [lead.source.employee_id, lead.source.employee_name]
+    : [lead.source.type, lead.source.type === 'import' ? 'Imported' : 'Added by hand'],
+  industry: (lead) => lead.industry
+    ? [lead.industry.trim().toLowerCase(), lead.industry.trim()]
+    : [null, 'No industry'],
+  day: (lead) => [lead.created_at.slice(0, 10), lead.created_at.slice(0, 10)],
+  week: (lead) => {
+    const monday = weekStart(lead.created_at);
+    return [monday, `Week of ${monday}`];
+  },
+  month: (lead) => [lead.created_at.slice(0, 7), lead.created_at.slice(0, 7)]
+};
+
+/**
+ * Conversion through the pipeline within a time window. Every stage counts the leads
+ * whose stage history shows them reaching it inside the window, so a lead moved back
+ * later still counts for the stages it got to, with the share of the leads that moved
+ * in the window and of the previous stage that got there.
+ */
+class LeadFunnel {
+  constructor({ leadStore }) {
+    this.leadStore = leadStore;
+  }
+
+  /**
+   * { from, to } bound the stage changes counted (ISO dates or times, `to` excluded);
+   * employeeId and industry filter like the lead list; groupBy adds a funnel per
+   * employee, industry, or day, week or month of creation
+   */
+  report({ from = null, to = null, employeeId = null, industry = '', groupBy = null } = {}) {
+    const window = { from: parseTime(from, 'from'), to: parseTime(to, 'to') };
+    if (groupBy && !GROUPS[groupBy]) {
+      throw new LeadFunnelError(400, {
+        error: 'Invalid group_by',
+        details: `Cannot group by '${groupBy}' (use ${Object.keys(GROUPS).join(', ')})`
+      });
+    }
+
+    const { leads } = this.leadStore.listLeads({ employeeId, industry, sort: 'created_at', order: 'asc', limit: Infinity });
+    const inWindow = leads
+      .map(lead => ({ lead, reached: stagesReached(lead, window) }))
+      .filter(({ reached }) => reached.size > 0);
+
+    const report = {
+      from: window.from,
+      to: window.to,
+      employee_id: employeeId,
+      industry: industry || null,
+      ...funnel(inWindow)
+    };
+    if (groupBy) {
+      const groups = new Map(); // key -> { key, label, leads }
+      inWindow.forEach(entry => {
+        const [key, label] = GROUPS[groupBy](entry.lead);
+        if (!groups.has(key)) groups.set(key, { key, label, leads: [] });
+        groups.get(key).leads.push(entry);
+      });
+      report.group_by = groupBy;
+      report.groups = Array.from(groups.values()).map(({ key, label, leads: groupLeads }) => ({ key, label, ...funnel(groupLeads) }));
+    }
+    return report;
+  }
+}
+
+// leads: { lead, reached } as given by stagesReached
+function funnel(leads) {
+  const reached = STAGES.map((stage, index) => leads.filter(entry => entry.reached.has(index)).length);
+  return {
+    total: leads.length,
+    stages: STAGES.map((stage, index) => ({
+      stage,
+      count: reached[index],
+      rate: ratio(reached[index], leads.length),
+      conversion: index === 0 ? null : ratio(reached[index], reached[index - 1])
+    }))
+  };
+}
+
+/**
+ * Indexes of the stages a lead reached within the window: every stage a forward move
+ * of its stage history went through, so a lead that started at a later stage reached
+ * the ones before it too. Leads from before stage history reached the stage they had
+ * then when they were created.
+ */
+function stagesReached(lead, window) {
+  const [first] = lead.stage_history;
+  const history = first?.from === null
+    ? lead.stage_history
+    : [{ from: null, to: first?.from || lead.stage, at: lead.created_at }, ...lead.stage_history];
+  const reached = new Set();
+  history
+    .filter(({ at }) => (!window.from || at >= window.from) && (!window.to || at < window.to))
+    .forEach(({ from, to }) => {
+      for (let index = STAGES.indexOf(from) + 1; index <= STAGES.indexOf(to); index++) {
+        reached.add(index);
+      }
+    });
+  return reached;
+}
+
+// Share to three decimals; null when there is nothing to divide by
+function ratio(count, of) {
+  return of === 0 ? null : Math.round(count / of * 1000) / 1000;
+}
+
+function parseTime(value, field) {
+  if (!value) return null;
+  const time = new Date(value);
+  if (Number.isNaN(time.getTime())) {
+    throw new LeadFunnelError(400, {
+      error: 'Invalid date',
+      details: `${field} '${value}' is not a valid date`
+    });
+  }
+  return time.toISOString();
+}
+
+// Monday (UTC) of the week an ISO time falls in, as YYYY-MM-DD
+function weekStart(time) {
+  const date = new Date(time);
+  date.setUTCDate(date.getUTCDate() - (date.getUTCDay() + 6) % 7);
+  return date.toISOString().slice(0, 10);
+}
+
+module.exports = LeadFunnel;
+module.exports.LeadFunnelError = LeadFunnelError;
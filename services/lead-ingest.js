@@ -0,0 +1,119 @@
+const { extractJson } = require('./prompt-template');
+const { LeadStoreError, EMAIL_PATTERN } = require('./lead-store');
+
+// Lead field -> keys scrapers commonly use for it, most specific first
+const FIELD_ALIASES = {
+  business_name: ['business_name', 'businessName', 'company_name', 'companyName', 'business', 'company', 'name'],
+  contact_name: ['contact_name', 'contactName', 'contact', 'owner_name', 'owner'],
+  role_title: ['role_title', 'role', 'job_title', 'title', 'position'],
+  email: ['email', 'email_address', 'emails'],
+  phone: ['phone', 'phone_number', 'phoneNumber', 'telephone', 'phones'],
+  website: ['website', 'url', 'site', 'domain'],
+  location: ['location', 'address', 'full_address'],
+  industry: ['industry', 'category', 'categories']
+};
+const CONTACT_FIELDS = ['email', 'phone', 'website', 'location'];
+const LIST_KEYS = ['leads', 'results', 'businesses', 'data', 'items'];
+
+/**
+ * Lead-shaped records in a tool output: a JSON value or text containing one, holding an
+ * array of businesses (directly or under leads/results/businesses/data/items). A record
+ * counts when it has a business name and at least one of email, phone, website or location.
+ * Returns lead fields for the lead store.
+ */
+function extractLeads(output) {
+  const payload = extractJson(output);
+  const records = Array.isArray(payload)
+    ? payload
+    : LIST_KEYS.map(key => payload?.[key]).find(Array.isArray) || [];
+
+  return records
+    .filter(record => record && typeof record === 'object' && !Array.isArray(record))
+    .map(normalizeRecord)
+    .filter(lead => lead.business_name && CONTACT_FIELDS.some(field => lead[field]));
+}
+
+function normalizeRecord(record) {
+  const lead = {};
+  Object.entries(FIELD_ALIASES).forEach(([field, keys]) => {
+    const value = keys.map(key => toText(record[key])).find(Boolean);
+    if (value) lead[field] = value;
+  });
+
+  // A scraped "email" that isn't one shouldn't cost us the whole lead
+  if (lead.email && !EMAIL_PATTERN.test(lead.email)) delete lead.email;
+
+  // City/state split across fields
+  if (!lead.location) {
+    const location = [record.city, record.state || record.region].map(toText).filter(Boolean).join(', ');
+    if (location) lead.location = location;
+  }
+  return lead;
+}
+
+function toText(value) {
+  if (Array.isArray(value)) return toText(value[0]);
+  if (typeof value === 'number') return String(value);
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+/**
+ * Output parser that upserts the leads found in an employee's tool output, remembering
+ * the thread, run and tool call they came from. New and changed leads are scored by the
+ * rules unless they were scored by hand or by an employee.
+ *
+ * Only finding the leads happens while the webhook callback waits; saving them runs
+ * right after it has been answered, as one batch (one lead store write), and its
+ * outcome is published on the thread as `leads.ingested`.
+ */
+function createLeadParser(leadStore, leadScorer, functions, threadEvents) {
+  return {
+    name: 'leads',
+    functions,
+    handler: (output, context) => {
+      const leads = extractLeads(output);
+      if (leads.length === 0) return null;
+
+      setImmediate(() => {
+        const summary = ingestLeads(leadStore, leadScorer, leads, context);
+        threadEvents?.publish(context.threadId, 'leads.ingested', {
+          tool_call_id: context.toolCallId,
+          employee_id: context.employeeId,
+          ...summary
+        });
+      });
+      return { found: leads.length, queued: true };
+    }
+  };
+}
+
+function ingestLeads(leadStore, leadScorer, leads, { employeeId, functionName, threadId, runId, toolCallId }) {
+  const summary = { found: leads.length, created: 0, updated: 0, unchanged: 0, skipped: 0, failed: 0, lead_ids: [] };
+  // Scored as part of the save, so each lead is written once
+  const autoScore = lead => (leadScorer.isAutoScored(lead) ? leadScorer.evaluate(lead) : null);
+  leads.forEach(fields => {
+    try {
+      const { lead, status } = leadStore.upsertLead(fields, {
+        source: { employeeId, threadId, runId, toolCallId, functionName },
+        autoScore
+      });
+      summary[status]++;
+      summary.lead_ids.push(lead.lead_id);
+    } catch (error) {
+      // Nobody is waiting on this anymore, so any failure is logged rather than thrown
+      if (error instanceof LeadStoreError) {
+        console.warn(`⚠️ Skipped lead '${fields.business_name}' from ${toolCallId}: ${error.message}`);
+        summary.skipped++;
+      } else {
+        console.error(`❌ Failed to save lead '${fields.business_name}' from ${toolCallId}:`, error.message);
+        summary.failed++;
+      }
+    }
+  });
+  leadStore.flush();
+
+  console.log(`🎯 Ingested ${summary.found} leads from ${functionName} (${toolCallId}): ${summary.created} new, ${summary.updated} updated, ${summary.unchanged} unchanged, ${summary.skipped} skipped`);
+  return summary;
+}
+
+module.exports = { extractLeads, createLeadParser, FIELD_ALIASES };
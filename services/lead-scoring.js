@@ -0,0 +1,295 @@
+const fs = require('fs');
+const config = require('../config');
+const { validateSchema } = require('./json-schema');
+const { extractJson } = require('./prompt-template');
+const { watchRun } = require('./run-watcher');
+
+// Score field -> rubric name used in the rules file and prompts
+const SCORES = {
+  relevance_score: 'Relevance',
+  contact_role_score: 'Contact Role',
+  location_score: 'Location',
+  completeness_score: 'Completeness',
+  online_presence_score: 'Online Presence'
+};
+
+const scoreSchema = { type: 'integer', minimum: 1, maximum: 5 };
+const keywordRuleSchema = {
+  type: 'object',
+  required: ['fields', 'tiers', 'otherwise', 'missing'],
+  properties: {
+    fields: { type: 'array', items: { type: 'string' } },
+    tiers: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['score', 'keywords'],
+        properties: { score: scoreSchema, keywords: { type: 'array', items: { type: 'string', minLength: 1 } } },
+        additionalProperties: false
+      }
+    },
+    otherwise: scoreSchema,
+    missing: scoreSchema
+  },
+  additionalProperties: false
+};
+
+// Shape of config/lead-scoring.json
+const rulesSchema = {
+  type: 'object',
+  required: ['relevance', 'contact_role', 'location', 'completeness', 'online_presence'],
+  properties: {
+    relevance: keywordRuleSchema,
+    contact_role: keywordRuleSchema,
+    location: keywordRuleSchema,
+    completeness: {
+      type: 'object',
+      required: ['fields'],
+      properties: { fields: { type: 'array', items: { type: 'string' } } },
+      additionalProperties: false
+    },
+    online_presence: {
+      type: 'object',
+      required: ['base', 'website', 'business_email', 'phone', 'free_email_domains'],
+      properties: {
+        base: { type: 'integer', minimum: 0, maximum: 5 },
+        website: { type: 'integer', minimum: 0, maximum: 5 },
+        business_email: { type: 'integer', minimum: 0, maximum: 5 },
+        phone: { type: 'integer', minimum: 0, maximum: 5 },
+        free_email_domains: { type: 'array', items: { type: 'string' } }
+      },
+      additionalProperties: false
+    }
+  },
+  additionalProperties: false
+};
+
+/**
+ * Error raised by scoring requests, carrying the HTTP status and body to answer with
+ */
+class LeadScoringError extends Error {
+  constructor(status, body) {
+    super(body.details || body.error);
+    this.name = 'LeadScoringError';
+    this.status = status;
+    this.body = body;
+  }
+}
+
+function loadRules(filePath) {
+  let rules;
+  try {
+    rules = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read lead scoring rules ${filePath}: ${error.message}`);
+  }
+
+  const errors = validateSchema(rulesSchema, rules, 'rules');
+  if (errors.length > 0) {
+    throw new Error(`Invalid lead scoring rules ${filePath}: ${errors.join('; ')}`);
+  }
+  return rules;
+}
+
+/**
+ * Scores leads on the five 1-5 scales of the QA template. The rules (config/lead-scoring.json)
+ * are deterministic: keyword tiers for industry, role seniority and target locations, the
+ * share of contact fields filled in, and points for website, business email and phone.
+ * Every score comes with the reason it was given. An employee can be asked to score a
+ * lead instead; its reply must be the same JSON the rules produce.
+ */
+class LeadScorer {
+  constructor({ leadStore, threadEvents, askPipeline = null, rulesFile = config.leads.scoringFile }) {
+    this.leadStore = leadStore;
+    this.threadEvents = threadEvents;
+    this.askPipeline = askPipeline; // Only needed for assistant-assisted scoring
+    this.rules = loadRules(rulesFile);
+  }
+
+  /**
+   * Rule-based scores for a lead (API shape) without saving them:
+   * { scores: { relevance_score, ... }, average_score, reasons: { relevance_score: '...', ... } }
+   */
+  evaluate(lead) {
+    const results = {
+      relevance_score: this.keywordScore(this.rules.relevance, lead),
+      contact_role_score: this.keywordScore(this.rules.contact_role, lead),
+      location_score: this.keywordScore(this.rules.location, lead),
+      completeness_score: this.completenessScore(lead),
+      online_presence_score: this.onlinePresenceScore(lead)
+    };
+
+    const scores = Object.fromEntries(Object.entries(results).map(([field, { score }]) => [field, score]));
+    return {
+      scores,
+      average_score: Math.round(Object.values(scores).reduce((total, score) => total + score, 0) / 5 * 10) / 10,
+      reasons: Object.fromEntries(Object.entries(results).map(([field, { reason }]) => [field, reason]))
+    };
+  }
+
+  keywordScore(rule, lead) {
+    const values = rule.fields.map(field => [field, String(lead[field] || '')]).filter(([, value]) => value.trim());
+    if (values.length === 0) {
+      return { score: rule.missing, reason: `No ${rule.fields.map(label).join(' or ')}` };
+    }
+
+    const tiers = [...rule.tiers].sort((a, b) => b.score - a.score);
+    for (const tier of tiers) {
+      for (const keyword of tier.keywords) {
+        const match = values.find(([, value]) => containsWord(value, keyword));
+        if (match) {
+          return { score: tier.score, reason: capitalize(`${label(match[0])} mentions "${keyword}"`) };
+        }
+      }
+    }
+    const checked = values.map(([field]) => label(field));
+    return {
+      score: rule.otherwise,
+      reason: capitalize(`${checked.join(' and ')} ${checked.length === 1 ? 'matches' : 'match'} no listed keyword`)
+    };
+  }
+
+  completenessScore(lead) {
+    const { fields } = this.rules.completeness;
+    const filled = fields.filter(field => String(lead[field] || '').trim()).length;
+    return {
+      score: 1 + Math.round(4 * filled / fields.length),
+      reason: `${filled} of ${fields.length} contact fields filled in`
+    };
+  }
+
+  onlinePresenceScore(lead) {
+    const rule = this.rules.online_presence;
+    const emailDomain = (lead.email || '').split('@')[1]?.toLowerCase();
+    const found = [
+      lead.website && ['website', rule.website],
+      emailDomain && !rule.free_email_domains.includes(emailDomain) && ['business email', rule.business_email],
+      lead.phone && ['phone', rule.phone]
+    ].filter(Boolean);
+
+    return {
+      score: Math.max(1, Math.min(5, found.reduce((total, [, points]) => total + points, rule.base))),
+      reason: found.length > 0 ? `Has ${found.map(([name]) => name).join(', ')}` : 'No website, business email or phone'
+    };
+  }
+
+  /**
+   * Score a lead with the rules and save the scores
+   */
+  scoreLead(leadId) {
+    const { scores, reasons } = this.evaluate(this.leadStore.getLead(leadId));
+    return this.leadStore.applyScores(leadId, scores, { method: 'rules', reasons });
+  }
+
+  /**
+   * Rules re-score leads after ingest unless someone (or an employee) has scored them since
+   */
+  isAutoScored(lead) {
+    return !lead.scoring || lead.scoring.method === 'rules';
+  }
+
+  /**
+   * Ask an employee to score a lead. Resolves to { status: 'completed', lead } when the
+   * employee answered right away, or { status: 'scoring', thread_id, run_id } while its
+   * run waits on tool calls; the scores are saved when the run completes.
+   */
+  async scoreWithAssistant(leadId, employeeId) {
+    if (!this.askPipeline) {
+      throw new LeadScoringError(503, {
+        error: 'Service unavailable',
+        details: 'Assistant scoring needs the OpenAI service, which is not properly configured.'
+      });
+    }
+    if (!config.employees[employeeId]) {
+      throw new LeadScoringError(400, {
+        error: 'Unknown employee',
+        details: `Employee '${employeeId}' is not configured`
+      });
+    }
+
+    const lead = this.leadStore.getLead(leadId);
+    console.log(`🧮 Asking ${employeeId} to score lead #${lead.lead_number} ${lead.business_name}`);
+    const response = await this.askPipeline.run({ message: this.buildPrompt(lead), employeeId });
+
+    if (response.status === 'completed') {
+      return { status: 'completed', lead: this.applyAssistantReply(leadId, employeeId, response.message) };
+    }
+
+    watchRun(this.threadEvents, response.thread_id, response.run_id, outcome => {
+      if (outcome.status !== 'completed') {
+        console.error(`❌ Assistant scoring of lead ${leadId} failed: ${outcome.error}`);
+        return;
+      }
+      try {
+        this.applyAssistantReply(leadId, employeeId, outcome.result);
+      } catch (error) {
+        console.error(`❌ Assistant scoring of lead ${leadId} failed:`, error.message);
+      }
+    });
+    return { status: 'scoring', thread_id: response.thread_id, run_id: response.run_id };
+  }
+
+  buildPrompt(lead) {
+    const tierText = (rule) => [...rule.tiers]
+      .sort((a, b) => b.score - a.score)
+      .map(tier => `${tier.score} = ${tier.keywords.join(', ')}`)
+      .join('; ');
+    const fields = Object.fromEntries(
+      ['business_name', 'contact_name', 'role_title', 'email', 'phone', 'website', 'location', 'industry', 'notes']
+        .map(field => [field, lead[field]])
+    );
+
+    return [
+      'Score this lead for Orchid Republic on each scale from 1 (poor) to 5 (excellent):',
+      `- Relevance: how well the business fits our market (${tierText(this.rules.relevance)})`,
+      `- Contact Role: how senior the contact is (${tierText(this.rules.contact_role)})`,
+      `- Location: how close to our target area (${tierText(this.rules.location)})`,
+      `- Completeness: how much of ${this.rules.completeness.fields.join(', ')} is known`,
+      '- Online Presence: website, business email domain and phone',
+      '',
+      'Lead:',
+      JSON.stringify(fields, null, 2),
+      '',
+      `Reply with only a JSON object with the whole numbers ${Object.keys(SCORES).join(', ')} and a "reasons" object giving one short reason per score.`
+    ].join('\n');
+  }
+
+  applyAssistantReply(leadId, employeeId, reply) {
+    const parsed = extractJson(reply);
+    const errors = Object.keys(SCORES)
+      .filter(field => !Number.isInteger(parsed?.[field]) || parsed[field] < 1 || parsed[field] > 5)
+      .map(field => `${field} must be a whole number from 1 to 5`);
+
+    if (errors.length > 0) {
+      throw new LeadScoringError(502, {
+        error: 'Unusable scoring reply',
+        details: `${config.employees[employeeId]?.name || employeeId} did not reply with valid scores: ${errors.join('; ')}`,
+        reply
+      });
+    }
+
+    const scores = Object.fromEntries(Object.keys(SCORES).map(field => [field, parsed[field]]));
+    const reasons = Object.fromEntries(Object.keys(SCORES).map(field => [field, String(parsed.reasons?.[field] || '')]));
+    return this.leadStore.applyScores(leadId, scores, { method: 'assistant', employeeId, reasons });
+  }
+}
+
+function label(field) {
+  return field.replace(/_/g, ' ');
+}
+
+function capitalize(text) {
+  return text.replace(/^./, letter => letter.toUpperCase());
+}
+
+/**
+ * Case-insensitive match of a keyword as whole words ("ca" matches "Pasadena, CA", not "Cafe")
+ */
+function containsWord(text, keyword) {
+  const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^a-z0-9])${escaped}([^a-z0-9]|$)`, 'i').test(text);
+}
+
+module.exports = LeadScorer;
+module.exports.LeadScoringError = LeadScoringError;
+module.exports.SCORE_FIELDS = Object.keys(SCORES);
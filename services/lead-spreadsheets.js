@@ -0,0 +1,464 @@
+const crypto = require('crypto');
+const ExcelJS = require('exceljs');
+const { LeadStoreError, LEAD_FIELDS } = require('./lead-store');
+const { FIELD_ALIASES } = require('./lead-ingest');
+
+/**
+ * Error raised by import/export requests, carrying the HTTP status and body to answer with
+ */
+class LeadSpreadsheetError extends Error {
+  constructor(status, body) {
+    super(body.details || body.error);
+    this.name = 'LeadSpreadsheetError';
+    this.status = status;
+    this.body = body;
+  }
+}
+
+// Columns of the Orchid Republic Lead QA Testing template, in order. Lead # and
+// Average Lead Score are computed by the lead store, so imports ignore them.
+const TEMPLATE_COLUMNS = [
+  { column: 'Lead #', field: 'lead_number', type: 'computed' },
+  ...LEAD_FIELDS.filter(({ column, type }) => column && type !== 'flag'),
+  { column: 'Average Lead Score', field: 'average_score', type: 'computed' },
+  ...LEAD_FIELDS.filter(({ column, type }) => column && type === 'flag')
+];
+const SHEET_NAME = 'Orchid_Republic_Lead_QA_Testing';
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }
+};
+const IMPORT_TTL_MS = 30 * 60 * 1000;
+const PREVIEW_ROWS = 20;
+const YES = ['y', 'yes', 'true', '1', 'x'];
+const NO = ['n', 'no', 'false', '0'];
+// Text spreadsheet apps run as a formula when a CSV cell starts with it (see neutralizeFormula)
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * Moves leads in and out of spreadsheets laid out like the QA template. Imports
+ * take two steps: the uploaded file is parsed and its columns matched to lead
+ * fields by header, which the caller can preview and correct; committing then
+ * saves every valid row. Uploads wait in memory for IMPORT_TTL_MS.
+ */
+class LeadSpreadsheets {
+  constructor({ leadStore, leadScorer }) {
+    this.leadStore = leadStore;
+    this.leadScorer = leadScorer;
+    this.imports = new Map(); // importId -> { id, fileName, format, headers, rows, mapping, expiresAt }
+  }
+
+  /**
+   * Render leads (already filtered and sorted) as the template; returns { contentType, filename, body }
+   */
+  async exportLeads(leads, format) {
+    if (!FORMATS[format]) {
+      throw new LeadSpreadsheetError(400, {
+        error: 'Unknown export format',
+        details: `Format '${format}' is not supported (use ${Object.keys(FORMATS).join(', ')})`
+      });
+    }
+
+    const rows = leads.map(lead => TEMPLATE_COLUMNS.map(({ field, type }) => {
+      if (type === 'flag') return lead[field] ? 'Y' : 'N';
+      return lead[field] ?? '';
+    }));
+    console.log(`📤 Exporting ${rows.length} leads as ${format}`);
+
+    return {
+      contentType: FORMATS[format].contentType,
+      filename: `orchid-republic-leads-${new Date().toISOString().slice(0, 10)}.${format}`,
+      body: format === 'csv' ? toCsv([TEMPLATE_COLUMNS.map(({ column }) => column), ...rows]) : await toXlsx(rows)
+    };
+  }
+
+  /**
+   * Parse an uploaded CSV or XLSX file and match its columns to lead fields.
+   * Nothing is saved yet; returns the preview (see buildPreview).
+   */
+  async startImport(data, { fileName = null, format = null, contentType = '' } = {}) {
+    if (!Buffer.isBuffer(data) || data.length === 0) {
+      throw new LeadSpreadsheetError(400, {
+        error: 'Missing file',
+        details: 'Send the CSV or XLSX file itself as the request body'
+      });
+    }
+
+    const fileFormat = detectFormat(data, { fileName, format, contentType });
+    let table;
+    try {
+      table = fileFormat === 'csv' ? parseCsv(data.toString('utf8')) : await parseXlsx(data);
+    } catch (error) {
+      throw new LeadSpreadsheetError(400, {
+        error: 'Unreadable file',
+        details: `Could not read the ${fileFormat.toUpperCase()} file: ${error.message}`
+      });
+    }
+
+    const headerIndex = table.findIndex(({ cells }) => cells.some(cell => cell.trim()));
+    if (headerIndex === -1) {
+      throw new LeadSpreadsheetError(400, {
+        error: 'Empty file',
+        details: 'The file has no header row'
+      });
+    }
+
+    this.pruneImports();
+    const headers = table[headerIndex].cells.map(cell => cell.trim());
+    const upload = {
+      id: `import_${crypto.randomUUID().replace(/-/g, '')}`,
+      fileName,
+      format: fileFormat,
+      headers,
+      rows: table.slice(headerIndex + 1),
+      mapping: guessMapping(headers),
+      expiresAt: Date.now() + IMPORT_TTL_MS
+    };
+    this.imports.set(upload.id, upload);
+
+    console.log(`📥 Import ${upload.id}: ${upload.rows.length} rows from ${fileName || `an uploaded ${fileFormat.toUpperCase()} file`}`);
+    return this.buildPreview(upload);
+  }
+
+  /**
+   * Correct the column mapping of a pending import: { "Header": "field" or null to ignore it }
+   */
+  remapImport(importId, corrections) {
+    const upload = this.requireImport(importId);
+    upload.mapping = applyCorrections(upload, corrections);
+    return this.buildPreview(upload);
+  }
+
+  getImport(importId) {
+    return this.buildPreview(this.requireImport(importId));
+  }
+
+  /**
+   * Save the valid rows of a pending import (after last mapping corrections, if any).
+   * A row with the same email, phone or website domain as a stored lead updates it with
+   * the row's filled-in cells; other rows become new leads. Invalid rows are reported.
+   * Each row is saved once, already scored, and the lead store is written once at the end.
+   */
+  commitImport(importId, corrections = null) {
+    const upload = this.requireImport(importId);
+    if (corrections) {
+      upload.mapping = applyCorrections(upload, corrections);
+    }
+
+    const summary = { rows: 0, created: 0, updated: 0, unchanged: 0, failed: 0, lead_ids: [], errors: [] };
+    const source = { type: 'import', fileName: upload.fileName, importId: upload.id };
+
+    this.mapRows(upload).forEach(({ row, fields, errors }) => {
+      summary.rows++;
+      if (errors.length > 0) {
+        summary.failed++;
+        summary.errors.push({ row, errors });
+        return;
+      }
+
+      try {
+        const { lead, status } = this.saveRow(fields, source);
+        summary[status]++;
+        summary.lead_ids.push(lead.lead_id);
+      } catch (error) {
+        if (!(error instanceof LeadStoreError)) throw error;
+        summary.failed++;
+        summary.errors.push({ row, errors: error.body.validation_errors || [error.message] });
+      }
+    });
+
+    this.leadStore.flush();
+    this.imports.delete(upload.id);
+    console.log(`📥 Import ${upload.id}: ${summary.created} new, ${summary.updated} updated, ${summary.unchanged} unchanged, ${summary.failed} failed`);
+    return { import_id: upload.id, file_name: upload.fileName, ...summary };
+  }
+
+  saveRow(fields, source) {
+    const duplicate = this.leadStore.findDuplicate(fields);
+    const existing = duplicate ? this.leadStore.toResponse(duplicate) : null;
+    let changed = existing
+      ? Object.fromEntries(Object.entries(fields).filter(([field, value]) => existing[field] !== value))
+      : fields;
+    if (existing && Object.keys(changed).length === 0) {
+      return { lead: existing, status: 'unchanged' };
+    }
+
+    // Rows without scores of their own are scored like ingested leads, before they are saved
+    let scoring = null;
+    const hasScores = LEAD_FIELDS.some(({ field, type }) => type === 'score' && field in fields);
+    if (!hasScores && this.leadScorer.isAutoScored(existing || {})) {
+      const { scores, reasons } = this.leadScorer.evaluate({ ...existing, ...changed });
+      changed = { ...changed, ...scores };
+      scoring = { method: 'rules', reasons };
+    }
+
+    return existing
+      ? { lead: this.leadStore.updateLead(duplicate.id, changed, { actor: source, scoring }), status: 'updated' }
+      : { lead: this.leadStore.createLead(changed, { source, scoring }), status: 'created' };
+  }
+
+  /**
+   * Convert every non-blank row to lead fields with the current mapping.
+   * Returns [{ row (spreadsheet row number), fields, errors }].
+   */
+  mapRows(upload) {
+    return upload.rows.map(({ number, cells }) => {
+      const fields = {};
+      const errors = [];
+
+      upload.headers.forEach((header, index) => {
+        const definition = LEAD_FIELDS.find(({ field }) => field === upload.mapping[index]);
+        const value = (cells[index] || '').trim();
+        if (!definition || !value) return;
+
+        if (definition.type === 'score') {
+          const score = /^\d+(\.0+)?$/.test(value) ? parseInt(value, 10) : NaN;
+          if (score >= 1 && score <= 5) fields[definition.field] = score;
+          else errors.push(`${header}: '${value}' is not a whole number from 1 to 5`);
+        } else if (definition.type === 'flag') {
+          if (YES.includes(value.toLowerCase())) fields[definition.field] = true;
+          else if (NO.includes(value.toLowerCase())) fields[definition.field] = false;
+          else errors.push(`${header}: '${value}' is not Y or N`);
+        } else {
+          // Undo the ' our CSV exports put before formula-like text
+          fields[definition.field] = value.startsWith("'") && FORMULA_START.test(value.slice(1)) ? value.slice(1) : value;
+        }
+      });
+
+      if (Object.keys(fields).length === 0 && errors.length === 0) return null;
+
+      // Same checks the lead store applies when the row is saved
+      try {
+        this.leadStore.applyFields({}, fields);
+      } catch (error) {
+        if (!(error instanceof LeadStoreError)) throw error;
+        errors.push(...error.body.validation_errors);
+      }
+      return { row: number, fields, errors };
+    }).filter(Boolean);
+  }
+
+  /**
+   * What the import would do with the current mapping: columns and the field each one
+   * feeds, the fields a column can feed and those none does, the first valid rows and
+   * every row error
+   */
+  buildPreview(upload) {
+    const rows = this.mapRows(upload);
+    const valid = rows.filter(({ errors }) => errors.length === 0);
+    const mapped = new Set(upload.mapping.filter(Boolean));
+
+    return {
+      import_id: upload.id,
+      file_name: upload.fileName,
+      format: upload.format,
+      columns: upload.headers.map((header, index) => ({ index, header, field: upload.mapping[index] })),
+      fields: LEAD_FIELDS.map(({ field, column }) => ({ field, column })),
+      unmapped_fields: LEAD_FIELDS.map(({ field }) => field).filter(field => !mapped.has(field)),
+      rows: rows.length,
+      valid_rows: valid.length,
+      invalid_rows: rows.length - valid.length,
+      preview: valid.slice(0, PREVIEW_ROWS).map(({ row, fields }) => ({ row, fields })),
+      errors: rows.filter(({ errors }) => errors.length > 0).map(({ row, errors }) => ({ row, errors })),
+      expires_at: new Date(upload.expiresAt).toISOString()
+    };
+  }
+
+  requireImport(importId) {
+    this.pruneImports();
+    const upload = this.imports.get(importId);
+    if (!upload) {
+      throw new LeadSpreadsheetError(404, {
+        error: 'Import not found',
+        details: `No pending import '${importId}' (imports expire ${IMPORT_TTL_MS / 60000} minutes after upload)`
+      });
+    }
+    return upload;
+  }
+
+  pruneImports() {
+    const now = Date.now();
+    this.imports.forEach((upload, importId) => {
+      if (upload.expiresAt <= now) this.imports.delete(importId);
+    });
+  }
+}
+
+function detectFormat(data, { fileName, format, contentType }) {
+  const extension = (fileName || '').toLowerCase().split('.').pop();
+  const detected = format
+    || (FORMATS[extension] && extension)
+    || (/spreadsheetml/.test(contentType) && 'xlsx')
+    || (/csv|text\/plain/.test(contentType) && 'csv')
+    // XLSX files are zip archives
+    || (data.subarray(0, 2).toString('latin1') === 'PK' ? 'xlsx' : 'csv');
+
+  if (!FORMATS[detected]) {
+    throw new LeadSpreadsheetError(400, {
+      error: 'Unsupported file',
+      details: `Format '${detected}' is not supported (use ${Object.keys(FORMATS).join(', ')})`
+    });
+  }
+  return detected;
+}
+
+/**
+ * Column index -> lead field (or null) for each header: the template's column name,
+ * the API field name, or a spelling the lead ingester understands
+ */
+function guessMapping(headers) {
+  const normalize = (text) => String(text).toLowerCase().replace(/\(.*?\)/g, '').replace(/[^a-z0-9]/g, '');
+  const used = new Set();
+
+  return headers.map(header => {
+    const key = normalize(header);
+    const definition = key && LEAD_FIELDS.find(({ field, column }) =>
+      !used.has(field) &&
+      [column, field, ...(FIELD_ALIASES[field] || [])].filter(Boolean).some(name => normalize(name) === key)
+    );
+    if (!definition) return null;
+    used.add(definition.field);
+    return definition.field;
+  });
+}
+
+function applyCorrections(upload, corrections) {
+  if (!corrections || typeof corrections !== 'object' || Array.isArray(corrections)) {
+    throw new LeadSpreadsheetError(400, {
+      error: 'Invalid mapping',
+      details: 'mapping must be an object of { "Column header": "field" or null }'
+    });
+  }
+
+  const mapping = [...upload.mapping];
+  const errors = [];
+  Object.entries(corrections).forEach(([header, field]) => {
+    const index = upload.headers.indexOf(header);
+    if (index === -1) {
+      errors.push(`The file has no column '${header}'`);
+    } else if (field !== null && !LEAD_FIELDS.some(definition => definition.field === field)) {
+      errors.push(`Unknown field '${field}' for column '${header}' (allowed: ${LEAD_FIELDS.map(definition => definition.field).join(', ')} or null)`);
+    } else {
+      // A field is fed by one column; whichever had it before now feeds nothing
+      if (field !== null) mapping.forEach((current, other) => { if (current === field) mapping[other] = null; });
+      mapping[index] = field;
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new LeadSpreadsheetError(400, {
+      error: 'Invalid mapping',
+      details: errors.join('; '),
+      validation_errors: errors
+    });
+  }
+  return mapping;
+}
+
+/**
+ * RFC 4180 CSV: quoted cells may hold commas, quotes ("") and line breaks.
+ * Returns [{ number (1-based record number), cells }].
+ */
+function parseCsv(text) {
+  const records = [];
+  let cells = [];
+  let cell = '';
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      cells.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      cells.push(cell);
+      records.push({ number: records.length + 1, cells });
+      cells = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) throw new Error('a quoted cell is never closed');
+  if (cell || cells.length > 0) {
+    cells.push(cell);
+    records.push({ number: records.length + 1, cells });
+  }
+  return records;
+}
+
+/**
+ * A CSV cell that spreadsheet apps would run as a formula (=, +, - or @ first, possibly
+ * after a tab or carriage return) gets a leading ' so it is shown as text instead.
+ * XLSX string cells are never evaluated, so they are written as they are.
+ */
+function neutralizeFormula(value) {
+  return typeof value === 'string' && FORMULA_START.test(value) ? `'${value}` : value;
+}
+
+function toCsv(rows) {
+  const escape = (value) => {
+    const text = String(neutralizeFormula(value));
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  // The byte order mark makes Excel read the file as UTF-8
+  return '\uFEFF' + rows.map(row => row.map(escape).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Rows of the first worksheet as text: [{ number (sheet row number), cells }]
+ */
+async function parseXlsx(data) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(data);
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const records = [];
+  sheet.eachRow({ includeEmpty: false }, (row, number) => {
+    // row.values is 1-based and sparse
+    records.push({ number, cells: Array.from(row.values.slice(1), cellText) });
+  });
+  return records;
+}
+
+function cellText(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value !== 'object') return String(value);
+  if (value.richText) return value.richText.map(({ text }) => text).join('');
+  if (value.text !== undefined) return cellText(value.text); // Hyperlinks
+  if (value.result !== undefined) return cellText(value.result); // Formulas
+  return '';
+}
+
+async function toXlsx(rows) {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet(SHEET_NAME, { views: [{ state: 'frozen', ySplit: 1 }] });
+  sheet.columns = TEMPLATE_COLUMNS.map(({ column, type }) => ({
+    header: column,
+    width: ['text', 'email'].includes(type) ? 24 : Math.max(column.length + 2, 10)
+  }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.addRows(rows);
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+module.exports = LeadSpreadsheets;
+module.exports.LeadSpreadsheetError = LeadSpreadsheetError;
+module.exports.TEMPLATE_COLUMNS = TEMPLATE_COLUMNS;
@@ -0,0 +1,552 @@
+const crypto = require('crypto');
+const config = require('../config');
+const { createStore } = require('./stores');
+
+/**
+ * Editable lead fields, in the column order of the Orchid Republic Lead QA Testing
+ * template (config/Orchid Republic Lead QA Testing Template...csv). `Lead #` and
+ * `Average Lead Score` are computed, so they are not listed here.
+ */
+const LEAD_FIELDS = [
+  { field: 'business_name', property: 'businessName', column: 'Business Name', type: 'text' },
+  { field: 'contact_name', property: 'contactName', column: 'Contact Name', type: 'text' },
+  { field: 'role_title', property: 'roleTitle', column: 'Role/Title', type: 'text' },
+  { field: 'email', property: 'email', column: 'Email', type: 'email' },
+  { field: 'phone', property: 'phone', column: 'Phone', type: 'text' },
+  { field: 'website', property: 'website', column: 'Website', type: 'text' },
+  { field: 'location', property: 'location', column: 'Location', type: 'text' },
+  { field: 'industry', property: 'industry', column: 'Industry', type: 'text' },
+  { field: 'relevance_score', property: 'relevanceScore', column: 'Relevance Score (1-5)', type: 'score' },
+  { field: 'contact_role_score', property: 'contactRoleScore', column: 'Contact Role Score (1-5)', type: 'score' },
+  { field: 'location_score', property: 'locationScore', column: 'Location Score (1-5)', type: 'score' },
+  { field: 'completeness_score', property: 'completenessScore', column: 'Completeness Score (1-5)', type: 'score' },
+  { field: 'online_presence_score', property: 'onlinePresenceScore', column: 'Online Presence Score (1-5)', type: 'score' },
+  { field: 'validated', property: 'validated', column: 'Validated? (Y/N)', type: 'flag' },
+  { field: 'outreach_sent', property: 'outreachSent', column: 'Outreach Sent (Y/N)', type: 'flag' },
+  { field: 'response', property: 'response', column: 'Response (Y/N)', type: 'flag' },
+  { field: 'converted', property: 'converted', column: 'Converted (Y/N)', type: 'flag' },
+  { field: 'notes', property: 'notes', column: null, type: 'text' }
+];
+const SCORE_PROPERTIES = LEAD_FIELDS.filter(({ type }) => type === 'score').map(({ property }) => property);
+const SCORE_FIELDS = LEAD_FIELDS.filter(({ type }) => type === 'score').map(({ field }) => field);
+const FLAG_FIELDS = LEAD_FIELDS.filter(({ type }) => type === 'flag').map(({ field }) => field);
+const FLAG_PROPERTIES = LEAD_FIELDS.filter(({ type }) => type === 'flag').map(({ property }) => property);
+// Pipeline stages in order; each Y/N column says whether a lead has reached its stage
+const STAGES = ['new', ...FLAG_FIELDS];
+// Stage -> stages a lead can move to from it: the next one, or back to the one before
+const TRANSITIONS = Object.fromEntries(STAGES.map((stage, index) => [
+  stage,
+  [STAGES[index + 1], STAGES[index - 1]].filter(Boolean)
+]));
+const SEARCH_PROPERTIES = ['businessName', 'contactName', 'roleTitle', 'email', 'phone', 'website', 'location', 'industry', 'notes'];
+// Sortable API field -> lead property
+const SORT_FIELDS = {
+  lead_number: 'number',
+  business_name: 'businessName',
+  contact_name: 'contactName',
+  location: 'location',
+  industry: 'industry',
+  average_score: 'averageScore',
+  created_at: 'createdAt',
+  updated_at: 'updatedAt'
+};
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Error raised by lead requests, carrying the HTTP status and body to answer with
+ */
+class LeadStoreError extends Error {
+  constructor(status, body) {
+    super(body.details || body.error);
+    this.name = 'LeadStoreError';
+    this.status = status;
+    this.body = body;
+  }
+}
+
+/**
+ * Lead database with the same columns as the QA template. Leads are numbered in
+ * the order they are added (`Lead #`) and keep where they came from: typed in by
+ * a person, found by an employee's tool call on a thread and run, or imported
+ * from a spreadsheet. Each lead sits at one pipeline stage (new → validated →
+ * outreach sent → response → converted) and moves one stage at a time (TRANSITIONS),
+ * keeping every move with when it happened, who made it and why; the Y/N columns
+ * follow the stage.
+ */
+class LeadStore {
+  constructor({ store } = {}) {
+    this.leads = store || createStore('leads', { flushDelayMs: config.storage.flushDelayMs }); // leadId -> lead
+    this.lastNumber = 0;
+    this.numbers = new Map(); // Lead # -> leadId
+    this.dedupeIndex = new Map(); // 'email:...', 'phone:...', 'domain:...' -> Set of leadIds
+    this.leads.forEach(lead => this.index(lead));
+  }
+
+  /**
+   * Apply API fields to a lead and validate the result
+   */
+  applyFields(lead, fields) {
+    const updated = { ...lead };
+    const errors = [];
+
+    Object.entries(fields).forEach(([field, value]) => {
+      const definition = LEAD_FIELDS.find(candidate => candidate.field === field);
+      if (!definition) {
+        errors.push(`Unknown field '${field}' (allowed: ${LEAD_FIELDS.map(candidate => candidate.field).join(', ')})`);
+        return;
+      }
+
+      if (definition.type === 'score') {
+        if (value !== null && !(Number.isInteger(value) && value >= 1 && value <= 5)) {
+          errors.push(`${field} must be a whole number from 1 to 5, or null`);
+        }
+        updated[definition.property] = value;
+      } else if (definition.type === 'flag') {
+        if (typeof value !== 'boolean') errors.push(`${field} must be true or false`);
+        updated[definition.property] = value;
+      } else if (value === null || value === undefined) {
+        updated[definition.property] = null;
+      } else if (typeof value !== 'string') {
+        errors.push(`${field} must be a string`);
+      } else {
+        updated[definition.property] = value.trim() || null;
+      }
+    });
+
+    if (!updated.businessName) {
+      errors.push('business_name must be a non-empty string');
+    }
+    if (updated.email && !EMAIL_PATTERN.test(updated.email)) {
+      errors.push(`email '${updated.email}' is not a valid address`);
+    }
+
+    if (errors.length > 0) {
+      throw new LeadStoreError(400, {
+        error: 'Invalid lead',
+        details: errors.join('; '),
+        validation_errors: errors
+      });
+    }
+
+    updated.averageScore = averageScore(updated);
+    return updated;
+  }
+
+  /**
+   * Add a lead. source: { employeeId, threadId, runId, toolCallId, functionName } when
+   * an employee found it, { type: 'import', fileName, importId } when it came from a
+   * spreadsheet; leave it out for leads entered by hand. scoring ({ method, reasons })
+   * says where scores among the fields came from when they weren't typed in.
+   */
+  createLead(fields, { source = null, scoring = null } = {}) {
+    const now = new Date().toISOString();
+    const lead = this.applyFields({
+      id: `lead_${crypto.randomUUID().replace(/-/g, '')}`,
+      number: this.nextNumber(),
+      ...Object.fromEntries(LEAD_FIELDS.map(({ property, type }) => [property, type === 'flag' ? false : null])),
+      source: source ? { type: 'employee', ...source } : { type: 'manual' },
+      scoring: null,
+      stage: null,
+      stageHistory: [],
+      createdAt: now,
+      updatedAt: now
+    }, fields);
+    if (Object.keys(fields).some(field => SCORE_FIELDS.includes(field))) {
+      lead.scoring = scoringOf(scoring, now);
+    }
+    // Leads start at the furthest stage their Y/N fields say they reached
+    setStage(lead, stageAfterFlags('new', fields), { actor: actorFromSource(lead.source), note: null, at: now });
+
+    this.save(lead);
+    console.log(`🎯 Added lead #${lead.number} ${lead.businessName} (${lead.source.employeeId || lead.source.type})`);
+    return this.toResponse(lead);
+  }
+
+  /**
+   * Add a lead, or fill in the blanks of the lead it duplicates (same email, phone or
+   * website domain). Fields already set, scores and flags are never overwritten.
+   * autoScore(lead) may give { scores, reasons } for the lead as it will be saved (or
+   * null to leave its scores alone); they are saved with it as scored by the rules.
+   * Returns { lead, status: created|updated|unchanged }.
+   */
+  upsertLead(fields, { source = null, autoScore = null } = {}) {
+    const duplicate = this.findDuplicate(fields);
+    const existing = duplicate ? this.toResponse(duplicate) : null;
+    let changed = existing
+      ? Object.fromEntries(Object.entries(fields).filter(([field, value]) => {
+        const definition = LEAD_FIELDS.find(candidate => candidate.field === field);
+        return definition && ['text', 'email'].includes(definition.type) && value && !duplicate[definition.property];
+      }))
+      : fields;
+    if (existing && Object.keys(changed).length === 0) {
+      return { lead: existing, status: 'unchanged' };
+    }
+
+    let scoring = null;
+    const evaluated = autoScore?.({ ...existing, ...changed });
+    if (evaluated) {
+      changed = { ...changed, ...evaluated.scores };
+      scoring = { method: 'rules', reasons: evaluated.reasons };
+    }
+
+    return existing
+      ? { lead: this.updateLead(duplicate.id, changed, { scoring }), status: 'updated' }
+      : { lead: this.createLead(changed, { source, scoring }), status: 'created' };
+  }
+
+  /**
+   * The stored lead sharing an email, phone number or website domain with these fields
+   */
+  findDuplicate(fields) {
+    for (const key of indexKeys({ email: fields.email, phone: fields.phone, website: fields.website })) {
+      const [leadId] = this.dedupeIndex.get(key) || [];
+      if (leadId) return this.leads.get(leadId);
+    }
+    return null;
+  }
+
+  /**
+   * Change fields of a lead. Y/N fields move it along the pipeline, recorded as made by
+   * actor (a person unless told otherwise): ticking one moves the lead at least to its
+   * stage, clearing one moves it back to the stage before. Every stage on the way is
+   * recorded as a move of its own.
+   */
+  updateLead(leadId, fields, { actor = { type: 'user' }, scoring = null } = {}) {
+    const current = this.requireLead(leadId);
+    const lead = this.applyFields(current, fields);
+    lead.updatedAt = new Date().toISOString();
+    // Scores typed in by hand take over from the scoring rules
+    if (Object.keys(fields).some(field => SCORE_FIELDS.includes(field))) {
+      lead.scoring = scoringOf(scoring, lead.updatedAt);
+    }
+    const stage = stageAfterFlags(stageOf(current), fields);
+    setFlags(lead, stageOf(current));
+    while (stageOf(lead) !== stage) {
+      const index = STAGES.indexOf(stageOf(lead));
+      setStage(lead, STAGES[index + (STAGES.indexOf(stage) > index ? 1 : -1)], { actor, note: null, at: lead.updatedAt });
+    }
+
+    this.save(lead, current);
+    console.log(`✏️ Updated lead #${lead.number}: ${Object.keys(fields).join(', ')}`);
+    return this.toResponse(lead);
+  }
+
+  /**
+   * Save scores computed for a lead: method is 'rules' or 'assistant' (employeeId says which one)
+   */
+  applyScores(leadId, scores, { method, employeeId = null, reasons = null }) {
+    const current = this.requireLead(leadId);
+    const lead = this.applyFields(current, scores);
+    lead.updatedAt = new Date().toISOString();
+    lead.scoring = { method, employeeId, reasons, scoredAt: lead.updatedAt };
+
+    this.save(lead, current);
+    console.log(`🧮 Scored lead #${lead.number} ${lead.businessName}: ${lead.averageScore} (${method}${employeeId ? ` by ${employeeId}` : ''})`);
+    return this.toResponse(lead);
+  }
+
+  /**
+   * Move a lead to the next pipeline stage, or back to the one before (see TRANSITIONS).
+   * actor is who did it: { type: 'user', user }, or { type: 'employee', employeeId,
+   * threadId, runId, toolCallId } for an employee's tool call. Returns { lead, transition }.
+   */
+  moveLead(leadId, stage, { actor = { type: 'user' }, note = null } = {}) {
+    const current = this.requireLead(leadId);
+    const lead = { ...current };
+    if (!STAGES.includes(stage)) {
+      throw new LeadStoreError(400, {
+        error: 'Invalid stage',
+        details: `${stage ? `Stage '${stage}' does not exist` : 'stage is required'} (use ${STAGES.join(', ')})`
+      });
+    }
+    if (note !== null && typeof note !== 'string') {
+      throw new LeadStoreError(400, {
+        error: 'Invalid note',
+        details: 'note must be a string'
+      });
+    }
+    if (stageOf(lead) === stage) {
+      throw new LeadStoreError(409, {
+        error: 'Stage unchanged',
+        details: `Lead #${lead.number} is already at stage '${stage}'`
+      });
+    }
+    if (!TRANSITIONS[stageOf(lead)].includes(stage)) {
+      throw new LeadStoreError(409, {
+        error: 'Stage change not allowed',
+        details: `Lead #${lead.number} is at '${stageOf(lead)}' and can only move to ${TRANSITIONS[stageOf(lead)].join(' or ')}`,
+        allowed_stages: TRANSITIONS[stageOf(lead)]
+      });
+    }
+
+    lead.updatedAt = new Date().toISOString();
+    const transition = setStage(lead, stage, { actor, note: note?.trim() || null, at: lead.updatedAt });
+    this.save(lead, current);
+    return { lead: this.toResponse(lead), transition: transitionResponse(transition) };
+  }
+
+  /**
+   * The lead with this Lead #
+   */
+  findByNumber(number) {
+    const lead = this.leads.get(this.numbers.get(number));
+    if (!lead) {
+      throw new LeadStoreError(404, {
+        error: 'Lead not found',
+        details: `No lead #${number}`
+      });
+    }
+    return this.toResponse(lead);
+  }
+
+  deleteLead(leadId) {
+    const lead = this.requireLead(leadId);
+    this.leads.delete(leadId);
+    this.unindex(lead);
+    console.log(`🗑️ Deleted lead #${lead.number} ${lead.businessName}`);
+  }
+
+  getLead(leadId) {
+    return this.toResponse(this.requireLead(leadId));
+  }
+
+  requireLead(leadId) {
+    const lead = this.leads.get(leadId);
+    if (!lead) {
+      throw new LeadStoreError(404, {
+        error: 'Lead not found',
+        details: `No lead with id '${leadId}'`
+      });
+    }
+    return lead;
+  }
+
+  /**
+   * Write pending changes now instead of after the store's flush delay
+   */
+  flush() {
+    this.leads.flush();
+  }
+
+  nextNumber() {
+    return this.lastNumber + 1;
+  }
+
+  /**
+   * Store a lead (replacing `previous`, its stored version) and keep the indexes in step
+   */
+  save(lead, previous = null) {
+    if (previous) this.unindex(previous);
+    this.leads.set(lead.id, lead);
+    this.index(lead);
+  }
+
+  index(lead) {
+    this.lastNumber = Math.max(this.lastNumber, lead.number);
+    this.numbers.set(lead.number, lead.id);
+    indexKeys(lead).forEach(key => {
+      if (!this.dedupeIndex.has(key)) this.dedupeIndex.set(key, new Set());
+      this.dedupeIndex.get(key).add(lead.id);
+    });
+  }
+
+  unindex(lead) {
+    if (this.numbers.get(lead.number) === lead.id) this.numbers.delete(lead.number);
+    indexKeys(lead).forEach(key => {
+      const leadIds = this.dedupeIndex.get(key);
+      leadIds?.delete(lead.id);
+      if (leadIds?.size === 0) this.dedupeIndex.delete(key);
+    });
+  }
+
+  /**
+   * Filter, sort and page leads; returns { leads, total } where total counts every match.
+   * Filters: q (any text field), industry and location (substring), employeeId (who found
+   * it), flags ({ validated: true, ... }), stage and minScore (average score).
+   */
+  listLeads({ q = '', industry = '', location = '', employeeId = null, flags = {}, stage = null, minScore = null,
+    sort = 'created_at', order = 'desc', limit = 50, offset = 0 } = {}) {
+    const sortProperty = SORT_FIELDS[sort];
+    if (!sortProperty) {
+      throw new LeadStoreError(400, {
+        error: 'Invalid sort',
+        details: `Cannot sort by '${sort}' (use ${Object.keys(SORT_FIELDS).join(', ')})`
+      });
+    }
+
+    const terms = q.toLowerCase().split(/\s+/).filter(Boolean);
+    const contains = (value, text) => !text || String(value || '').toLowerCase().includes(text.toLowerCase());
+
+    const matches = Array.from(this.leads.values())
+      .filter(lead => terms.every(term =>
+        SEARCH_PROPERTIES.some(property => String(lead[property] || '').toLowerCase().includes(term))
+      ))
+      .filter(lead => contains(lead.industry, industry) && contains(lead.location, location))
+      .filter(lead => !employeeId || lead.source.employeeId === employeeId)
+      .filter(lead => Object.entries(flags).every(([field, value]) =>
+        lead[LEAD_FIELDS.find(definition => definition.field === field).property] === value
+      ))
+      .filter(lead => !stage || stageOf(lead) === stage)
+      .filter(lead => minScore === null || (lead.averageScore !== null && lead.averageScore >= minScore))
+      .sort((a, b) => compareValues(a[sortProperty], b[sortProperty], order));
+
+    return {
+      leads: matches.slice(offset, offset + limit).map(lead => this.toResponse(lead)),
+      total: matches.length
+    };
+  }
+
+  toResponse(lead) {
+    return {
+      lead_id: lead.id,
+      lead_number: lead.number,
+      ...Object.fromEntries(LEAD_FIELDS.map(({ field, property }) => [field, lead[property]])),
+      average_score: lead.averageScore,
+      source: {
+        type: lead.source.type,
+        employee_id: lead.source.employeeId || null,
+        employee_name: config.employees[lead.source.employeeId]?.name || lead.source.employeeId || null,
+        thread_id: lead.source.threadId || null,
+        run_id: lead.source.runId || null,
+        tool_call_id: lead.source.toolCallId || null,
+        function_name: lead.source.functionName || null,
+        file_name: lead.source.fileName || null
+      },
+      stage: stageOf(lead),
+      stage_history: (lead.stageHistory || []).map(transitionResponse),
+      scoring: lead.scoring ? {
+        method: lead.scoring.method,
+        employee_id: lead.scoring.employeeId,
+        reasons: lead.scoring.reasons,
+        scored_at: lead.scoring.scoredAt
+      } : null,
+      created_at: lead.createdAt,
+      updated_at: lead.updatedAt
+    };
+  }
+}
+
+/**
+ * A lead's pipeline stage. Leads saved before the pipeline existed only have their Y/N
+ * fields, so their stage is the furthest one ticked.
+ */
+function stageOf(lead) {
+  if (lead.stage) return lead.stage;
+  return STAGES[FLAG_PROPERTIES.reduce((reached, property, index) => lead[property] ? index + 1 : reached, 0)];
+}
+
+/**
+ * The stage a lead at `stage` ends up at when these Y/N fields are applied. The furthest
+ * ticked stage is reached; a cleared stage beyond it sends the lead back before that stage.
+ */
+function stageAfterFlags(stage, fields) {
+  const given = FLAG_FIELDS.map((field, index) => [index + 1, fields[field]]);
+  const furthestTicked = Math.max(0, ...given.filter(([, value]) => value === true).map(([index]) => index));
+
+  return STAGES[given
+    .filter(([index, value]) => value === false && index > furthestTicked)
+    .reduce((reached, [index]) => Math.min(reached, index - 1), Math.max(STAGES.indexOf(stage), furthestTicked))];
+}
+
+// The Y/N fields of every stage up to this one are ticked
+function setFlags(lead, stage) {
+  FLAG_PROPERTIES.forEach((property, index) => {
+    lead[property] = STAGES.indexOf(stage) > index;
+  });
+}
+
+function setStage(lead, stage, { actor, note, at }) {
+  const transition = { from: lead.stage === null ? null : stageOf(lead), to: stage, at, actor, note };
+  lead.stageHistory = [...(lead.stageHistory || []), transition];
+  lead.stage = stage;
+  setFlags(lead, stage);
+
+  if (transition.from) {
+    console.log(`🚦 Lead #${lead.number} ${transition.from} → ${stage} (${actor.employeeId || actor.user || actor.type})`);
+  }
+  return transition;
+}
+
+// Scoring record for scores saved with a lead's fields: typed in by hand unless told otherwise
+function scoringOf(scoring, at) {
+  return {
+    method: scoring?.method || 'manual',
+    employeeId: scoring?.employeeId || null,
+    reasons: scoring?.reasons || null,
+    scoredAt: at
+  };
+}
+
+// Who made a new lead's first stage: whoever or whatever added it
+function actorFromSource(source) {
+  if (source.type === 'employee') {
+    const { employeeId, threadId, runId, toolCallId } = source;
+    return { type: 'employee', employeeId, threadId, runId, toolCallId };
+  }
+  if (source.type === 'import') {
+    return { type: 'import', fileName: source.fileName, importId: source.importId };
+  }
+  return { type: 'user' };
+}
+
+function transitionResponse({ from, to, at, actor, note }) {
+  return {
+    from,
+    to,
+    at,
+    actor: {
+      type: actor.type,
+      user: actor.user || null,
+      employee_id: actor.employeeId || null,
+      employee_name: actor.employeeId ? config.employees[actor.employeeId]?.name || actor.employeeId : null,
+      thread_id: actor.threadId || null,
+      run_id: actor.runId || null,
+      tool_call_id: actor.toolCallId || null,
+      file_name: actor.fileName || null
+    },
+    note
+  };
+}
+
+/**
+ * Mean of the scores given so far, to one decimal; null until one is set
+ */
+function averageScore(lead) {
+  const scores = SCORE_PROPERTIES.map(property => lead[property]).filter(score => score !== null && score !== undefined);
+  if (scores.length === 0) return null;
+  return Math.round(scores.reduce((total, score) => total + score, 0) / scores.length * 10) / 10;
+}
+
+/**
+ * Duplicate index keys of a lead: its email, phone (last 10 digits) and website domain
+ */
+function indexKeys({ email, phone, website }) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  const domain = String(website || '').trim().toLowerCase()
+    .replace(/^[a-z]+:\/\//, '')
+    .replace(/^www\./, '')
+    .split(/[/?#:]/)[0];
+  return [
+    email && `email:${email.trim().toLowerCase()}`,
+    digits.length >= 7 && `phone:${digits.slice(-10)}`,
+    domain.includes('.') && `domain:${domain}`
+  ].filter(Boolean);
+}
+
+// Empty values sort last in either direction
+function compareValues(a, b, order) {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return 1;
+  if (b === null || b === undefined) return -1;
+  const difference = typeof a === 'number' ? a - b : String(a).localeCompare(String(b), undefined, { sensitivity: 'base' });
+  return order === 'asc' ? difference : -difference;
+}
+
+module.exports = LeadStore;
+module.exports.LeadStoreError = LeadStoreError;
+module.exports.LEAD_FIELDS = LEAD_FIELDS;
+module.exports.FLAG_FIELDS = FLAG_FIELDS;
+module.exports.SORT_FIELDS = Object.keys(SORT_FIELDS);
+module.exports.STAGES = STAGES;
+module.exports.TRANSITIONS = TRANSITIONS;
+module.exports.EMAIL_PATTERN = EMAIL_PATTERN;
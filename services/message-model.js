@@ -0,0 +1,105 @@
+/**
+ * Normalized thread message, shared by the API responses and the chat renderer:
+ *
+ *   { id, thread_id, role, run_id, step_id, assistant_id, created_at,
+ *     text, content: [part], citations: [citation], attachments: [{ file_id, tools }] }
+ *
+ * Parts are { type: 'text', text, annotations }, { type: 'image_file', file_id, detail },
+ * { type: 'image_url', url, detail } or { type: 'refusal', refusal }. `text` joins the text
+ * parts with every annotation marker replaced by its citation number ("[1]"); `citations`
+ * lists the files those numbers refer to.
+ */
+
+function normalizeAnnotation(annotation) {
+  const base = {
+    type: annotation.type,
+    text: annotation.text,
+    start_index: annotation.start_index,
+    end_index: annotation.end_index
+  };
+
+  if (annotation.type === 'file_citation') {
+    return { ...base, file_id: annotation.file_citation?.file_id || null, quote: annotation.file_citation?.quote || null };
+  }
+  if (annotation.type === 'file_path') {
+    return { ...base, file_id: annotation.file_path?.file_id || null };
+  }
+  return base;
+}
+
+function normalizePart(part) {
+  switch (part.type) {
+    case 'text':
+      return {
+        type: 'text',
+        text: part.text.value,
+        annotations: (part.text.annotations || []).map(normalizeAnnotation)
+      };
+    case 'image_file':
+      return { type: 'image_file', file_id: part.image_file.file_id, detail: part.image_file.detail || null };
+    case 'image_url':
+      return { type: 'image_url', url: part.image_url.url, detail: part.image_url.detail || null };
+    case 'refusal':
+      return { type: 'refusal', refusal: part.refusal };
+    default:
+      return { type: part.type };
+  }
+}
+
+/**
+ * Normalize an OpenAI thread message. stepId links it to the run step that created it.
+ */
+function normalizeMessage(message, { stepId = null } = {}) {
+  const content = (message.content || []).map(normalizePart);
+  const citations = [];
+
+  // Number each cited file once, in order of first appearance
+  const citationNumber = (annotation) => {
+    const key = `${annotation.type}:${annotation.file_id}`;
+    let citation = citations.find(existing => existing.key === key);
+    if (!citation) {
+      citation = {
+        key,
+        index: citations.length + 1,
+        type: annotation.type,
+        file_id: annotation.file_id,
+        quote: annotation.quote || null
+      };
+      citations.push(citation);
+    }
+    return citation.index;
+  };
+
+  const text = content
+    .filter(part => part.type === 'text')
+    .map(part => {
+      const markers = part.annotations
+        .filter(annotation => annotation.file_id && typeof annotation.start_index === 'number')
+        .sort((a, b) => a.start_index - b.start_index)
+        .map(annotation => ({ annotation, number: citationNumber(annotation) }));
+
+      // Replace from the end so earlier indexes stay valid
+      return markers.reverse().reduce((value, { annotation, number }) =>
+        `${value.slice(0, annotation.start_index)}[${number}]${value.slice(annotation.end_index)}`, part.text);
+    })
+    .join('\n');
+
+  return {
+    id: message.id,
+    thread_id: message.thread_id || null,
+    role: message.role,
+    run_id: message.run_id || null,
+    step_id: stepId,
+    assistant_id: message.assistant_id || null,
+    created_at: new Date(message.created_at * 1000).toISOString(),
+    text,
+    content,
+    citations: citations.map(({ key, ...citation }) => citation),
+    attachments: (message.attachments || []).map(attachment => ({
+      file_id: attachment.file_id,
+      tools: (attachment.tools || []).map(tool => tool.type)
+    }))
+  };
+}
+
+module.exports = { normalizeMessage };
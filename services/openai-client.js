@@ -1,5 +1,6 @@
 const OpenAI = require('openai');
 const config = require('../config');
+const { normalizeMessage } = require('./message-model');
 
 class OpenAIService {
   constructor() {
@@ -73,6 +74,18 @@ class OpenAIService {
     }
   }
 
+  /**
+   * Start an assistant run and stream its events (AssistantStream)
+   */
+  streamRun(threadId, assistantId = null) {
+    const targetAssistantId = assistantId || this.assistantId;
+    console.log(`Starting streamed assistant run on thread: ${threadId} with assistant: ${targetAssistantId}`);
+
+    return this.client.beta.threads.runs.stream(threadId, {
+      assistant_id: targetAssistantId
+    });
+  }
+
   /**
    * Poll for run status until completion or tool calls required
    */
@@ -161,53 +174,177 @@ class OpenAIService {
   }
 
   /**
-   * Get messages from a thread
+   * Submit tool outputs and stream the continued run (AssistantStream)
    */
-  async getMessages(threadId, limit = 10) {
+  submitToolOutputsStream(threadId, runId, toolOutputs) {
+    console.log(`Submitting ${toolOutputs.length} tool outputs for run ${runId} (streaming)`);
+
+    return this.client.beta.threads.runs.submitToolOutputsStream(threadId, runId, {
+      tool_outputs: toolOutputs
+    });
+  }
+
+  /**
+   * Cancel an in-progress run
+   */
+  async cancelRun(threadId, runId) {
     try {
-      const messages = await this.client.beta.threads.messages.list(threadId, {
-        limit,
-        order: 'desc'
-      });
-      return messages.data;
+      const run = await this.client.beta.threads.runs.cancel(threadId, runId);
+      console.log(`Cancelled run ${runId} on thread ${threadId}, status: ${run.status}`);
+      return run;
     } catch (error) {
-      console.error('Error getting messages:', error);
-      throw new Error(`Failed to retrieve messages: ${error.message}`);
+      console.error('Error cancelling run:', error);
+      throw new Error(`Failed to cancel run: ${error.message}`);
     }
   }
 
   /**
-   * Get the latest assistant message from a thread
+   * Look up an assistant; resolves to null when OpenAI doesn't know the ID
    */
-  async getLatestAssistantMessage(threadId) {
+  async retrieveAssistant(assistantId) {
     try {
-      const messages = await this.getMessages(threadId, 20); // Get more messages to find the latest assistant message
-      const assistantMessage = messages.find(msg => msg.role === 'assistant');
-      
-      if (!assistantMessage) {
-        console.error('No assistant message found in thread:', threadId);
-        console.error('Available messages:', messages.map(m => ({ role: m.role, id: m.id })));
-        throw new Error('No assistant message found');
+      return await this.client.beta.assistants.retrieve(assistantId);
+    } catch (error) {
+      if (error.status === 404) {
+        return null;
       }
+      console.error('Error retrieving assistant:', error);
+      throw new Error(`Failed to retrieve assistant: ${error.message}`);
+    }
+  }
 
-      // Extract text content from the message
-      const textContent = assistantMessage.content
-        .filter(content => content.type === 'text')
-        .map(content => content.text.value)
-        .join('\n');
+  /**
+   * Create an assistant; the OpenAI status code is kept on the error
+   */
+  async createAssistant(params) {
+    try {
+      const assistant = await this.client.beta.assistants.create(params);
+      console.log(`Created assistant ${assistant.id} (${assistant.name || 'unnamed'})`);
+      return assistant;
+    } catch (error) {
+      console.error('Error creating assistant:', error);
+      throw Object.assign(new Error(`Failed to create assistant: ${error.message}`), { status: error.status });
+    }
+  }
 
-      console.log(`Retrieved assistant message from thread ${threadId}: ${textContent.substring(0, 100)}${textContent.length > 100 ? '...' : ''}`);
+  /**
+   * Update an assistant's settings; the OpenAI status code is kept on the error
+   */
+  async updateAssistant(assistantId, params) {
+    try {
+      const assistant = await this.client.beta.assistants.update(assistantId, params);
+      console.log(`Updated assistant ${assistantId}: ${Object.keys(params).join(', ')}`);
+      return assistant;
+    } catch (error) {
+      console.error('Error updating assistant:', error);
+      throw Object.assign(new Error(`Failed to update assistant: ${error.message}`), { status: error.status });
+    }
+  }
+
+  /**
+   * One page of a thread's messages, normalized (see message-model.js):
+   * { messages, has_more, first_id, last_id }. Page with `after`/`before` (message ids),
+   * narrow to one run with `runId`, and pass `withSteps` to link each message to the
+   * run step that created it. The OpenAI status code is kept on the error.
+   */
+  async getMessages(threadId, { limit = 20, order = 'desc', after, before, runId, withSteps = false } = {}) {
+    try {
+      const page = await this.client.beta.threads.messages.list(threadId, {
+        limit,
+        order,
+        ...(after && { after }),
+        ...(before && { before }),
+        ...(runId && { run_id: runId })
+      });
+      const stepIds = withSteps ? await this.getMessageStepIds(threadId, page.data) : new Map();
 
       return {
-        id: assistantMessage.id,
-        content: textContent,
-        created_at: assistantMessage.created_at
+        messages: page.data.map(message => normalizeMessage(message, { stepId: stepIds.get(message.id) || null })),
+        has_more: page.has_more,
+        first_id: page.data[0]?.id || null,
+        last_id: page.data[page.data.length - 1]?.id || null
       };
+    } catch (error) {
+      console.error('Error getting messages:', error);
+      throw Object.assign(new Error(`Failed to retrieve messages: ${error.message}`), { status: error.status });
+    }
+  }
+
+  /**
+   * Map message id -> id of the message_creation step that wrote it, for the runs of these messages
+   */
+  async getMessageStepIds(threadId, messages) {
+    const stepIds = new Map();
+    const runIds = [...new Set(messages.map(message => message.run_id).filter(Boolean))];
+
+    for (const runId of runIds) {
+      for await (const step of this.client.beta.threads.runs.steps.list(threadId, runId, { limit: 100 })) {
+        if (step.step_details?.type === 'message_creation') {
+          stepIds.set(step.step_details.message_creation.message_id, step.id);
+        }
+      }
+    }
+    return stepIds;
+  }
+
+  /**
+   * Every message of a thread, oldest first, following the cursor until the last page
+   */
+  async getAllMessages(threadId, { withSteps = false } = {}) {
+    const messages = [];
+    let after;
+
+    while (true) {
+      const page = await this.getMessages(threadId, { limit: 100, order: 'asc', after, withSteps });
+      messages.push(...page.messages);
+      if (!page.has_more || !page.last_id) return messages;
+      after = page.last_id;
+    }
+  }
+
+  /**
+   * Get the latest assistant message from a thread, normalized; pass `runId` to take
+   * the reply of that run. Pages back through the thread until one is found.
+   */
+  async getLatestAssistantMessage(threadId, { runId } = {}) {
+    try {
+      let cursor;
+      while (true) {
+        const page = await this.getMessages(threadId, { limit: 20, order: 'desc', after: cursor, runId });
+        const assistantMessage = page.messages.find(message => message.role === 'assistant');
+
+        if (assistantMessage) {
+          console.log(`Retrieved assistant message from thread ${threadId}: ${assistantMessage.text.substring(0, 100)}${assistantMessage.text.length > 100 ? '...' : ''}`);
+          return assistantMessage;
+        }
+        if (!page.has_more || !page.last_id) {
+          console.error('No assistant message found in thread:', threadId);
+          throw new Error('No assistant message found');
+        }
+        cursor = page.last_id; // In descending order, `after` walks back in time
+      }
     } catch (error) {
       console.error('Error getting latest assistant message:', error);
       throw new Error(`Failed to get assistant response: ${error.message}`);
     }
   }
+
+  /**
+   * Download a file the assistant produced or cited (images, generated files):
+   * { contentType, data }. The OpenAI status code is kept on the error.
+   */
+  async getFileContent(fileId) {
+    try {
+      const response = await this.client.files.content(fileId);
+      return {
+        contentType: response.headers.get('content-type') || 'application/octet-stream',
+        data: Buffer.from(await response.arrayBuffer())
+      };
+    } catch (error) {
+      console.error('Error getting file content:', error);
+      throw Object.assign(new Error(`Failed to retrieve file: ${error.message}`), { status: error.status });
+    }
+  }
 }
 
 module.exports = OpenAIService;
\ No newline at end of file
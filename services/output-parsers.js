@@ -0,0 +1,52 @@
+/**
+ * Registry of per-function output parsers. When a tool call is answered (webhook
+ * callback or synchronous webhook response), every parser registered for the
+ * call's function and employee gets the raw output, e.g. to copy search results
+ * into the lead store. Parsers never affect the output the assistant receives.
+ */
+class OutputParserRegistry {
+  constructor() {
+    this.parsers = []; // { name, functions, employees, handler }
+  }
+
+  /**
+   * handler(output, context) returns a summary of what it did (or null when the
+   * output had nothing for it); context is { employeeId, functionName, threadId, runId, toolCallId }
+   */
+  register({ name, functions, employees = '*', handler }) {
+    if (!name || !Array.isArray(functions) || typeof handler !== 'function') {
+      throw new Error('An output parser needs a name, a list of functions and a handler function');
+    }
+    if (this.parsers.some(parser => parser.name === name)) {
+      throw new Error(`Output parser '${name}' is already registered`);
+    }
+
+    this.parsers.push({ name, functions, employees, handler });
+    console.log(`🧩 Registered output parser ${name} for ${functions.join(', ')} (${employees === '*' ? 'all employees' : employees.join(', ')})`);
+  }
+
+  get(employeeId, functionName) {
+    return this.parsers.filter(parser =>
+      parser.functions.includes(functionName) &&
+      (parser.employees === '*' || parser.employees.includes(employeeId))
+    );
+  }
+
+  /**
+   * Run the matching parsers. Never throws - a failing parser is logged and reported.
+   * Returns [{ parser, ...summary }] for the parsers that found something.
+   */
+  run(output, context) {
+    return this.get(context.employeeId, context.functionName).map(parser => {
+      try {
+        const summary = parser.handler(output, context);
+        return summary ? { parser: parser.name, ...summary } : null;
+      } catch (error) {
+        console.error(`❌ Output parser ${parser.name} failed on ${context.toolCallId}:`, error.message);
+        return { parser: parser.name, error: error.message };
+      }
+    }).filter(Boolean);
+  }
+}
+
+module.exports = OutputParserRegistry;
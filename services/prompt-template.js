@@ -0,0 +1,63 @@
+/**
+ * {{placeholder}} templates for prompts built from earlier results, e.g.
+ * "Find florists in {{inputs.city}}" or "Leads: {{steps.find_leads.json.leads}}".
+ *
+ * Placeholders are dotted paths into the values object. Objects and arrays are
+ * inserted as indented JSON. A missing value is an error rather than an empty
+ * string, so a prompt never silently loses its data.
+ */
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-zA-Z0-9_.-]+)\s*\}\}/g;
+
+function tryParse(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return undefined;
+  }
+}
+
+/**
+ * Best-effort JSON from an assistant reply (the whole text, a ```json fence or the
+ * first {...} / [...] in it); undefined when there is none
+ */
+function extractJson(text) {
+  if (typeof text !== 'string') return text;
+
+  const whole = tryParse(text.trim());
+  if (whole !== undefined) return whole;
+
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+  if (fenced) {
+    const parsed = tryParse(fenced[1]);
+    if (parsed !== undefined) return parsed;
+  }
+
+  const start = text.search(/[[{]/);
+  const end = Math.max(text.lastIndexOf('}'), text.lastIndexOf(']'));
+  return start !== -1 && end > start ? tryParse(text.slice(start, end + 1)) : undefined;
+}
+
+function resolvePath(values, path) {
+  return path.split('.').reduce((current, segment) =>
+    current === undefined || current === null ? undefined : current[segment], values);
+}
+
+/**
+ * Placeholder paths used by a template, e.g. ['inputs.city', 'steps.find_leads.output']
+ */
+function templatePaths(template) {
+  return Array.from(template.matchAll(PLACEHOLDER_PATTERN), match => match[1]);
+}
+
+function renderTemplate(template, values) {
+  return template.replace(PLACEHOLDER_PATTERN, (placeholder, path) => {
+    const value = resolvePath(values, path);
+    if (value === undefined || value === null) {
+      throw new Error(`Template value '${path}' is missing`);
+    }
+    return typeof value === 'object' ? JSON.stringify(value, null, 2) : String(value);
+  });
+}
+
+module.exports = { renderTemplate, templatePaths, extractJson };
@@ -0,0 +1,222 @@
+const config = require('../config');
+
+/**
+ * Continues an assistant run once its tool outputs are in: submits the whole
+ * batch to OpenAI, polls the run and publishes the outcome to the thread's
+ * event channel. Used by /webhook-response, the per-run deadline timer and
+ * deferred local tools.
+ */
+class RunContinuation {
+  constructor({ openaiService, webhookHandler, threadEvents, conversationStore = null }) {
+    this.openaiService = openaiService;
+    this.webhookHandler = webhookHandler;
+    this.threadEvents = threadEvents;
+    this.conversationStore = conversationStore;
+  }
+
+  /**
+   * Submit a run's buffered tool outputs and follow the run to its next state.
+   * batch: { threadId, runId, employeeId, toolCallId, toolOutputs, timedOut }
+   */
+  async continueRun(batch) {
+    const { threadId, runId, employeeId, toolOutputs } = batch;
+    const employeeName = config.employees[employeeId]?.name || 'unknown';
+    const timedOut = batch.timedOut || [];
+
+    // Submit tool outputs back to OpenAI
+    console.log(`🚀 Submitting ${toolOutputs.length} tool outputs to OpenAI for ${employeeName}`);
+    console.log(`📋 Thread: ${threadId}, Run: ${runId}`);
+    if (timedOut.length > 0) {
+      console.warn(`⏰ ${timedOut.length} tool calls timed out and get error outputs:`, timedOut);
+    }
+
+    let submitResult;
+    let submitRetries = 5;
+    while (submitRetries > 0) {
+      try {
+        submitResult = await this.openaiService.submitToolOutputs(threadId, runId, toolOutputs);
+        console.log(`✅ Tool outputs submitted successfully for ${employeeName}. Status:`, submitResult.status);
+        break;
+      } catch (error) {
+        submitRetries--;
+        console.error(`❌ Tool output submission failed for ${employeeName}, retries left: ${submitRetries}`, error.message);
+        if (submitRetries === 0) throw error;
+        await new Promise(resolve => setTimeout(resolve, 2000));
+      }
+    }
+
+    console.log(`⏳ Starting polling for completion for ${employeeName}...`);
+
+    // Poll for final completion
+    let result;
+    let finalPollRetries = 3;
+    while (finalPollRetries > 0) {
+      try {
+        result = await this.openaiService.pollRunStatus(
+          threadId,
+          runId,
+          90, // 3 minutes
+          2000 // 2 second intervals
+        );
+        console.log(`✅ Final polling completed for ${employeeName}, status:`, result.status);
+        break;
+      } catch (error) {
+        finalPollRetries--;
+        console.error(`❌ Final polling failed for ${employeeName}, retries left: ${finalPollRetries}`, error.message);
+        if (finalPollRetries === 0) {
+          console.warn(`⚠️ Polling failed for ${employeeName}, attempting to get message anyway`);
+          result = { status: 'unknown' };
+          break;
+        }
+        await new Promise(resolve => setTimeout(resolve, 3000));
+      }
+    }
+
+    console.log(`📊 Final run status for ${employeeName}:`, result.status);
+
+    const baseResponse = {
+      thread_id: threadId,
+      run_id: runId,
+      tool_call_id: batch.toolCallId || null,
+      tool_call_ids: toolOutputs.map(output => output.tool_call_id),
+      timed_out_tool_calls: timedOut,
+      employee_id: employeeId,
+      employee_name: employeeName
+    };
+
+    if (result.status === 'completed') {
+      console.log(`📝 Getting final assistant message for ${employeeName}...`);
+      let assistantMessage = null;
+      let messageRetries = 5;
+      while (messageRetries > 0) {
+        try {
+          assistantMessage = await this.openaiService.getLatestAssistantMessage(threadId, { runId });
+          console.log(`✅ ${employeeName} final message retrieved successfully`);
+          break;
+        } catch (error) {
+          messageRetries--;
+          console.error(`❌ Message retrieval failed for ${employeeName}, retries left: ${messageRetries}`, error.message);
+          if (messageRetries === 0) {
+            console.warn(`⚠️ Using fallback message for ${employeeName} due to retrieval failure`);
+            break;
+          }
+          await new Promise(resolve => setTimeout(resolve, 1000));
+        }
+      }
+
+      const response = {
+        status: 'completed',
+        message: assistantMessage?.text ||
+          `Task completed successfully by ${employeeName}. The tool call has been processed and the assistant has finished the requested operation.`,
+        assistant_message: assistantMessage,
+        ...baseResponse,
+        timestamp: new Date().toISOString()
+      };
+      this.conversationStore?.addMessage(threadId, employeeId, {
+        role: 'assistant',
+        content: response.message,
+        runId,
+        messageId: assistantMessage?.id
+      });
+
+      // Push the final answer to the browser chat that started this run
+      this.threadEvents.publish(threadId, 'run.completed', response);
+      return response;
+    }
+
+    if (result.status === 'requires_action') {
+      console.log(`🔧 ${employeeName} requires more actions:`, result.toolCalls?.length || 0, 'tool calls');
+
+      // Send additional tool calls to employee-specific webhook
+      let additionalWebhookResults = [];
+      if (result.toolCalls && result.toolCalls.length > 0) {
+        console.log(`🚀 Sending additional tool calls to ${employeeName} webhook...`);
+        try {
+          additionalWebhookResults = await this.webhookHandler.sendToolCalls(
+            result.toolCalls,
+            threadId,
+            runId,
+            employeeId
+          );
+          console.log(`✅ Additional webhook results for ${employeeName}:`, additionalWebhookResults);
+        } catch (error) {
+          console.error(`❌ Failed to send additional tool calls for ${employeeName}:`, error.message);
+        }
+
+        // Local tools may already have answered every new call
+        const nextBatch = this.webhookHandler.takeRunBatch(runId);
+        if (nextBatch) {
+          console.log(`🔁 All ${nextBatch.toolOutputs.length} follow-up tool outputs ready for ${employeeName}, continuing run`);
+          return this.continueRun(nextBatch);
+        }
+      }
+
+      const response = {
+        status: 'requires_action',
+        message: `${employeeName} requires additional tool calls`,
+        ...baseResponse,
+        tool_calls: result.toolCalls?.map(tc => ({
+          id: tc.id,
+          function: tc.function.name,
+          arguments: JSON.parse(tc.function.arguments)
+        })) || [],
+        timestamp: new Date().toISOString()
+      };
+
+      this.threadEvents.publish(threadId, 'run.requires_action', {
+        ...response,
+        webhook_results: additionalWebhookResults
+      });
+      return response;
+    }
+
+    console.log(`⏳ ${employeeName} still processing or unknown status:`, result.status);
+    const response = {
+      status: result.status === 'unknown' ? 'processing' : result.status,
+      message: `Tool outputs submitted for ${employeeName}, assistant status: ${result.status}`,
+      ...baseResponse,
+      current_status: result.status,
+      timestamp: new Date().toISOString()
+    };
+
+    this.threadEvents.publish(threadId, 'run.status', response);
+    return response;
+  }
+
+  /**
+   * Deadline path: nobody is waiting on an HTTP response, so failures go to the thread channel
+   */
+  async handleRunDeadline(batch) {
+    console.warn(`⏰ Tool output deadline reached for run ${batch.runId}, submitting ${batch.toolOutputs.length} outputs`);
+    return this.continueInBackground(batch, 'after deadline');
+  }
+
+  /**
+   * A deferred tool (e.g. a delegation) delivered the last output of its run
+   */
+  async handleRunReady(batch) {
+    console.log(`📦 Deferred tool output completed run ${batch.runId}, submitting ${batch.toolOutputs.length} outputs`);
+    return this.continueInBackground(batch, 'after deferred output');
+  }
+
+  async continueInBackground(batch, reason) {
+    try {
+      await this.continueRun(batch);
+    } catch (error) {
+      console.error(`❌ Failed to continue run ${batch.runId} ${reason}:`, error.message);
+      this.threadEvents.publish(batch.threadId, 'run.failed', {
+        error: 'Tool output submission failed',
+        details: error.message,
+        context: {
+          thread_id: batch.threadId,
+          run_id: batch.runId,
+          employee_id: batch.employeeId,
+          timed_out_tool_calls: batch.timedOut,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+}
+
+module.exports = RunContinuation;
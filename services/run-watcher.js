@@ -0,0 +1,43 @@
+const FAILED_RUN_STATUSES = ['failed', 'cancelled', 'expired', 'incomplete'];
+
+/**
+ * Follow a run that finishes in the background (after webhook callbacks, a deadline
+ * or a deferred tool) through its thread's events. onDone is called once with
+ * { status: 'completed', result } or { status: 'failed', error }.
+ * Returns a function that stops watching.
+ */
+function watchRun(threadEvents, threadId, runId, onDone) {
+  let done = false;
+
+  const settle = (outcome) => {
+    done = true;
+    unsubscribe();
+    onDone(outcome);
+  };
+
+  const onEvent = (event) => {
+    if (done) return;
+    const eventRunId = event.data.run_id || event.data.context?.run_id;
+    if (eventRunId !== runId) return;
+
+    if (event.type === 'run.completed') {
+      settle({ status: 'completed', result: event.data.message });
+    } else if (event.type === 'run.failed') {
+      settle({ status: 'failed', error: event.data.details || event.data.error });
+    } else if (event.type === 'run.status' && FAILED_RUN_STATUSES.includes(event.data.current_status)) {
+      settle({ status: 'failed', error: `Run ended with status ${event.data.current_status}` });
+    }
+    // run.requires_action and still-processing statuses keep waiting
+  };
+
+  const unsubscribe = threadEvents.subscribe(threadId, onEvent);
+  // The run may have finished before we started watching
+  threadEvents.getRecentEvents(threadId).forEach(onEvent);
+
+  return () => {
+    done = true;
+    unsubscribe();
+  };
+}
+
+module.exports = { watchRun };
@@ -0,0 +1,63 @@
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+/**
+ * Turn an Express response into a Server-Sent Events stream.
+ * Returns { send(event, data, id), close(), onClose(listener), closed }.
+ */
+function openEventStream(res) {
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no'); // Disable proxy buffering (nginx)
+  res.flushHeaders();
+
+  let eventId = 0;
+  const closeListeners = [];
+
+  const stream = {
+    closed: false,
+
+    send(event, data, id = null) {
+      if (stream.closed) return false;
+      eventId = id ?? eventId + 1;
+      res.write(`id: ${eventId}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      return true;
+    },
+
+    onClose(listener) {
+      closeListeners.push(listener);
+    },
+
+    close() {
+      if (stream.closed) return;
+      markClosed();
+      res.end();
+    }
+  };
+
+  // Comment lines keep idle connections open through proxies
+  const heartbeat = setInterval(() => {
+    if (!stream.closed) res.write(': heartbeat\n\n');
+  }, HEARTBEAT_INTERVAL_MS);
+
+  const markClosed = () => {
+    if (stream.closed) return;
+    stream.closed = true;
+    clearInterval(heartbeat);
+    closeListeners.forEach(listener => {
+      try {
+        listener();
+      } catch (error) {
+        console.error('SSE close listener failed:', error.message);
+      }
+    });
+  };
+
+  // 'close' on the response fires when the client disconnects (or after res.end())
+  res.on('close', markClosed);
+
+  return stream;
+}
+
+module.exports = { openEventStream };
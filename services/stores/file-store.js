@@ -0,0 +1,134 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Map-like store persisted to a JSON file in the data directory.
+ * Every mutation rewrites the file atomically (write to temp file, then rename)
+ * so a crash never leaves a half-written store behind. With flushDelayMs the
+ * rewrite is deferred instead, so a burst of mutations costs a single write.
+ */
+class FileStore {
+  constructor(name, dataDir, { flushDelayMs = 0 } = {}) {
+    this.name = name;
+    this.dataDir = dataDir;
+    this.filePath = path.join(dataDir, `${name}.json`);
+    this.items = new Map();
+    this.flushDelayMs = flushDelayMs;
+    this.flushTimer = null;
+
+    this.load();
+  }
+
+  /**
+   * Load existing records from disk
+   */
+  load() {
+    try {
+      fs.mkdirSync(this.dataDir, { recursive: true });
+
+      if (!fs.existsSync(this.filePath)) {
+        console.log(`🗄️ Created new store '${this.name}' at ${this.filePath}`);
+        return;
+      }
+
+      const raw = fs.readFileSync(this.filePath, 'utf8');
+      const records = raw.trim() ? JSON.parse(raw) : {};
+      Object.entries(records).forEach(([key, value]) => this.items.set(key, value));
+
+      console.log(`🗄️ Loaded ${this.items.size} records from store '${this.name}'`);
+    } catch (error) {
+      // Keep the unreadable file around for inspection instead of overwriting it
+      const backupPath = `${this.filePath}.corrupt-${Date.now()}`;
+      console.error(`❌ Failed to load store '${this.name}', moving it to ${backupPath}:`, error.message);
+      try {
+        fs.renameSync(this.filePath, backupPath);
+      } catch (renameError) {
+        console.error(`❌ Could not back up corrupt store '${this.name}':`, renameError.message);
+      }
+      this.items = new Map();
+    }
+  }
+
+  /**
+   * Write all records to disk
+   */
+  flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+
+    const tempPath = `${this.filePath}.tmp`;
+    try {
+      fs.writeFileSync(tempPath, JSON.stringify(Object.fromEntries(this.items), null, 2));
+      fs.renameSync(tempPath, this.filePath);
+    } catch (error) {
+      console.error(`❌ Failed to persist store '${this.name}':`, error.message);
+    }
+  }
+
+  /**
+   * Persist a mutation now, or once the flush delay has passed
+   */
+  persist() {
+    if (!this.flushDelayMs) {
+      this.flush();
+      return;
+    }
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), this.flushDelayMs);
+      this.flushTimer.unref();
+    }
+  }
+
+  get size() {
+    return this.items.size;
+  }
+
+  get(key) {
+    return this.items.get(key);
+  }
+
+  has(key) {
+    return this.items.has(key);
+  }
+
+  set(key, value) {
+    this.items.set(key, value);
+    this.persist();
+    return this;
+  }
+
+  delete(key) {
+    const removed = this.items.delete(key);
+    if (removed) {
+      this.persist();
+    }
+    return removed;
+  }
+
+  clear() {
+    this.items.clear();
+    this.persist();
+  }
+
+  keys() {
+    return this.items.keys();
+  }
+
+  values() {
+    return this.items.values();
+  }
+
+  entries() {
+    return this.items.entries();
+  }
+
+  forEach(callback, thisArg) {
+    this.items.forEach(callback, thisArg);
+  }
+
+  [Symbol.iterator]() {
+    return this.items.entries();
+  }
+}
+
+module.exports = FileStore;
@@ -0,0 +1,48 @@
+const config = require('../../config');
+const FileStore = require('./file-store');
+const MemoryStore = require('./memory-store');
+
+// One instance per store name so every consumer shares the same records
+const stores = new Map();
+
+/**
+ * Get (or create) the named store using the configured storage driver.
+ * flushDelayMs batches file writes (see FileStore); options only apply on creation.
+ */
+function createStore(name, { driver = config.storage.driver, flushDelayMs = 0 } = {}) {
+  const cacheKey = `${driver}:${name}`;
+  if (stores.has(cacheKey)) {
+    return stores.get(cacheKey);
+  }
+
+  let store;
+  switch (driver) {
+    case 'memory':
+      store = new MemoryStore(name);
+      break;
+    case 'file':
+      store = new FileStore(name, config.storage.dataDir, { flushDelayMs });
+      break;
+    default:
+      throw new Error(`Unknown storage driver '${driver}'. Use 'file' or 'memory'.`);
+  }
+
+  stores.set(cacheKey, store);
+  return store;
+}
+
+/**
+ * Flush every open store to its backing medium
+ */
+function flushStores() {
+  for (const store of stores.values()) {
+    store.flush();
+  }
+}
+
+module.exports = {
+  createStore,
+  flushStores,
+  FileStore,
+  MemoryStore
+};
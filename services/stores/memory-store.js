@@ -0,0 +1,17 @@
+/**
+ * In-memory store with the same interface as FileStore.
+ * Nothing survives a restart - intended for tests and throwaway environments.
+ */
+class MemoryStore extends Map {
+  constructor(name = 'memory') {
+    super();
+    this.name = name;
+  }
+
+  /**
+   * No-op, kept so callers can flush any store type
+   */
+  flush() {}
+}
+
+module.exports = MemoryStore;
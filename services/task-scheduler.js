@@ -0,0 +1,351 @@
+const crypto = require('crypto');
+const config = require('../config');
+const { createStore } = require('./stores');
+const { parseCron, nextRun, isValidTimezone } = require('./cron');
+const { watchRun } = require('./run-watcher');
+
+const MAX_RUNS_PER_TASK = 50; // Older history is dropped first
+const ACTIVE_STATUSES = ['running', 'waiting'];
+// API field -> task property
+const TASK_FIELDS = {
+  employee_id: 'employeeId',
+  title: 'title',
+  prompt: 'prompt',
+  schedule: 'schedule',
+  timezone: 'timezone',
+  enabled: 'enabled',
+  thread_mode: 'threadMode'
+};
+
+/**
+ * Error raised by task requests, carrying the HTTP status and body to answer with
+ */
+class TaskSchedulerError extends Error {
+  constructor(status, body) {
+    super(body.details || body.error);
+    this.name = 'TaskSchedulerError';
+    this.status = status;
+    this.body = body;
+  }
+}
+
+/**
+ * Recurring prompts against an employee, e.g. "every Monday 8am ask Brenden for
+ * new wedding venues in LA". Each run goes through the /ask pipeline; runs that
+ * wait on webhooks are followed through their thread's events. Task definitions
+ * and run history are persisted. A task that came due while the server was down
+ * runs once on the next tick, not once per missed occurrence.
+ */
+class TaskScheduler {
+  constructor({ askPipeline, threadEvents }) {
+    this.askPipeline = askPipeline;
+    this.threadEvents = threadEvents;
+    this.tasks = createStore('scheduled-tasks'); // taskId -> task
+    this.runs = createStore('task-runs'); // runId -> run
+    this.watchers = new Map(); // runId -> stop watching
+  }
+
+  /**
+   * Apply API fields (employee_id, title, prompt, schedule, timezone, enabled,
+   * thread_mode) to a task and validate the result
+   */
+  applyFields(task, fields) {
+    const updated = { ...task };
+    const errors = [];
+
+    Object.entries(fields).forEach(([field, value]) => {
+      if (TASK_FIELDS[field]) {
+        updated[TASK_FIELDS[field]] = value;
+      } else {
+        errors.push(`Unknown field '${field}' (allowed: ${Object.keys(TASK_FIELDS).join(', ')})`);
+      }
+    });
+
+    if (!config.employees[updated.employeeId]) {
+      errors.push(`employee_id '${updated.employeeId}' is not a configured employee`);
+    }
+    if (typeof updated.title !== 'string' || updated.title.trim() === '') {
+      errors.push('title must be a non-empty string');
+    }
+    if (typeof updated.prompt !== 'string' || updated.prompt.trim() === '') {
+      errors.push('prompt must be a non-empty string');
+    }
+    if (!isValidTimezone(updated.timezone)) {
+      errors.push(`timezone '${updated.timezone}' is not a known IANA timezone`);
+    }
+    if (typeof updated.enabled !== 'boolean') {
+      errors.push('enabled must be true or false');
+    }
+    if (!['new', 'continue'].includes(updated.threadMode)) {
+      errors.push("thread_mode must be 'new' or 'continue'");
+    }
+
+    let cron = null;
+    try {
+      cron = parseCron(updated.schedule);
+    } catch (error) {
+      errors.push(error.message);
+    }
+    if (cron && errors.length === 0 && !nextRun(cron, new Date(), updated.timezone)) {
+      errors.push(`Schedule '${updated.schedule}' never runs within the next year`);
+    }
+
+    if (errors.length > 0) {
+      throw new TaskSchedulerError(400, {
+        error: 'Invalid task',
+        details: errors.join('; '),
+        validation_errors: errors
+      });
+    }
+    return updated;
+  }
+
+  createTask(fields) {
+    const now = new Date().toISOString();
+    const task = this.applyFields({
+      id: `task_${crypto.randomUUID().replace(/-/g, '')}`,
+      timezone: 'UTC',
+      enabled: true,
+      threadMode: 'new',
+      lastRunId: null,
+      createdAt: now,
+      updatedAt: now
+    }, fields);
+    task.nextRunAt = this.computeNextRun(task);
+
+    this.tasks.set(task.id, task);
+    console.log(`🗓️ Scheduled task ${task.id} for ${task.employeeId}: "${task.title}" (${task.schedule} ${task.timezone})`);
+    return this.toResponse(task);
+  }
+
+  updateTask(taskId, fields) {
+    const task = this.applyFields(this.requireTask(taskId), fields);
+    task.updatedAt = new Date().toISOString();
+    task.nextRunAt = this.computeNextRun(task);
+
+    this.tasks.set(taskId, task);
+    console.log(`✏️ Updated task ${taskId}: ${Object.keys(fields).join(', ')}`);
+    return this.toResponse(task);
+  }
+
+  deleteTask(taskId) {
+    this.requireTask(taskId);
+    this.tasks.delete(taskId);
+    // History goes with the task; a run still in progress finishes on its own
+    this.listRunRecords(taskId)
+      .filter(run => !ACTIVE_STATUSES.includes(run.status))
+      .forEach(run => this.runs.delete(run.id));
+    console.log(`🗑️ Deleted task ${taskId}`);
+  }
+
+  computeNextRun(task, after = new Date()) {
+    if (!task.enabled) return null;
+    return nextRun(parseCron(task.schedule), after, task.timezone)?.toISOString() || null;
+  }
+
+  /**
+   * Start every enabled task that is due and not already running. Called periodically.
+   */
+  tick(now = new Date()) {
+    for (const task of this.tasks.values()) {
+      if (!task.enabled || !task.nextRunAt || new Date(task.nextRunAt) > now) continue;
+
+      this.tasks.set(task.id, { ...task, nextRunAt: this.computeNextRun(task, now) });
+
+      if (this.isRunning(task.id)) {
+        console.warn(`⚠️ Task ${task.id} is still running, skipping the ${task.nextRunAt} occurrence`);
+        continue;
+      }
+      this.runTask(task.id, 'schedule');
+    }
+  }
+
+  isRunning(taskId) {
+    return this.listRunRecords(taskId).some(run => ACTIVE_STATUSES.includes(run.status));
+  }
+
+  /**
+   * Run a task now; returns the new run record while the run continues in the background
+   */
+  runTask(taskId, trigger = 'manual') {
+    const task = this.requireTask(taskId);
+    if (this.isRunning(taskId)) {
+      throw new TaskSchedulerError(409, {
+        error: 'Task already running',
+        details: `Task '${task.title}' has a run in progress`
+      });
+    }
+
+    const previous = task.lastRunId ? this.runs.get(task.lastRunId) : null;
+    const run = {
+      id: `trun_${crypto.randomUUID().replace(/-/g, '')}`,
+      taskId,
+      employeeId: task.employeeId,
+      title: task.title,
+      trigger,
+      status: 'running',
+      // A thread belongs to one employee, so a reassigned task starts over
+      threadId: task.threadMode === 'continue' && previous?.employeeId === task.employeeId ? previous.threadId : null,
+      runId: null,
+      output: null,
+      error: null,
+      startedAt: new Date().toISOString(),
+      completedAt: null
+    };
+    this.runs.set(run.id, run);
+    this.tasks.set(taskId, { ...task, lastRunId: run.id });
+    this.pruneRuns(taskId);
+
+    console.log(`▶️ Running task ${taskId} "${task.title}" for ${task.employeeId} (${trigger})`);
+    this.execute(run.id, task.prompt).catch(error => {
+      console.error(`❌ Task run ${run.id} crashed:`, error.message);
+      this.finishRun(run.id, { status: 'failed', error: error.message });
+    });
+    return this.toRunResponse(run);
+  }
+
+  async execute(runId, prompt) {
+    const run = this.runs.get(runId);
+    let response;
+    try {
+      response = await this.askPipeline.run({ message: prompt, employeeId: run.employeeId, threadId: run.threadId }, {
+        onProgress: ({ thread_id: threadId, run_id: assistantRunId }) => {
+          if (threadId) this.updateRun(runId, { threadId, runId: assistantRunId || null });
+        }
+      });
+    } catch (error) {
+      this.finishRun(runId, { status: 'failed', error: error.body?.details || error.message });
+      return;
+    }
+
+    this.updateRun(runId, { threadId: response.thread_id, runId: response.run_id });
+    if (response.status === 'completed') {
+      this.finishRun(runId, { status: 'completed', result: response.message });
+      return;
+    }
+
+    this.updateRun(runId, { status: 'waiting' });
+    console.log(`⏳ Task run ${runId} waiting for webhooks (run ${response.run_id})`);
+    this.watch(runId);
+  }
+
+  watch(runId) {
+    const run = this.runs.get(runId);
+    const stop = watchRun(this.threadEvents, run.threadId, run.runId, outcome => this.finishRun(runId, outcome));
+    if (ACTIVE_STATUSES.includes(this.runs.get(runId).status)) {
+      this.watchers.set(runId, stop);
+    }
+  }
+
+  finishRun(runId, { status, result = null, error = null }) {
+    const run = this.runs.get(runId);
+    if (!run || !ACTIVE_STATUSES.includes(run.status)) return;
+
+    this.watchers.get(runId)?.();
+    this.watchers.delete(runId);
+    this.updateRun(runId, { status, output: result, error, completedAt: new Date().toISOString() });
+    console.log(`${status === 'completed' ? '✅' : '❌'} Task run ${runId} (${run.title}) ${status}${error ? `: ${error}` : ''}`);
+  }
+
+  /**
+   * After a restart: waiting runs are followed again, runs that were mid-pipeline are failed
+   */
+  resume() {
+    for (const run of this.runs.values()) {
+      if (run.status === 'waiting') {
+        this.watch(run.id);
+      } else if (run.status === 'running') {
+        this.finishRun(run.id, { status: 'failed', error: 'Interrupted by a server restart' });
+      }
+    }
+  }
+
+  requireTask(taskId) {
+    const task = this.tasks.get(taskId);
+    if (!task) {
+      throw new TaskSchedulerError(404, {
+        error: 'Task not found',
+        details: `No scheduled task with id '${taskId}'`
+      });
+    }
+    return task;
+  }
+
+  updateRun(runId, fields) {
+    const run = { ...this.runs.get(runId), ...fields };
+    this.runs.set(runId, run);
+    return run;
+  }
+
+  listRunRecords(taskId) {
+    return Array.from(this.runs.values())
+      .filter(run => run.taskId === taskId)
+      .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+  }
+
+  pruneRuns(taskId) {
+    this.listRunRecords(taskId).slice(MAX_RUNS_PER_TASK).forEach(run => this.runs.delete(run.id));
+  }
+
+  getTask(taskId) {
+    return this.toResponse(this.requireTask(taskId));
+  }
+
+  listTasks({ employeeId = null } = {}) {
+    return Array.from(this.tasks.values())
+      .filter(task => !employeeId || task.employeeId === employeeId)
+      .sort((a, b) => (a.nextRunAt || '~').localeCompare(b.nextRunAt || '~'))
+      .map(task => this.toResponse(task));
+  }
+
+  /**
+   * Run history, newest first - for one task, or for every task of an employee
+   */
+  listRuns({ taskId = null, employeeId = null, limit = 20 } = {}) {
+    return Array.from(this.runs.values())
+      .filter(run => !taskId || run.taskId === taskId)
+      .filter(run => !employeeId || run.employeeId === employeeId)
+      .sort((a, b) => b.startedAt.localeCompare(a.startedAt))
+      .slice(0, limit)
+      .map(run => this.toRunResponse(run));
+  }
+
+  toResponse(task) {
+    const lastRun = task.lastRunId ? this.runs.get(task.lastRunId) : null;
+    return {
+      task_id: task.id,
+      employee_id: task.employeeId,
+      employee_name: config.employees[task.employeeId]?.name || task.employeeId,
+      title: task.title,
+      prompt: task.prompt,
+      schedule: task.schedule,
+      timezone: task.timezone,
+      enabled: task.enabled,
+      thread_mode: task.threadMode,
+      next_run_at: task.nextRunAt,
+      last_run: lastRun ? this.toRunResponse(lastRun) : null,
+      created_at: task.createdAt,
+      updated_at: task.updatedAt
+    };
+  }
+
+  toRunResponse(run) {
+    return {
+      run_id: run.id,
+      task_id: run.taskId,
+      employee_id: run.employeeId,
+      title: run.title,
+      trigger: run.trigger,
+      status: run.status,
+      thread_id: run.threadId,
+      assistant_run_id: run.runId,
+      output: run.output,
+      error: run.error,
+      started_at: run.startedAt,
+      completed_at: run.completedAt
+    };
+  }
+}
+
+module.exports = TaskScheduler;
+module.exports.TaskSchedulerError = TaskSchedulerError;
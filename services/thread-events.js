@@ -0,0 +1,88 @@
+const { EventEmitter } = require('events');
+
+const RECENT_EVENT_LIMIT = 50; // Per thread
+const RECENT_EVENT_TTL_MS = 10 * 60 * 1000; // Replay window for late subscribers
+// OpenAI thread ids; anything else (e.g. a thread_id sent to a webhook route) is not a thread
+const THREAD_ID_PATTERN = /^thread_[A-Za-z0-9]+$/;
+
+/**
+ * Per-thread event channel. Publishers (webhook responses, background work) push
+ * run updates for a thread; subscribers (browser SSE connections) receive them.
+ * A short backlog lets a client that subscribes late catch up on what it missed.
+ * Listeners are registered under `thread:<id>`, so no thread id can collide with
+ * EventEmitter's own event names such as 'error'.
+ */
+class ThreadEventBus extends EventEmitter {
+  constructor() {
+    super();
+    this.setMaxListeners(0); // One listener per open browser tab
+    this.recentEvents = new Map(); // threadId -> [event]
+    this.nextEventId = 1;
+  }
+
+  /**
+   * Publish an event to everyone subscribed to a thread
+   */
+  publish(threadId, type, data = {}) {
+    if (!threadId) return null;
+    if (!THREAD_ID_PATTERN.test(threadId)) {
+      console.warn(`⚠️ Not publishing ${type}: '${String(threadId).slice(0, 100)}' is not a thread id`);
+      return null;
+    }
+
+    const event = {
+      id: this.nextEventId++,
+      type,
+      thread_id: threadId,
+      data,
+      timestamp: Date.now()
+    };
+
+    const recent = this.recentEvents.get(threadId) || [];
+    recent.push(event);
+    this.recentEvents.set(threadId, recent.slice(-RECENT_EVENT_LIMIT));
+
+    console.log(`📣 Thread event ${type} for ${threadId} (${this.listenerCount(channel(threadId))} subscribers)`);
+    this.emit(channel(threadId), event);
+    return event;
+  }
+
+  /**
+   * Subscribe to a thread's events; returns an unsubscribe function
+   */
+  subscribe(threadId, listener) {
+    this.on(channel(threadId), listener);
+    return () => this.off(channel(threadId), listener);
+  }
+
+  /**
+   * Events published for a thread after the given event id or timestamp
+   */
+  getRecentEvents(threadId, { afterId = 0, sinceMs = 0 } = {}) {
+    return (this.recentEvents.get(threadId) || []).filter(event =>
+      event.id > afterId && event.timestamp >= sinceMs
+    );
+  }
+
+  /**
+   * Drop backlogs that are past the replay window
+   */
+  cleanupRecentEvents() {
+    const cutoff = Date.now() - RECENT_EVENT_TTL_MS;
+    for (const [threadId, events] of this.recentEvents.entries()) {
+      const fresh = events.filter(event => event.timestamp >= cutoff);
+      if (fresh.length === 0) {
+        this.recentEvents.delete(threadId);
+      } else {
+        this.recentEvents.set(threadId, fresh);
+      }
+    }
+  }
+}
+
+function channel(threadId) {
+  return `thread:${threadId}`;
+}
+
+module.exports = ThreadEventBus;
+module.exports.THREAD_ID_PATTERN = THREAD_ID_PATTERN;
@@ -0,0 +1,140 @@
+const { validateSchema } = require('./json-schema');
+
+const DEFAULT_TOOL_TIMEOUT_MS = 10000;
+
+/**
+ * Registry of tools that run in-process instead of going out to an employee's
+ * webhook. A tool is registered with a JSON schema for its arguments, the
+ * employees allowed to use it ('*' for everyone), a timeout and an optional
+ * mapError(error, args) that turns failures into the output the assistant sees.
+ *
+ * A `deferred` tool's handler only starts the work; its output is delivered
+ * later through WebhookHandler.completeDeferredCall().
+ */
+class ToolRegistry {
+  constructor() {
+    this.tools = new Map(); // name -> definition
+  }
+
+  register({ name, description = '', parameters = { type: 'object', properties: {} }, employees = '*', timeoutMs = DEFAULT_TOOL_TIMEOUT_MS, deferred = false, handler, mapError = null }) {
+    if (!name || typeof handler !== 'function') {
+      throw new Error('A local tool needs a name and a handler function');
+    }
+    if (this.tools.has(name)) {
+      throw new Error(`Local tool '${name}' is already registered`);
+    }
+
+    this.tools.set(name, { name, description, parameters, employees, timeoutMs, deferred, handler, mapError });
+    console.log(`🧰 Registered local tool ${name} (${employees === '*' ? 'all employees' : employees.join(', ')})`);
+  }
+
+  /**
+   * The local tool an employee's function call resolves to, or null for the webhook
+   */
+  get(employeeId, functionName) {
+    const tool = this.tools.get(functionName);
+    if (!tool) return null;
+    if (tool.employees !== '*' && !tool.employees.includes(employeeId)) return null;
+    return tool;
+  }
+
+  has(employeeId, functionName) {
+    return !!this.get(employeeId, functionName);
+  }
+
+  list(employeeId = null) {
+    return Array.from(this.tools.values()).filter(tool =>
+      !employeeId || tool.employees === '*' || tool.employees.includes(employeeId)
+    );
+  }
+
+  /**
+   * OpenAI function definitions, ready to add to an assistant's tools
+   */
+  getFunctionDefinitions(employeeId = null) {
+    return this.list(employeeId).map(tool => ({
+      type: 'function',
+      function: {
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.parameters
+      }
+    }));
+  }
+
+  /**
+   * Run a tool call locally. Never throws - failures become an error output for the run.
+   * Returns { success, output, error, duration_ms }.
+   */
+  async execute(toolCall, context = {}) {
+    const started = Date.now();
+    const tool = this.get(context.employeeId, toolCall.function.name);
+    let args = {};
+
+    const finish = (success, result, error = null) => ({
+      success,
+      output: typeof result === 'string' ? result : JSON.stringify(result),
+      error,
+      duration_ms: Date.now() - started
+    });
+
+    try {
+      if (!tool) {
+        throw new Error(`No local tool '${toolCall.function.name}' for employee '${context.employeeId}'`);
+      }
+
+      try {
+        args = JSON.parse(toolCall.function.arguments || '{}');
+      } catch (error) {
+        return finish(false, { error: 'Invalid arguments', details: `Arguments are not valid JSON: ${error.message}` }, error.message);
+      }
+
+      const validationErrors = validateSchema(tool.parameters, args, 'arguments');
+      if (validationErrors.length > 0) {
+        console.warn(`⚠️ Local tool ${tool.name} called with invalid arguments:`, validationErrors);
+        return finish(false, { error: 'Invalid arguments', details: validationErrors }, validationErrors.join('; '));
+      }
+
+      console.log(`🧰 Executing local tool ${tool.name} for ${context.employeeId} (call ${toolCall.id})`);
+      const result = await this.runWithTimeout(tool, args, { ...context, toolCallId: toolCall.id });
+      console.log(`✅ Local tool ${tool.name} finished in ${Date.now() - started}ms`);
+
+      return finish(true, result === undefined ? { success: true } : result);
+    } catch (error) {
+      console.error(`❌ Local tool ${toolCall.function.name} failed:`, error.message);
+
+      let output = { error: 'Tool execution failed', details: error.message, tool: toolCall.function.name };
+      if (tool?.mapError) {
+        try {
+          output = tool.mapError(error, args);
+        } catch (mapError) {
+          console.error(`❌ Error mapping for ${tool.name} failed:`, mapError.message);
+        }
+      }
+
+      return finish(false, output, error.message);
+    }
+  }
+
+  async runWithTimeout(tool, args, context) {
+    const controller = new AbortController();
+    let timer;
+
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        controller.abort();
+        const error = new Error(`Tool '${tool.name}' timed out after ${tool.timeoutMs}ms`);
+        error.code = 'TOOL_TIMEOUT';
+        reject(error);
+      }, tool.timeoutMs);
+    });
+
+    try {
+      return await Promise.race([tool.handler(args, { ...context, signal: controller.signal }), timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+module.exports = ToolRegistry;
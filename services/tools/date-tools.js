@@ -0,0 +1,120 @@
+/**
+ * Date helpers assistants keep getting wrong on their own: today's date in a
+ * timezone and calendar arithmetic (follow-up dates, days between two dates).
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseDate(value, field) {
+  const date = value ? new Date(value) : new Date();
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`${field} '${value}' is not a valid date`);
+  }
+  return date;
+}
+
+function describeDate(date, timezone = 'UTC') {
+  const format = (options) => new Intl.DateTimeFormat('en-US', { timeZone: timezone, ...options }).format(date);
+  return {
+    iso: date.toISOString(),
+    date: new Intl.DateTimeFormat('en-CA', { timeZone: timezone }).format(date), // YYYY-MM-DD
+    time: format({ hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }),
+    weekday: format({ weekday: 'long' }),
+    timezone
+  };
+}
+
+function addToDate(date, amount, unit) {
+  const result = new Date(date.getTime());
+  switch (unit) {
+    case 'hours':
+      result.setUTCHours(result.getUTCHours() + amount);
+      break;
+    case 'days':
+      result.setUTCDate(result.getUTCDate() + amount);
+      break;
+    case 'weeks':
+      result.setUTCDate(result.getUTCDate() + amount * 7);
+      break;
+    case 'months':
+      addMonths(result, amount);
+      break;
+    case 'years':
+      addMonths(result, amount * 12);
+      break;
+  }
+  return result;
+}
+
+// Jan 31 + 1 month is the last day of February, not March 3rd
+function addMonths(date, months) {
+  const day = date.getUTCDate();
+  date.setUTCDate(1);
+  date.setUTCMonth(date.getUTCMonth() + months);
+  const daysInMonth = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+  date.setUTCDate(Math.min(day, daysInMonth));
+}
+
+const dateTools = [
+  {
+    name: 'get_current_datetime',
+    description: 'Get the current date, time and weekday, optionally in a specific IANA timezone (e.g. "America/New_York").',
+    parameters: {
+      type: 'object',
+      properties: {
+        timezone: { type: 'string', description: 'IANA timezone name, defaults to UTC' }
+      }
+    },
+    timeoutMs: 1000,
+    handler: async ({ timezone = 'UTC' }) => describeDate(new Date(), timezone),
+    mapError: (error, args) => ({
+      error: 'Invalid timezone',
+      details: `'${args.timezone}' is not a known IANA timezone`
+    })
+  },
+  {
+    name: 'calculate_date',
+    description: 'Date arithmetic: add or subtract an amount of time from a date, or get the difference between two dates.',
+    parameters: {
+      type: 'object',
+      properties: {
+        operation: { type: 'string', enum: ['add', 'subtract', 'difference'] },
+        date: { type: 'string', description: 'Start date (ISO 8601), defaults to now' },
+        amount: { type: 'integer', description: 'Amount to add or subtract' },
+        unit: { type: 'string', enum: ['hours', 'days', 'weeks', 'months', 'years'] },
+        other_date: { type: 'string', description: 'Second date for "difference" (ISO 8601)' },
+        timezone: { type: 'string', description: 'IANA timezone for the formatted result, defaults to UTC' }
+      },
+      required: ['operation']
+    },
+    timeoutMs: 1000,
+    handler: async ({ operation, date, amount, unit = 'days', other_date, timezone = 'UTC' }) => {
+      const start = parseDate(date, 'date');
+
+      if (operation === 'difference') {
+        if (!other_date) throw new Error('other_date is required for the difference operation');
+        const end = parseDate(other_date, 'other_date');
+        const diffMs = end.getTime() - start.getTime();
+        return {
+          from: start.toISOString(),
+          to: end.toISOString(),
+          days: Math.round(diffMs / DAY_MS),
+          weeks: Math.round((diffMs / (7 * DAY_MS)) * 10) / 10,
+          hours: Math.round(diffMs / (60 * 60 * 1000))
+        };
+      }
+
+      if (amount === undefined) throw new Error(`amount is required for the ${operation} operation`);
+      const result = addToDate(start, operation === 'subtract' ? -amount : amount, unit);
+      return {
+        from: start.toISOString(),
+        operation,
+        amount,
+        unit,
+        result: describeDate(result, timezone)
+      };
+    }
+  }
+];
+
+module.exports = dateTools;
@@ -0,0 +1,32 @@
+/**
+ * delegate_to_employee: lets one employee's assistant hand a task to a colleague.
+ * The call is deferred - its output is the colleague's answer, delivered by the
+ * DelegationManager once the colleague's run finishes.
+ */
+
+function createDelegationTool(delegationManager) {
+  return {
+    name: 'delegate_to_employee',
+    description: 'Hand a task to another AI employee and get their answer back as the result. Include everything they need in task and context - they cannot see this conversation.',
+    parameters: {
+      type: 'object',
+      properties: {
+        employee_id: { type: 'string', description: 'ID of the employee to delegate to, as in the employee registry (e.g. "van")' },
+        task: { type: 'string', minLength: 1, description: 'What the employee should do' },
+        context: { type: 'string', description: 'Background, data or results they need for the task' },
+        new_thread: { type: 'boolean', description: 'Start a fresh conversation instead of continuing the one from earlier delegations to this employee' }
+      },
+      required: ['employee_id', 'task']
+    },
+    timeoutMs: 15000, // Only covers starting the delegation, not the colleague's run
+    deferred: true,
+    handler: async (args, context) => delegationManager.start(args, context),
+    mapError: (error, args) => ({
+      error: 'Delegation failed',
+      details: error.message,
+      employee_id: args.employee_id
+    })
+  };
+}
+
+module.exports = { createDelegationTool };
@@ -0,0 +1,14 @@
+const dateTools = require('./date-tools');
+const { createDelegationTool } = require('./delegation-tools');
+const { createLeadStageTool } = require('./lead-tools');
+
+/**
+ * Register the built-in local tools. Function calls with these names are
+ * executed in-process; every other function still goes to the employee's webhook.
+ */
+function registerBuiltinTools(registry) {
+  [...dateTools].forEach(tool => registry.register(tool));
+  return registry;
+}
+
+module.exports = { registerBuiltinTools, createDelegationTool, createLeadStageTool };
@@ -0,0 +1,50 @@
+/**
+ * update_lead_stage: lets an employee move a lead along the sales pipeline, e.g.
+ * after checking its details or sending outreach. The move is recorded as made
+ * by the employee's tool call; moves the pipeline doesn't allow come back as errors.
+ */
+const { STAGES } = require('../lead-store');
+
+function createLeadStageTool(leadStore) {
+  return {
+    name: 'update_lead_stage',
+    description: `Move a lead in the lead database to the next pipeline stage (${STAGES.join(' → ')}), e.g. after validating its details, sending outreach or hearing back, or back to the stage before to correct a mistake. Leads move one stage at a time. Identify the lead by lead_id or lead_number and say why in note.`,
+    parameters: {
+      type: 'object',
+      properties: {
+        lead_id: { type: 'string', description: 'ID of the lead (lead_...)' },
+        lead_number: { type: 'integer', minimum: 1, description: 'The lead\'s Lead # when its ID is not known' },
+        stage: { type: 'string', enum: STAGES, description: 'Stage to move the lead to' },
+        note: { type: 'string', description: 'Why the lead moved, e.g. "Owner replied, wants a quote"' }
+      },
+      required: ['stage']
+    },
+    handler: async ({ lead_id: leadId, lead_number: leadNumber, stage, note = null }, { employeeId, threadId, runId, toolCallId }) => {
+      if (!leadId && !leadNumber) {
+        throw new Error('Give lead_id or lead_number');
+      }
+
+      const id = leadId || leadStore.findByNumber(leadNumber).lead_id;
+      const { lead, transition } = leadStore.moveLead(id, stage, {
+        actor: { type: 'employee', employeeId, threadId, runId, toolCallId },
+        note
+      });
+      return {
+        lead_id: lead.lead_id,
+        lead_number: lead.lead_number,
+        business_name: lead.business_name,
+        previous_stage: transition.from,
+        stage: lead.stage
+      };
+    },
+    mapError: (error, args) => ({
+      error: 'Stage change failed',
+      details: error.message,
+      lead_id: args.lead_id || null,
+      lead_number: args.lead_number || null,
+      ...(error.body?.allowed_stages && { allowed_stages: error.body.allowed_stages })
+    })
+  };
+}
+
+module.exports = { createLeadStageTool };
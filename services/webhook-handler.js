@@ -1,10 +1,26 @@
 const axios = require('axios');
+const { EventEmitter } = require('events');
 const config = require('../config');
+const { createStore } = require('./stores');
+const { getWebhookSecret, signRequest } = require('./webhook-signature');
 
-class WebhookHandler {
-  constructor() {
-    this.webhookSecret = config.webhook.secret;
-    this.pendingCalls = new Map(); // Store pending tool calls for correlation
+/**
+ * Dispatches tool calls to employee webhooks and correlates their responses.
+ * Outputs are buffered per run and released together once every call of the
+ * run has answered; emits 'run.deadline' with the batch when a run's deadline
+ * passes first, and 'run.ready' when a deferred local tool answers last.
+ */
+class WebhookHandler extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    // Pending tool calls for correlation - persisted so they survive restarts
+    this.pendingCalls = options.store || createStore('pending-calls');
+    this.toolRegistry = options.toolRegistry || null; // Functions executed in-process instead of via webhook
+    this.functionLibrary = options.functionLibrary || null; // Argument/result schemas of webhook functions
+    this.conversationStore = options.conversationStore || null; // Records dispatched calls and released outputs
+    this.outputParsers = options.outputParsers || null; // Per-function parsers fed with every answered output
+    this.runDeadlineMs = options.runDeadlineMs || config.webhook.runDeadlineMs;
+    this.runDeadlines = new Map(); // runId -> deadline timer
     this.retryAttempts = 5; // Increased retry attempts for maximum reliability
     this.retryDelay = 2000; // Delay between retries in milliseconds
     this.maxRetryDelay = 10000; // Maximum delay for exponential backoff
@@ -15,6 +31,10 @@ class WebhookHandler {
       const status = employee.webhookUrl && !employee.webhookUrl.includes('placeholder') ? '✅' : '⚠️';
       console.log(`   ${status} ${employee.name}: ${employee.webhookUrl}`);
     });
+
+    if (this.pendingCalls.size > 0) {
+      console.log(`♻️ Rehydrated ${this.pendingCalls.size} pending tool calls from store '${this.pendingCalls.name}'`);
+    }
   }
 
   /**
@@ -34,19 +54,43 @@ class WebhookHandler {
   }
 
   /**
-   * Send tool calls to employee-specific webhook with bulletproof retry logic
+   * How an employee's webhook returns results for a function:
+   * 'callback' - POSTs to /api/webhook-response later (default)
+   * 'sync'     - answers the dispatch request itself with { "output": ... }
+   */
+  getResponseMode(employeeId, functionName) {
+    const employee = config.employees[employeeId] || {};
+    return employee.functionResponseModes?.[functionName] || employee.responseMode || 'callback';
+  }
+
+  /**
+   * Whether a function call is handled by a local tool rather than the webhook
+   */
+  isLocalTool(employeeId, functionName) {
+    return !!this.toolRegistry?.has(employeeId, functionName);
+  }
+
+  /**
+   * Send tool calls to employee-specific webhook with bulletproof retry logic.
+   * Calls with a registered local tool are executed in-process instead; their
+   * outputs are buffered with the run like webhook responses.
    */
   async sendToolCalls(toolCalls, threadId, runId, employeeId = 'brenden') {
-    console.log(`=== SENDING ${toolCalls.length} TOOL CALLS TO ${employeeId.toUpperCase()} WEBHOOK ===`);
+    const localCalls = toolCalls.filter(toolCall => this.isLocalTool(employeeId, toolCall.function.name));
+    const remoteCalls = toolCalls.filter(toolCall => !localCalls.includes(toolCall));
+
+    console.log(`=== SENDING ${toolCalls.length} TOOL CALLS TO ${employeeId.toUpperCase()} WEBHOOK (${localCalls.length} local) ===`);
     
-    // Get employee-specific webhook URL
-    let webhookUrl;
-    try {
-      webhookUrl = this.getWebhookUrlForEmployee(employeeId);
-      console.log(`🎯 Using webhook for ${config.employees[employeeId].name}: ${webhookUrl}`);
-    } catch (error) {
-      console.error(`❌ Webhook configuration error for ${employeeId}:`, error.message);
-      throw error;
+    // Get employee-specific webhook URL - only needed when something goes out
+    let webhookUrl = null;
+    if (remoteCalls.length > 0) {
+      try {
+        webhookUrl = this.getWebhookUrlForEmployee(employeeId);
+        console.log(`🎯 Using webhook for ${config.employees[employeeId].name}: ${webhookUrl}`);
+      } catch (error) {
+        console.error(`❌ Webhook configuration error for ${employeeId}:`, error.message);
+        throw error;
+      }
     }
     
     console.log('📊 Request details:');
@@ -58,8 +102,26 @@ class WebhookHandler {
     console.log('   Tool Calls:', toolCalls.length);
     
     const results = [];
+    const deadlineAt = Date.now() + this.runDeadlineMs;
+    const payloads = new Map();
+    this.conversationStore?.addToolCalls(threadId, employeeId, runId, toolCalls);
 
-    for (const toolCall of toolCalls) {
+    // Register every call of the run before sending any of them, so an early
+    // answer can't look like the last one outstanding
+    for (const toolCall of localCalls) {
+      this.pendingCalls.set(toolCall.id, {
+        threadId,
+        runId,
+        employeeId,
+        functionName: toolCall.function.name,
+        timestamp: Date.now(),
+        deadlineAt,
+        local: true,
+        retryCount: 0
+      });
+    }
+
+    for (const toolCall of remoteCalls) {
       try {
         const payload = {
           tool_call_id: toolCall.id,
@@ -70,10 +132,16 @@ class WebhookHandler {
           employee_id: employeeId,
           employee_name: config.employees[employeeId].name,
           employee_role: config.employees[employeeId].role,
+          response_mode: this.getResponseMode(employeeId, toolCall.function.name),
           timestamp: new Date().toISOString(),
           retry_count: 0
         };
 
+        const argumentErrors = this.functionLibrary?.validateArguments(employeeId, toolCall.function.name, payload.arguments) || [];
+        if (argumentErrors.length > 0) {
+          throw new Error(`Arguments don't match the ${toolCall.function.name} schema: ${argumentErrors.join('; ')}`);
+        }
+
         // Store the pending call for later correlation
         this.pendingCalls.set(toolCall.id, {
           threadId,
@@ -81,11 +149,13 @@ class WebhookHandler {
           employeeId,
           functionName: toolCall.function.name,
           timestamp: Date.now(),
+          deadlineAt,
           arguments: payload.arguments,
           retryCount: 0,
           webhookUrl: webhookUrl,
           payload: payload
         });
+        payloads.set(toolCall.id, payload);
 
         console.log(`📝 Storing pending call ${toolCall.id} for ${employeeId}:`, {
           threadId,
@@ -94,21 +164,82 @@ class WebhookHandler {
           functionName: toolCall.function.name,
           webhookUrl: webhookUrl
         });
+      } catch (error) {
+        console.error(`💥 Invalid tool call ${toolCall.id} for ${employeeId}:`, error.message);
 
+        // Answer it with an error straight away instead of holding up the run
+        this.pendingCalls.set(toolCall.id, {
+          threadId,
+          runId,
+          employeeId,
+          functionName: toolCall.function?.name,
+          timestamp: Date.now(),
+          deadlineAt,
+          status: 'answered',
+          output: JSON.stringify({ error: 'Invalid tool call arguments', details: error.message }),
+          answeredAt: new Date().toISOString()
+        });
+        results.push({
+          toolCallId: toolCall.id,
+          employeeId: employeeId,
+          status: 'error',
+          error: error.message,
+          retryable: false
+        });
+      }
+    }
+
+    this.scheduleRunDeadline(runId, deadlineAt);
+
+    for (const toolCall of localCalls) {
+      const tool = this.toolRegistry.get(employeeId, toolCall.function.name);
+      const execution = await this.toolRegistry.execute(toolCall, { employeeId, threadId, runId });
+
+      // Deferred tools answer later through completeDeferredCall()
+      if (tool.deferred && execution.success) {
+        this.annotatePendingCall(toolCall.id, { deferred: true, deferredRef: JSON.parse(execution.output) });
+        results.push({
+          toolCallId: toolCall.id,
+          employeeId: employeeId,
+          status: 'deferred',
+          local: true,
+          duration_ms: execution.duration_ms
+        });
+        continue;
+      }
+
+      this.markAnswered(toolCall.id, execution.output);
+      results.push({
+        toolCallId: toolCall.id,
+        employeeId: employeeId,
+        status: execution.success ? 'completed' : 'error',
+        local: true,
+        error: execution.error,
+        duration_ms: execution.duration_ms
+      });
+    }
+
+    for (const [toolCallId, payload] of payloads) {
+      try {
         const result = await this.sendWebhookWithRetry(payload, webhookUrl);
+
+        // Synchronous webhooks answer with the tool output in the response body
+        if (payload.response_mode === 'sync') {
+          this.applySyncOutput(toolCallId, result);
+        }
         results.push(result);
 
       } catch (error) {
-        console.error(`💥 CRITICAL ERROR sending tool call ${toolCall.id} to ${employeeId}:`, error.message);
+        console.error(`💥 CRITICAL ERROR sending tool call ${toolCallId} to ${employeeId}:`, error.message);
         console.error('Error stack:', error.stack);
         
-        // Even on error, keep the pending call for potential manual retry
+        // The call has been answered with the failure, so the run can go on
         results.push({
-          toolCallId: toolCall.id,
+          toolCallId: toolCallId,
           employeeId: employeeId,
           status: 'error',
           error: error.message,
-          retryable: true
+          retryable: false
         });
       }
     }
@@ -140,13 +271,16 @@ class WebhookHandler {
         'X-Run-ID': payload.run_id,
         'X-Employee-ID': payload.employee_id,
         'X-Employee-Name': payload.employee_name,
+        'X-Response-Mode': payload.response_mode || 'callback',
         'X-Attempt': attempt.toString(),
         'X-Max-Attempts': maxAttempts.toString()
       };
 
-      // Add webhook secret if configured
-      if (this.webhookSecret) {
-        headers['X-Webhook-Secret'] = this.webhookSecret;
+      // Sign the exact body we send so the scenario can verify it came from us
+      const body = JSON.stringify(payload);
+      const secret = getWebhookSecret(payload.employee_id);
+      if (secret) {
+        Object.assign(headers, signRequest(secret, body));
       }
 
       // Create axios instance with comprehensive configuration
@@ -163,7 +297,7 @@ class WebhookHandler {
 
       console.log(`📤 Making HTTP request to ${webhookUrl} with timeout ${axiosConfig.timeout}ms`);
       
-      const response = await axios.post(webhookUrl, payload, axiosConfig);
+      const response = await axios.post(webhookUrl, body, axiosConfig);
 
       console.log(`📥 Webhook response received - Status: ${response.status}, Headers:`, response.headers);
 
@@ -180,6 +314,7 @@ class WebhookHandler {
         employeeName: payload.employee_name,
         webhookUrl: webhookUrl,
         status: 'sent',
+        http_status: response.status,
         response: response.data,
         attempt: attempt,
         response_time: response.headers['x-response-time'] || 'unknown'
@@ -209,6 +344,7 @@ class WebhookHandler {
           pendingCall.retryCount = attempt;
           pendingCall.lastError = error.message;
           pendingCall.lastAttempt = new Date().toISOString();
+          this.pendingCalls.set(payload.tool_call_id, pendingCall);
         }
         
         await new Promise(resolve => setTimeout(resolve, delay));
@@ -224,12 +360,14 @@ class WebhookHandler {
           webhookUrl: webhookUrl
         });
         
-        // Update pending call with final failure status
-        const pendingCall = this.pendingCalls.get(payload.tool_call_id);
-        if (pendingCall) {
-          pendingCall.status = 'failed';
-          pendingCall.finalError = error.message;
-          pendingCall.failedAt = new Date().toISOString();
+        // Answer the call with the failure so its run's batch can be released now
+        // instead of at the run deadline
+        if (this.annotatePendingCall(payload.tool_call_id, { finalError: error.message, failedAt: new Date().toISOString() })) {
+          this.markAnswered(payload.tool_call_id, JSON.stringify({
+            error: 'Webhook failed',
+            details: `No answer from the ${payload.employee_name} webhook after ${maxAttempts} attempts`,
+            last_error: error.message
+          }));
         }
         
         throw new Error(`${payload.employee_name} webhook failed after ${maxAttempts} attempts: ${error.message}`);
@@ -240,7 +378,7 @@ class WebhookHandler {
   /**
    * Process webhook response with enhanced validation and error handling
    */
-  processWebhookResponse(responseData) {
+  processWebhookResponse(responseData, { checkResult = true } = {}) {
     console.log('=== PROCESSING WEBHOOK RESPONSE ===');
     console.log('Processing timestamp:', new Date().toISOString());
     
@@ -276,40 +414,7 @@ class WebhookHandler {
       throw new Error(errorMessage);
     }
 
-    // Enhanced output processing with multiple format support
-    let processedOutput;
-    try {
-      if (typeof output === 'object') {
-        // Handle object outputs
-        if (Array.isArray(output)) {
-          processedOutput = JSON.stringify(output, null, 2);
-        } else {
-          processedOutput = JSON.stringify(output, null, 2);
-        }
-      } else if (typeof output === 'string') {
-        processedOutput = output.trim();
-      } else if (typeof output === 'number' || typeof output === 'boolean') {
-        processedOutput = String(output);
-      } else {
-        processedOutput = JSON.stringify(output);
-      }
-      
-      // Ensure output is not empty after processing
-      if (!processedOutput || processedOutput.trim() === '') {
-        throw new Error('Processed output is empty');
-      }
-      
-      // Validate output size (OpenAI has limits)
-      if (processedOutput.length > 100000) { // 100KB limit
-        console.warn(`⚠️ Large output detected: ${processedOutput.length} bytes`);
-        processedOutput = processedOutput.substring(0, 100000) + '\n\n[Output truncated due to size limit]';
-      }
-      
-    } catch (error) {
-      console.error('❌ Output processing error:', error.message);
-      console.error('Original output:', output);
-      throw new Error(`Invalid output format: ${error.message}`);
-    }
+    const processedOutput = this.normalizeOutput(output);
 
     // Log current pending calls for debugging
     console.log('📋 Current pending calls before processing:');
@@ -330,8 +435,10 @@ class WebhookHandler {
         console.warn('Found similar pending call IDs:', similarIds);
       }
       
-      // Don't throw error - allow processing of valid responses even if not in pending list
-      console.warn('⚠️ Processing webhook response without pending call validation');
+      // Only outputs for calls we dispatched can be submitted to their run
+      const error = new Error(`No pending tool call found for ID: ${tool_call_id}`);
+      error.status = 404;
+      throw error;
     } else {
       const employee = config.employees[pendingCall.employeeId];
       console.log(`✅ Found pending call for ${tool_call_id} from ${employee?.name || pendingCall.employeeId}:`, {
@@ -356,15 +463,15 @@ class WebhookHandler {
         throw new Error(error);
       }
 
-      // Mark as processed and remove from pending calls
-      pendingCall.processedAt = new Date().toISOString();
-      pendingCall.status = 'processed';
-      this.pendingCalls.delete(tool_call_id);
-      
-      console.log(`✅ Removed tool call ${tool_call_id} from ${employee?.name || pendingCall.employeeId} pending calls`);
-      console.log(`📊 Remaining pending calls: ${this.pendingCalls.size}`);
+      if (checkResult) {
+        this.checkResult(pendingCall.employeeId, pendingCall.functionName, output);
+      }
+
+      // The call stays pending until bufferToolOutput() releases its run's batch
     }
 
+    const parsedOutputs = pendingCall ? this.parseOutput(tool_call_id, pendingCall, output) : [];
+
     const processedResponse = {
       tool_call_id,
       output: processedOutput,
@@ -374,7 +481,8 @@ class WebhookHandler {
       employee_name: pendingCall?.employeeId ? config.employees[pendingCall.employeeId]?.name : 'unknown',
       processed_at: new Date().toISOString(),
       output_size: processedOutput.length,
-      validation_passed: true
+      validation_passed: true,
+      ...(parsedOutputs.length > 0 && { output_parsers: parsedOutputs })
     };
 
     console.log('✅ Webhook response processed successfully:', {
@@ -390,6 +498,113 @@ class WebhookHandler {
     return processedResponse;
   }
 
+  /**
+   * Record the output a synchronous webhook returned in its response body.
+   * Without a usable output the call keeps waiting for a /webhook-response callback.
+   */
+  applySyncOutput(toolCallId, result) {
+    const body = result.response;
+    if (result.http_status !== 200 || !body || typeof body !== 'object' || body.output === undefined || body.output === null) {
+      console.warn(`⚠️ Sync webhook for ${toolCallId} returned no output (status ${result.http_status}), waiting for callback instead`);
+      return false;
+    }
+
+    try {
+      const pendingCall = this.pendingCalls.get(toolCallId);
+      this.checkResult(pendingCall?.employeeId, pendingCall?.functionName, body.output);
+      this.markAnswered(toolCallId, this.normalizeOutput(body.output));
+      if (pendingCall) {
+        this.parseOutput(toolCallId, pendingCall, body.output);
+      }
+    } catch (error) {
+      console.warn(`⚠️ Sync webhook output for ${toolCallId} is unusable, waiting for callback instead:`, error.message);
+      return false;
+    }
+
+    result.status = 'completed';
+    result.sync = true;
+    console.log(`✅ Sync webhook answered ${toolCallId} inline (${result.employeeName})`);
+    return true;
+  }
+
+  /**
+   * Check a webhook output against the function's declared result schema, when
+   * FUNCTION_RESULT_VALIDATION asks for it. Throws a 422 error when set to 'reject';
+   * returns the errors otherwise.
+   */
+  checkResult(employeeId, functionName, output) {
+    if (config.functions.resultValidation === 'off') return [];
+
+    const errors = this.functionLibrary?.validateResult(employeeId, functionName, output) || [];
+    if (errors.length === 0) return errors;
+
+    if (config.functions.resultValidation === 'warn') {
+      console.warn(`⚠️ Output for ${functionName} (${employeeId}) doesn't match its result schema:`, errors);
+      return errors;
+    }
+
+    const error = new Error(`Output for ${functionName} doesn't match its result schema: ${errors.join('; ')}`);
+    error.status = 422;
+    error.validationErrors = errors;
+    throw error;
+  }
+
+  /**
+   * Hand an answered call's raw output to the output parsers registered for its function
+   */
+  parseOutput(toolCallId, pendingCall, output) {
+    if (!this.outputParsers) return [];
+    return this.outputParsers.run(output, {
+      employeeId: pendingCall.employeeId,
+      functionName: pendingCall.functionName,
+      threadId: pendingCall.threadId,
+      runId: pendingCall.runId,
+      toolCallId
+    });
+  }
+
+  /**
+   * Turn a webhook's output (any JSON value) into the string OpenAI expects
+   */
+  normalizeOutput(output) {
+    // Enhanced output processing with multiple format support
+    let processedOutput;
+    try {
+      if (typeof output === 'object') {
+        // Handle object outputs
+        if (Array.isArray(output)) {
+          processedOutput = JSON.stringify(output, null, 2);
+        } else {
+          processedOutput = JSON.stringify(output, null, 2);
+        }
+      } else if (typeof output === 'string') {
+        processedOutput = output.trim();
+      } else if (typeof output === 'number' || typeof output === 'boolean') {
+        processedOutput = String(output);
+      } else {
+        processedOutput = JSON.stringify(output);
+      }
+      
+      // Ensure output is not empty after processing
+      if (!processedOutput || processedOutput.trim() === '') {
+        throw new Error('Processed output is empty');
+      }
+      
+      // Validate output size (OpenAI has limits)
+      if (processedOutput.length > 100000) { // 100KB limit
+        console.warn(`⚠️ Large output detected: ${processedOutput.length} bytes`);
+        processedOutput = processedOutput.substring(0, 100000) + '\n\n[Output truncated due to size limit]';
+      }
+      
+    } catch (error) {
+      console.error('❌ Output processing error:', error.message);
+      console.error('Original output:', output);
+      throw new Error(`Invalid output format: ${error.message}`);
+    }
+
+    return processedOutput;
+  }
+
   /**
    * Enhanced logging of pending calls with employee information
    */
@@ -465,6 +680,258 @@ class WebhookHandler {
     }
   }
 
+  /**
+   * Reconcile rehydrated pending calls against the current run state in OpenAI.
+   * Calls whose run has moved on (outputs already submitted, run finished or gone)
+   * can never be answered and are dropped.
+   */
+  async reconcilePendingCalls(openaiService) {
+    const summary = { checked: 0, kept: 0, removed: 0, errors: 0 };
+
+    if (this.pendingCalls.size === 0) {
+      return summary;
+    }
+
+    console.log(`🔄 Reconciling ${this.pendingCalls.size} pending tool calls with OpenAI...`);
+
+    // Group by run so each run is only retrieved once
+    const callsByRun = new Map();
+    for (const [id, data] of this.pendingCalls.entries()) {
+      const key = `${data.threadId}:${data.runId}`;
+      if (!callsByRun.has(key)) {
+        callsByRun.set(key, { threadId: data.threadId, runId: data.runId, toolCallIds: [] });
+      }
+      callsByRun.get(key).toolCallIds.push(id);
+    }
+
+    for (const { threadId, runId, toolCallIds } of callsByRun.values()) {
+      summary.checked += toolCallIds.length;
+
+      let run;
+      try {
+        run = await openaiService.client.beta.threads.runs.retrieve(threadId, runId);
+      } catch (error) {
+        if (error.status === 404) {
+          toolCallIds.forEach(id => this.removePendingCall(id));
+          summary.removed += toolCallIds.length;
+          console.log(`🗑️ Run ${runId} no longer exists, dropped ${toolCallIds.length} pending calls`);
+        } else {
+          // Keep the calls - we could not prove they are stale
+          summary.kept += toolCallIds.length;
+          summary.errors++;
+          console.warn(`⚠️ Could not retrieve run ${runId} for reconciliation:`, error.message);
+        }
+        continue;
+      }
+
+      const awaitingIds = run.status === 'requires_action'
+        ? (run.required_action?.submit_tool_outputs?.tool_calls || []).map(tc => tc.id)
+        : [];
+
+      toolCallIds.forEach(id => {
+        if (awaitingIds.includes(id)) {
+          summary.kept++;
+        } else {
+          this.removePendingCall(id);
+          summary.removed++;
+        }
+      });
+
+      console.log(`📋 Run ${runId} is ${run.status}, awaiting ${awaitingIds.length} tool outputs`);
+    }
+
+    console.log(`✅ Reconciliation complete: ${summary.kept} kept, ${summary.removed} removed, ${summary.errors} errors`);
+    return summary;
+  }
+
+  /**
+   * Buffer a processed tool output until every tool call of its run has answered.
+   * OpenAI only accepts a run's outputs all at once, so nothing is submitted early.
+   * Returns { complete, waitingFor, deadlineAt, batch } - batch is set once the run is ready.
+   */
+  bufferToolOutput(processedResponse) {
+    const { tool_call_id, thread_id, run_id, output } = processedResponse;
+    const pendingCall = this.pendingCalls.get(tool_call_id);
+
+    // Calls we never dispatched (or already released) can only be submitted on their own
+    if (!pendingCall) {
+      const batch = {
+        threadId: thread_id,
+        runId: run_id,
+        employeeId: processedResponse.employee_id,
+        toolCallId: tool_call_id,
+        toolOutputs: [{ tool_call_id, output }],
+        timedOut: []
+      };
+      this.conversationStore?.addToolOutputs(batch);
+      return { complete: true, waitingFor: [], deadlineAt: null, batch };
+    }
+
+    this.markAnswered(tool_call_id, output);
+
+    const waitingFor = this.getRunCalls(run_id)
+      .filter(([, call]) => call.status !== 'answered')
+      .map(([id]) => id);
+
+    if (waitingFor.length > 0) {
+      console.log(`📥 Buffered output for ${tool_call_id}, run ${run_id} still waiting for ${waitingFor.length} tool calls`);
+      return { complete: false, waitingFor, deadlineAt: pendingCall.deadlineAt || null, batch: null };
+    }
+
+    const batch = this.takeRunBatch(run_id);
+    batch.toolCallId = tool_call_id;
+    return { complete: true, waitingFor: [], deadlineAt: null, batch };
+  }
+
+  /**
+   * Record the output of a pending call; it is submitted when its run's batch is released
+   */
+  markAnswered(toolCallId, output) {
+    const pendingCall = this.pendingCalls.get(toolCallId);
+    if (!pendingCall) return null;
+
+    pendingCall.status = 'answered';
+    pendingCall.output = output;
+    pendingCall.answeredAt = new Date().toISOString();
+    this.pendingCalls.set(toolCallId, pendingCall);
+    return pendingCall;
+  }
+
+  /**
+   * Merge extra correlation fields into a pending call (ignored once it is released)
+   */
+  annotatePendingCall(toolCallId, fields) {
+    const pendingCall = this.pendingCalls.get(toolCallId);
+    if (!pendingCall) return null;
+
+    const updated = { ...pendingCall, ...fields };
+    this.pendingCalls.set(toolCallId, updated);
+    return updated;
+  }
+
+  /**
+   * Deliver the output of a deferred local tool. If that was the last call its
+   * run was waiting for, the batch is released with a 'run.ready' event.
+   * Returns false when the call is no longer pending (e.g. its deadline passed).
+   */
+  completeDeferredCall(toolCallId, output) {
+    const pendingCall = this.markAnswered(toolCallId, typeof output === 'string' ? output : JSON.stringify(output));
+    if (!pendingCall) {
+      console.warn(`⚠️ Deferred output for ${toolCallId} arrived after its run moved on, dropping it`);
+      return false;
+    }
+
+    console.log(`📥 Deferred output for ${toolCallId} (${pendingCall.functionName}) recorded`);
+    const batch = this.takeRunBatch(pendingCall.runId);
+    if (batch) {
+      batch.toolCallId = toolCallId;
+      this.emit('run.ready', batch);
+    }
+    return true;
+  }
+
+  /**
+   * Pending calls belonging to one run, as [toolCallId, call] pairs
+   */
+  getRunCalls(runId) {
+    return Array.from(this.pendingCalls.entries()).filter(([, call]) => call.runId === runId);
+  }
+
+  /**
+   * Remove a run's calls and return their outputs for submission.
+   * With fillMissing, unanswered calls get a synthetic error output.
+   */
+  takeRunBatch(runId, { fillMissing = false } = {}) {
+    const calls = this.getRunCalls(runId);
+    if (calls.length === 0) return null;
+
+    const [, firstCall] = calls[0];
+    const toolOutputs = [];
+    const timedOut = [];
+
+    for (const [id, call] of calls) {
+      if (call.status === 'answered') {
+        toolOutputs.push({ tool_call_id: id, output: call.output });
+      } else if (fillMissing) {
+        timedOut.push(id);
+        toolOutputs.push({
+          tool_call_id: id,
+          output: JSON.stringify({
+            error: 'Tool call timed out',
+            details: `No webhook response for ${call.functionName} within ${Math.round(this.runDeadlineMs / 1000)}s`,
+            last_error: call.lastError || null
+          })
+        });
+      } else {
+        return null;
+      }
+    }
+
+    calls.forEach(([id]) => this.pendingCalls.delete(id));
+    this.clearRunDeadline(runId);
+
+    console.log(`📦 Released ${toolOutputs.length} tool outputs for run ${runId} (${timedOut.length} timed out)`);
+
+    const batch = {
+      threadId: firstCall.threadId,
+      runId,
+      employeeId: firstCall.employeeId,
+      toolCallId: null,
+      toolOutputs,
+      timedOut
+    };
+    this.conversationStore?.addToolOutputs(batch);
+    return batch;
+  }
+
+  /**
+   * Arm the deadline for a run; when it fires, missing outputs become error outputs
+   */
+  scheduleRunDeadline(runId, deadlineAt) {
+    this.clearRunDeadline(runId);
+
+    const timer = setTimeout(() => {
+      this.runDeadlines.delete(runId);
+      const batch = this.takeRunBatch(runId, { fillMissing: true });
+      if (batch) {
+        this.emit('run.deadline', batch);
+      }
+    }, Math.max(deadlineAt - Date.now(), 0));
+    timer.unref();
+
+    this.runDeadlines.set(runId, timer);
+  }
+
+  /**
+   * Re-arm deadlines for runs rehydrated from the store
+   */
+  scheduleRunDeadlines() {
+    const deadlines = new Map();
+    for (const call of this.pendingCalls.values()) {
+      const deadlineAt = call.deadlineAt || call.timestamp + this.runDeadlineMs;
+      deadlines.set(call.runId, Math.min(deadlines.get(call.runId) ?? Infinity, deadlineAt));
+    }
+
+    deadlines.forEach((deadlineAt, runId) => this.scheduleRunDeadline(runId, deadlineAt));
+
+    if (deadlines.size > 0) {
+      console.log(`⏰ Scheduled tool output deadlines for ${deadlines.size} runs`);
+    }
+  }
+
+  clearRunDeadline(runId) {
+    const timer = this.runDeadlines.get(runId);
+    if (timer) {
+      clearTimeout(timer);
+      this.runDeadlines.delete(runId);
+    }
+  }
+
+  clearRunDeadlines() {
+    this.runDeadlines.forEach(timer => clearTimeout(timer));
+    this.runDeadlines.clear();
+  }
+
   /**
    * Check if a tool call is pending with detailed status and employee info
    */
@@ -579,16 +1046,23 @@ class WebhookHandler {
         }
       };
 
+      const body = JSON.stringify(healthPayload);
+      const headers = {
+        'Content-Type': 'application/json',
+        'User-Agent': 'OpenAI-Assistant-Bridge/1.0',
+        'X-Health-Check': 'true',
+        'X-Employee-ID': employeeId,
+        'X-Employee-Name': config.employees[employeeId]?.name
+      };
+      const secret = getWebhookSecret(employeeId);
+      if (secret) {
+        Object.assign(headers, signRequest(secret, body));
+      }
+
       const startTime = Date.now();
       
-      const response = await axios.post(webhookUrl, healthPayload, {
-        headers: {
-          'Content-Type': 'application/json',
-          'User-Agent': 'OpenAI-Assistant-Bridge/1.0',
-          'X-Health-Check': 'true',
-          'X-Employee-ID': employeeId,
-          'X-Employee-Name': config.employees[employeeId]?.name
-        },
+      const response = await axios.post(webhookUrl, body, {
+        headers,
         timeout: 15000, // 15 second timeout for health check
         validateStatus: (status) => status < 500
       });
@@ -645,8 +1119,10 @@ class WebhookHandler {
       configuration: {
         retry_attempts: this.retryAttempts,
         retry_delay: this.retryDelay,
-        max_retry_delay: this.maxRetryDelay
+        max_retry_delay: this.maxRetryDelay,
+        run_deadline_ms: this.runDeadlineMs
       },
+      runs_awaiting_outputs: this.runDeadlines.size,
       timestamp: new Date().toISOString()
     };
     
@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const config = require('../config');
+
+const SIGNATURE_VERSION = 'v1';
+
+/**
+ * HMAC-SHA256 signatures for webhook traffic in both directions.
+ *
+ * The signed string is `${timestamp}.${nonce}.${body}` where timestamp is unix
+ * seconds and body the exact JSON bytes sent. Headers:
+ *   X-Webhook-Timestamp, X-Webhook-Nonce, X-Webhook-Signature: v1=<hex digest>
+ */
+
+/**
+ * Secret for an employee's webhook traffic, falling back to WEBHOOK_SECRET
+ */
+function getWebhookSecret(employeeId = null) {
+  const employee = employeeId ? config.employees[employeeId] : null;
+  return employee?.webhookSecret || config.webhook.secret || null;
+}
+
+/**
+ * Whether any webhook secret is configured, globally or for some employee
+ */
+function hasWebhookSecrets() {
+  return !!config.webhook.secret || Object.values(config.employees).some(employee => employee.webhookSecret);
+}
+
+function computeSignature(secret, timestamp, nonce, body) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${nonce}.${body}`)
+    .digest('hex');
+}
+
+/**
+ * Headers that sign an outgoing body (a string - sign exactly what is sent)
+ */
+function signRequest(secret, body) {
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const nonce = crypto.randomUUID();
+
+  return {
+    'X-Webhook-Timestamp': timestamp,
+    'X-Webhook-Nonce': nonce,
+    'X-Webhook-Signature': `${SIGNATURE_VERSION}=${computeSignature(secret, timestamp, nonce, body)}`
+  };
+}
+
+/**
+ * Check the signature headers of an incoming request.
+ * Returns { valid, reason }; the nonce is only consumed for valid signatures.
+ */
+function verifyRequest(secret, { timestamp, nonce, signature, body }, { toleranceSeconds, nonceCache }) {
+  if (!timestamp || !nonce || !signature) {
+    return { valid: false, reason: 'Missing X-Webhook-Timestamp, X-Webhook-Nonce or X-Webhook-Signature header' };
+  }
+
+  const timestampSeconds = parseInt(timestamp, 10);
+  if (!Number.isFinite(timestampSeconds)) {
+    return { valid: false, reason: 'X-Webhook-Timestamp must be unix seconds' };
+  }
+
+  const skew = Math.abs(Math.floor(Date.now() / 1000) - timestampSeconds);
+  if (skew > toleranceSeconds) {
+    return { valid: false, reason: `Timestamp is ${skew}s away from server time (tolerance ${toleranceSeconds}s)` };
+  }
+
+  const [version, digest] = signature.split('=');
+  if (version !== SIGNATURE_VERSION || !digest) {
+    return { valid: false, reason: `Unsupported signature format, expected ${SIGNATURE_VERSION}=<hex>` };
+  }
+
+  const expected = Buffer.from(computeSignature(secret, timestamp, nonce, body), 'hex');
+  const received = Buffer.from(digest, 'hex');
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return { valid: false, reason: 'Signature mismatch' };
+  }
+
+  if (!nonceCache.add(nonce, (timestampSeconds + toleranceSeconds) * 1000)) {
+    return { valid: false, reason: 'Nonce already used (replayed request)' };
+  }
+
+  return { valid: true, reason: null };
+}
+
+/**
+ * Nonces seen within the timestamp window. Anything older is rejected by the
+ * timestamp check anyway, so entries can be dropped once they expire.
+ */
+class NonceCache {
+  constructor() {
+    this.nonces = new Map(); // nonce -> expiresAt (ms)
+  }
+
+  /**
+   * Remember a nonce; returns false if it was already seen
+   */
+  add(nonce, expiresAt) {
+    this.prune();
+    if (this.nonces.has(nonce)) return false;
+    this.nonces.set(nonce, expiresAt);
+    return true;
+  }
+
+  prune() {
+    const now = Date.now();
+    for (const [nonce, expiresAt] of this.nonces) {
+      if (expiresAt < now) this.nonces.delete(nonce);
+    }
+  }
+
+  get size() {
+    return this.nonces.size;
+  }
+}
+
+module.exports = {
+  getWebhookSecret,
+  hasWebhookSecrets,
+  signRequest,
+  verifyRequest,
+  NonceCache
+};
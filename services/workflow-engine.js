@@ -0,0 +1,399 @@
+const crypto = require('crypto');
+const config = require('../config');
+const { createStore } = require('./stores');
+const { validateSchema } = require('./json-schema');
+const { renderTemplate, extractJson } = require('./prompt-template');
+const { watchRun } = require('./run-watcher');
+
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+const MAX_RUNS = 500; // Oldest finished runs are dropped first
+
+/**
+ * Error raised by workflow requests, carrying the HTTP status and body to answer with
+ */
+class WorkflowError extends Error {
+  constructor(status, body) {
+    super(body.details || body.error);
+    this.name = 'WorkflowError';
+    this.status = status;
+    this.body = body;
+  }
+}
+
+/**
+ * Fill in `default` values of the inputs schema's top-level properties
+ */
+function applyInputDefaults(schema, inputs) {
+  const withDefaults = { ...inputs };
+  Object.entries(schema?.properties || {}).forEach(([key, property]) => {
+    if (withDefaults[key] === undefined && property.default !== undefined) {
+      withDefaults[key] = property.default;
+    }
+  });
+  return withDefaults;
+}
+
+/**
+ * Runs workflow definitions step by step. Each step is one /ask pipeline run on a
+ * new thread of the step's employee; steps whose run waits on webhooks are
+ * followed through the thread's events. Run and step state is persisted, so a
+ * failed step can be retried and waiting steps survive a restart.
+ */
+class WorkflowEngine {
+  constructor({ workflowLibrary, askPipeline, openaiService, webhookHandler, threadEvents }) {
+    this.workflowLibrary = workflowLibrary;
+    this.askPipeline = askPipeline;
+    this.openaiService = openaiService;
+    this.webhookHandler = webhookHandler;
+    this.threadEvents = threadEvents;
+    this.runs = createStore('workflow-runs'); // runId -> run
+    this.watchers = new Map(); // runId -> stop watching the waiting step's run
+  }
+
+  /**
+   * Validate the inputs and start a run in the background; returns the new run
+   */
+  start(workflowId, inputs = {}) {
+    this.workflowLibrary.refresh();
+    const definition = this.workflowLibrary.get(workflowId);
+    if (!definition) {
+      throw new WorkflowError(404, {
+        error: 'Workflow not found',
+        details: `No workflow '${workflowId}'. Available: ${this.workflowLibrary.list().map(w => w.id).join(', ') || 'none'}`
+      });
+    }
+
+    const resolvedInputs = applyInputDefaults(definition.inputs, inputs);
+    const errors = definition.inputs ? validateSchema(definition.inputs, resolvedInputs, 'inputs') : [];
+    if (errors.length > 0) {
+      throw new WorkflowError(400, {
+        error: 'Invalid workflow inputs',
+        details: errors.join('; '),
+        validation_errors: errors
+      });
+    }
+
+    const missingEmployees = definition.steps.map(step => step.employee).filter(id => !config.employees[id]);
+    if (missingEmployees.length > 0) {
+      throw new WorkflowError(409, {
+        error: 'Workflow uses unknown employees',
+        details: `Not in the employee registry: ${[...new Set(missingEmployees)].join(', ')}`
+      });
+    }
+
+    const now = new Date().toISOString();
+    const run = {
+      id: `wfr_${crypto.randomUUID().replace(/-/g, '')}`,
+      workflowId,
+      // Snapshot, so editing the file doesn't change runs already in progress
+      definition: { name: definition.name, steps: definition.steps },
+      status: 'running',
+      inputs: resolvedInputs,
+      steps: definition.steps.map(step => ({
+        id: step.id,
+        employeeId: step.employee,
+        status: 'pending',
+        attempts: 0,
+        prompt: null,
+        threadId: null,
+        runId: null,
+        output: null,
+        error: null,
+        startedAt: null,
+        completedAt: null
+      })),
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+      completedAt: null
+    };
+    this.runs.set(run.id, run);
+    this.pruneRuns();
+
+    console.log(`🧭 Started workflow ${workflowId} (${run.id}) with ${run.steps.length} steps`);
+    this.advanceInBackground(run.id);
+    return this.toResponse(run);
+  }
+
+  advanceInBackground(runId) {
+    this.advance(runId).catch(error => {
+      console.error(`❌ Workflow run ${runId} crashed:`, error.message);
+      this.failRun(runId, error.message);
+    });
+  }
+
+  /**
+   * Execute pending steps in order until one has to wait, fails or the run is done
+   */
+  async advance(runId) {
+    for (;;) {
+      const run = this.runs.get(runId);
+      if (!run || run.status !== 'running') return;
+
+      const index = run.steps.findIndex(step => step.status !== 'completed');
+      if (index === -1) {
+        this.updateRun(runId, { status: 'completed', completedAt: new Date().toISOString() });
+        console.log(`✅ Workflow run ${runId} (${run.workflowId}) completed`);
+        return;
+      }
+
+      const step = run.steps[index];
+      if (step.status !== 'pending') return; // Already running or waiting
+
+      const definition = run.definition.steps[index];
+      let prompt;
+      try {
+        prompt = renderTemplate(definition.prompt, this.templateValues(run));
+      } catch (error) {
+        this.updateStep(runId, index, { status: 'failed', error: error.message, attempts: step.attempts + 1 });
+        this.failRun(runId, `Step '${step.id}' failed: ${error.message}`);
+        return;
+      }
+
+      this.updateStep(runId, index, {
+        status: 'running',
+        prompt,
+        attempts: step.attempts + 1,
+        threadId: null,
+        runId: null,
+        error: null,
+        startedAt: new Date().toISOString(),
+        completedAt: null
+      });
+      console.log(`▶️ Workflow run ${runId}: step '${step.id}' → ${step.employeeId}`);
+
+      let response;
+      try {
+        response = await this.askPipeline.run({ message: prompt, employeeId: step.employeeId }, {
+          onProgress: ({ thread_id: threadId, run_id: stepRunId }) => {
+            if (threadId) this.updateStep(runId, index, { threadId, runId: stepRunId || null });
+          },
+          isCancelled: () => this.runs.get(runId)?.status === 'cancelled'
+        });
+      } catch (error) {
+        if (this.runs.get(runId)?.status === 'cancelled') return;
+        this.updateStep(runId, index, { status: 'failed', error: error.body?.details || error.message });
+        this.failRun(runId, `Step '${step.id}' failed: ${error.body?.details || error.message}`);
+        return;
+      }
+
+      this.updateStep(runId, index, { threadId: response.thread_id, runId: response.run_id });
+
+      if (response.status !== 'completed') {
+        this.updateStep(runId, index, { status: 'waiting' });
+        console.log(`⏳ Workflow run ${runId}: step '${step.id}' waiting for webhooks (run ${response.run_id})`);
+        this.watchStep(runId, index);
+        return;
+      }
+
+      this.completeStep(runId, index, response.message);
+    }
+  }
+
+  /**
+   * Follow a step whose run continues after webhook callbacks
+   */
+  watchStep(runId, index) {
+    const step = this.runs.get(runId).steps[index];
+    const stop = watchRun(this.threadEvents, step.threadId, step.runId, ({ status, result, error }) => {
+      this.watchers.delete(runId);
+      if (this.runs.get(runId)?.status !== 'running') return;
+
+      if (status === 'completed') {
+        this.completeStep(runId, index, result);
+        this.advanceInBackground(runId);
+      } else {
+        this.updateStep(runId, index, { status: 'failed', error, completedAt: new Date().toISOString() });
+        this.failRun(runId, `Step '${step.id}' failed: ${error}`);
+      }
+    });
+
+    if (this.runs.get(runId).steps[index].status === 'waiting') {
+      this.watchers.set(runId, stop);
+    }
+  }
+
+  completeStep(runId, index, output) {
+    const step = this.updateStep(runId, index, { status: 'completed', output, completedAt: new Date().toISOString() });
+    console.log(`✅ Workflow run ${runId}: step '${step.id}' completed`);
+  }
+
+  failRun(runId, error) {
+    const run = this.runs.get(runId);
+    if (!run || TERMINAL_STATUSES.includes(run.status)) return;
+
+    this.updateRun(runId, { status: 'failed', error, completedAt: new Date().toISOString() });
+    console.error(`❌ Workflow run ${runId} (${run.workflowId}) failed: ${error}`);
+  }
+
+  /**
+   * Values step prompts can refer to: inputs.* and steps.<id>.{output,json,thread_id,employee_id}
+   */
+  templateValues(run) {
+    const steps = {};
+    run.steps.filter(step => step.status === 'completed').forEach(step => {
+      steps[step.id] = {
+        output: step.output,
+        get json() {
+          return extractJson(step.output);
+        },
+        thread_id: step.threadId,
+        employee_id: step.employeeId
+      };
+    });
+    return { inputs: run.inputs, steps };
+  }
+
+  /**
+   * Stop a run; an in-flight assistant run is cancelled and its pending tool calls dropped
+   */
+  async cancel(runId) {
+    const run = this.requireRun(runId);
+    if (TERMINAL_STATUSES.includes(run.status)) {
+      throw new WorkflowError(409, {
+        error: 'Workflow run already finished',
+        details: `Run ${runId} is ${run.status}`
+      });
+    }
+
+    this.watchers.get(runId)?.();
+    this.watchers.delete(runId);
+    this.updateRun(runId, { status: 'cancelled', completedAt: new Date().toISOString() });
+
+    const index = run.steps.findIndex(step => ['running', 'waiting'].includes(step.status));
+    if (index !== -1) {
+      const step = run.steps[index];
+      if (step.runId) {
+        await this.openaiService.cancelRun(step.threadId, step.runId).catch(error => {
+          console.warn(`⚠️ Could not cancel run ${step.runId}:`, error.message);
+        });
+        this.webhookHandler.getRunCalls(step.runId).forEach(([toolCallId]) => this.webhookHandler.removePendingCall(toolCallId));
+        this.webhookHandler.clearRunDeadline(step.runId);
+      }
+      this.updateStep(runId, index, { status: 'cancelled', completedAt: new Date().toISOString() });
+    }
+
+    console.log(`🛑 Workflow run ${runId} cancelled`);
+    return this.toResponse(this.runs.get(runId));
+  }
+
+  /**
+   * Run a failed run's failed step again and continue from there
+   */
+  retry(runId) {
+    const run = this.requireRun(runId);
+    const index = run.steps.findIndex(step => step.status === 'failed');
+    if (run.status !== 'failed' || index === -1) {
+      throw new WorkflowError(409, {
+        error: 'Nothing to retry',
+        details: `Run ${runId} is ${run.status}; only failed runs can be retried`
+      });
+    }
+
+    this.updateStep(runId, index, { status: 'pending', error: null });
+    this.updateRun(runId, { status: 'running', error: null, completedAt: null });
+    console.log(`🔁 Retrying workflow run ${runId} from step '${run.steps[index].id}'`);
+    this.advanceInBackground(runId);
+    return this.toResponse(this.runs.get(runId));
+  }
+
+  /**
+   * Pick runs back up after a restart: waiting steps are followed again, steps that
+   * were mid-pipeline can't be resumed and fail (so they can be retried)
+   */
+  resume() {
+    for (const run of this.runs.values()) {
+      if (run.status !== 'running') continue;
+
+      const index = run.steps.findIndex(step => step.status !== 'completed');
+      const step = run.steps[index];
+      if (step?.status === 'waiting') {
+        this.watchStep(run.id, index);
+      } else if (step?.status === 'running') {
+        this.updateStep(run.id, index, { status: 'failed', error: 'Interrupted by a server restart' });
+        this.failRun(run.id, `Step '${step.id}' was interrupted by a server restart`);
+      } else {
+        this.advanceInBackground(run.id);
+      }
+    }
+  }
+
+  requireRun(runId) {
+    const run = this.runs.get(runId);
+    if (!run) {
+      throw new WorkflowError(404, {
+        error: 'Workflow run not found',
+        details: `No workflow run with id '${runId}'`
+      });
+    }
+    return run;
+  }
+
+  updateRun(runId, fields) {
+    const run = { ...this.runs.get(runId), ...fields, updatedAt: new Date().toISOString() };
+    this.runs.set(runId, run);
+    return run;
+  }
+
+  updateStep(runId, index, fields) {
+    const run = this.runs.get(runId);
+    const steps = run.steps.map((step, i) => (i === index ? { ...step, ...fields } : step));
+    this.updateRun(runId, { steps });
+    return steps[index];
+  }
+
+  /**
+   * Keep the store bounded by dropping the oldest finished runs
+   */
+  pruneRuns() {
+    const finished = Array.from(this.runs.values())
+      .filter(run => TERMINAL_STATUSES.includes(run.status))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    const excess = this.runs.size - MAX_RUNS;
+    finished.slice(0, Math.max(0, excess)).forEach(run => this.runs.delete(run.id));
+  }
+
+  getRun(runId) {
+    return this.toResponse(this.requireRun(runId));
+  }
+
+  listRuns({ workflowId = null, status = null } = {}) {
+    return Array.from(this.runs.values())
+      .filter(run => !workflowId || run.workflowId === workflowId)
+      .filter(run => !status || run.status === status)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(run => this.toResponse(run, { includeOutputs: false }));
+  }
+
+  toResponse(run, { includeOutputs = true } = {}) {
+    return {
+      run_id: run.id,
+      workflow_id: run.workflowId,
+      workflow_name: run.definition.name,
+      status: run.status,
+      inputs: run.inputs,
+      current_step: run.steps.find(step => step.status !== 'completed')?.id || null,
+      steps: run.steps.map((step, index) => ({
+        id: step.id,
+        name: run.definition.steps[index].name || step.id,
+        employee_id: step.employeeId,
+        employee_name: config.employees[step.employeeId]?.name || step.employeeId,
+        status: step.status,
+        attempts: step.attempts,
+        thread_id: step.threadId,
+        run_id: step.runId,
+        ...(includeOutputs ? { prompt: step.prompt, output: step.output } : {}),
+        error: step.error,
+        started_at: step.startedAt,
+        completed_at: step.completedAt
+      })),
+      error: run.error,
+      created_at: run.createdAt,
+      updated_at: run.updatedAt,
+      completed_at: run.completedAt
+    };
+  }
+}
+
+module.exports = WorkflowEngine;
+module.exports.WorkflowError = WorkflowError;
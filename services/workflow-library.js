@@ -0,0 +1,149 @@
+const fs = require('fs');
+const path = require('path');
+const { validateSchema } = require('./json-schema');
+const { templatePaths } = require('./prompt-template');
+
+const STEP_ID_PATTERN = '^[a-z0-9][a-z0-9_-]*$';
+
+// Shape of one workflow file: config/workflows/<workflow>.json
+const workflowFileSchema = {
+  type: 'object',
+  required: ['name', 'steps'],
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    description: { type: 'string' },
+    inputs: { type: 'object', required: ['type'], properties: { type: { type: 'string', enum: ['object'] } } },
+    steps: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'employee', 'prompt'],
+        properties: {
+          id: { type: 'string', pattern: STEP_ID_PATTERN },
+          name: { type: 'string' },
+          employee: { type: 'string', minLength: 1 },
+          prompt: { type: 'string', minLength: 1 }
+        },
+        additionalProperties: false
+      }
+    }
+  },
+  additionalProperties: false
+};
+
+/**
+ * Check what the schema can't: at least one step, unique step ids, and
+ * placeholders that only point at inputs or earlier steps
+ */
+function validateSteps(definition, label) {
+  const errors = [];
+  const seen = [];
+
+  if (definition.steps.length === 0) {
+    errors.push(`${label}.steps must contain at least one step`);
+  }
+
+  definition.steps.forEach((step, index) => {
+    if (seen.includes(step.id)) {
+      errors.push(`${label}.steps[${index}].id '${step.id}' is used twice`);
+    }
+
+    templatePaths(step.prompt).forEach(placeholder => {
+      const [root, stepId, field] = placeholder.split('.');
+      if (root === 'inputs') return;
+      if (root !== 'steps') {
+        errors.push(`${label}.steps[${index}].prompt: {{${placeholder}}} must start with inputs. or steps.`);
+      } else if (!seen.includes(stepId)) {
+        errors.push(`${label}.steps[${index}].prompt: {{${placeholder}}} refers to '${stepId}', which is not an earlier step`);
+      } else if (!['output', 'json', 'thread_id', 'employee_id'].includes(field)) {
+        errors.push(`${label}.steps[${index}].prompt: {{${placeholder}}} must use .output, .json, .thread_id or .employee_id`);
+      }
+    });
+
+    seen.push(step.id);
+  });
+
+  return errors;
+}
+
+/**
+ * Library of workflow definitions, one JSON file per workflow (the file name is its id):
+ *
+ *   config/workflows/florist-outreach.json
+ *   { "name", "description", "inputs": <JSON Schema>, "steps": [{ "id", "employee", "prompt" }] }
+ *
+ * Step prompts are templates over the run's inputs and earlier steps' results
+ * (see services/prompt-template.js). Invalid files are skipped with an error.
+ */
+class WorkflowLibrary {
+  constructor({ dir }) {
+    this.dir = dir;
+    this.workflows = new Map(); // workflowId -> definition
+    this.signature = null;
+    this.load();
+  }
+
+  scanFiles() {
+    if (!fs.existsSync(this.dir)) return [];
+
+    return fs.readdirSync(this.dir)
+      .filter(file => file.endsWith('.json'))
+      .map(file => {
+        const filePath = path.join(this.dir, file);
+        return { workflowId: path.basename(file, '.json'), filePath, mtimeMs: fs.statSync(filePath).mtimeMs };
+      });
+  }
+
+  load() {
+    const files = this.scanFiles();
+    const workflows = new Map();
+
+    files.forEach(({ workflowId, filePath }) => {
+      let definition;
+      try {
+        definition = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      } catch (error) {
+        console.error(`❌ Skipping workflow ${filePath}: ${error.message}`);
+        return;
+      }
+
+      const label = path.basename(filePath);
+      const errors = validateSchema(workflowFileSchema, definition, label);
+      if (errors.length === 0) {
+        errors.push(...validateSteps(definition, label));
+      }
+      if (errors.length > 0) {
+        console.error(`❌ Skipping workflow ${filePath}: ${errors.join('; ')}`);
+        return;
+      }
+
+      workflows.set(workflowId, { id: workflowId, ...definition, file: filePath });
+    });
+
+    this.workflows = workflows;
+    this.signature = JSON.stringify(files.map(({ filePath, mtimeMs }) => [filePath, mtimeMs]));
+    console.log(`🧭 Workflow library loaded: ${workflows.size} workflows from ${this.dir}`);
+  }
+
+  /**
+   * Reload if any workflow file was added, removed or edited; returns whether it reloaded
+   */
+  refresh() {
+    const files = this.scanFiles();
+    const signature = JSON.stringify(files.map(({ filePath, mtimeMs }) => [filePath, mtimeMs]));
+    if (signature === this.signature) return false;
+
+    this.load();
+    return true;
+  }
+
+  get(workflowId) {
+    return this.workflows.get(workflowId) || null;
+  }
+
+  list() {
+    return Array.from(this.workflows.values());
+  }
+}
+
+module.exports = WorkflowLibrary;
@@ -0,0 +1,96 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCron, nextRun } = require('../services/cron');
+
+const values = (field) => [...field.values].sort((a, b) => a - b);
+
+describe('parseCron', () => {
+  const valid = [
+    ['* * * * *', 'minute', 60],
+    ['0 8 * * 1', 'minute', [0]],
+    ['0,15,30 * * * *', 'minute', [0, 15, 30]],
+    ['10-12 * * * *', 'minute', [10, 11, 12]],
+    ['*/15 * * * *', 'minute', [0, 15, 30, 45]],
+    ['50/5 * * * *', 'minute', [50, 55]],
+    ['0 8-18/4 * * *', 'hour', [8, 12, 16]],
+    ['0 0 1,15 * *', 'dayOfMonth', [1, 15]],
+    ['0 0 1 JAN,jul *', 'month', [1, 7]],
+    ['0 8 * * MON-FRI', 'dayOfWeek', [1, 2, 3, 4, 5]],
+    ['0 8 * * 7', 'dayOfWeek', [0, 7]],
+    ['@hourly', 'minute', [0]],
+    ['@weekly', 'dayOfWeek', [0]]
+  ];
+
+  valid.forEach(([expression, field, expected]) => {
+    it(`parses ${field} of '${expression}'`, () => {
+      const parsed = parseCron(expression)[field];
+      if (typeof expected === 'number') {
+        assert.equal(parsed.values.size, expected);
+      } else {
+        assert.deepEqual(values(parsed), expected);
+      }
+    });
+  });
+
+  const invalid = [
+    ['', /cron expression/],
+    ['* * * *', /5 fields/],
+    ['-5 * * * *', /range '-5'/],
+    ['5- * * * *', /range '5-'/],
+    ['1, * * * *', /minute '1,'/],
+    [',1 * * * *', /minute ',1'/],
+    ['1-2-3 * * * *', /range '1-2-3'/],
+    ['*/ * * * *', /step ''/],
+    ['*/0 * * * *', /step '0'/],
+    ['1/2/3 * * * *', /minute '1\/2\/3'/],
+    ['60 * * * *', /minute '60'/],
+    ['0 24 * * *', /hour '24'/],
+    ['0 0 0 * *', /day of month '0'/],
+    ['0 0 * 13 *', /month '13'/],
+    ['0 0 * * 8', /day of week '8'/],
+    ['1.5 * * * *', /minute '1.5'/],
+    ['0x1 * * * *', /minute '0x1'/],
+    ['30-10 * * * *', /range '30-10'/],
+    ['0 0 * FOO *', /month 'FOO'/]
+  ];
+
+  invalid.forEach(([expression, message]) => {
+    it(`rejects '${expression}'`, () => {
+      assert.throws(() => parseCron(expression), message);
+    });
+  });
+});
+
+describe('nextRun', () => {
+  const runs = [
+    // [expression, timezone, after, expected]
+    ['0 8 * * *', 'UTC', '2026-05-04T07:59:30Z', '2026-05-04T08:00:00.000Z'],
+    ['0 8 * * *', 'UTC', '2026-05-04T08:00:00Z', '2026-05-05T08:00:00.000Z'],
+    ['0 9 * * 1', 'UTC', '2026-05-05T00:00:00Z', '2026-05-11T09:00:00.000Z'],
+    ['0 0 31 * *', 'UTC', '2026-04-01T00:00:00Z', '2026-05-31T00:00:00.000Z'],
+    ['0 0 1 * 1', 'UTC', '2026-05-02T00:00:00Z', '2026-05-04T00:00:00.000Z'], // either day field matches
+    ['0 8 * * *', 'Europe/Berlin', '2026-05-04T00:00:00Z', '2026-05-04T06:00:00.000Z'],
+    // New York springs forward on 2026-03-08 (02:00 EST -> 03:00 EDT)
+    ['0 9 * * *', 'America/New_York', '2026-03-07T15:00:00Z', '2026-03-08T13:00:00.000Z'],
+    ['30 2 * * *', 'America/New_York', '2026-03-07T12:00:00Z', '2026-03-09T06:30:00.000Z'],
+    ['0 * * * *', 'America/New_York', '2026-03-08T06:30:00Z', '2026-03-08T07:00:00.000Z'],
+    // ... and falls back on 2026-11-01 (02:00 EDT -> 01:00 EST)
+    ['30 1 * * *', 'America/New_York', '2026-10-31T12:00:00Z', '2026-11-01T05:30:00.000Z'],
+    ['30 1 * * *', 'America/New_York', '2026-11-01T05:30:00Z', '2026-11-02T06:30:00.000Z'],
+    ['0 9 * * *', 'America/New_York', '2026-10-31T14:00:00Z', '2026-11-01T14:00:00.000Z'],
+    ['*/30 * * * *', 'America/New_York', '2026-11-01T05:30:00Z', '2026-11-01T06:00:00.000Z'],
+    // Europe moves on 2026-03-29 and 2026-10-25 at 01:00 UTC
+    ['30 2 * * *', 'Europe/Berlin', '2026-03-28T12:00:00Z', '2026-03-30T00:30:00.000Z'],
+    ['30 2 * * *', 'Europe/Berlin', '2026-10-25T00:30:00Z', '2026-10-26T01:30:00.000Z']
+  ];
+
+  runs.forEach(([expression, timezone, after, expected]) => {
+    it(`'${expression}' in ${timezone} after ${after}`, () => {
+      assert.equal(nextRun(parseCron(expression), new Date(after), timezone).toISOString(), expected);
+    });
+  });
+
+  it('gives up on dates that never come', () => {
+    assert.equal(nextRun(parseCron('0 0 31 2 *'), new Date('2026-01-01T00:00:00Z')), null);
+  });
+});